@@ -0,0 +1,75 @@
+// File formats export_work_items writes: file extension and MIME type
+export const EXPORT_FORMATS = {
+    csv: { extension: ".csv", mimeType: "text/csv" },
+    jsonl: { extension: ".jsonl", mimeType: "application/jsonl" },
+    markdown: { extension: ".md", mimeType: "text/markdown" },
+    excel: { extension: ".csv", mimeType: "text/csv" }
+};
+
+// Date and time values as Plan returns them, e.g. "2026-01-05 00:00:00"
+const PLAN_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/;
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Format a Plan date or date-time value
+ * @param {string} value - Value as returned by a query, e.g. "2026-01-05 13:30:00"
+ * @param {string} pattern - "iso" for ISO 8601, or a pattern using YYYY, MM, DD, HH, mm and ss (e.g. "DD/MM/YYYY")
+ * @returns {string} The formatted value; values that are not dates are returned unchanged
+ */
+export function formatDate(value, pattern) {
+    const match = PLAN_DATE.exec(value);
+    if (!match) {
+        return value;
+    }
+    const [, YYYY, MM, DD, HH = "00", mm = "00", ss = "00"] = match;
+    if (pattern === "iso") {
+        return `${YYYY}-${MM}-${DD}T${HH}:${mm}:${ss}`;
+    }
+    const parts = { YYYY, MM, DD, HH, mm, ss };
+    return pattern.replace(/YYYY|MM|DD|HH|mm|ss/g, token => parts[token]);
+}
+
+// CSV field, quoted when it holds the delimiter, a quote or a line break
+function csvField(value) {
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+// Excel cell: text that would start a formula is prefixed with a quote; plain numbers stay numbers
+function excelField(value) {
+    return csvField(FORMULA_START.test(value) && Number.isNaN(Number(value)) ? `'${value}` : value);
+}
+
+// Markdown table cell: pipes escaped, line breaks as <br>
+function markdownCell(value) {
+    return value.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Write rows as the content of an export file
+ * @param {Array<Object>} rows - Rows keyed by column header
+ * @param {string[]} headers - Column headers, in order
+ * @param {string} format - csv, jsonl, markdown or excel
+ * @returns {string} csv: RFC 4180 lines; jsonl: one JSON object per line; markdown: a table;
+ *   excel: CSV with a byte order mark, CRLF line ends and formula-like text neutralized, so Excel opens it as data
+ */
+export function formatExport(rows, headers, format) {
+    const values = row => headers.map(header => row[header] ?? "");
+    switch (format) {
+        case "csv":
+            return [headers, ...rows.map(values)].map(line => line.map(csvField).join(',')).join('\n') + '\n';
+        case "excel":
+            return '\uFEFF' + [headers, ...rows.map(values)].map(line => line.map(excelField).join(',')).join('\r\n') + '\r\n';
+        case "jsonl":
+            return rows.map(row => JSON.stringify(Object.fromEntries(headers.map(header => [header, row[header] ?? ""])))).join('\n') + (rows.length > 0 ? '\n' : '');
+        case "markdown":
+            return [
+                `| ${headers.map(markdownCell).join(' | ')} |`,
+                `|${headers.map(() => '---').join('|')}|`,
+                ...rows.map(row => `| ${values(row).map(markdownCell).join(' | ')} |`)
+            ].join('\n') + '\n';
+        default:
+            throw new Error(`Unknown export format "${format}"; use ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+}
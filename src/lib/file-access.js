@@ -0,0 +1,71 @@
+import { lstat, realpath } from 'fs/promises';
+import { basename, dirname, isAbsolute, join, relative, resolve, sep } from 'path';
+
+// True when path is below the directory root
+function isInside(root, path) {
+    const inside = relative(root, path);
+    return inside !== '' && inside !== '..' && !inside.startsWith(`..${sep}`) && !isAbsolute(inside);
+}
+
+/**
+ * Decides which local files the tools may read and write through their filePath
+ * arguments. With a root directory, paths are resolved against it and must stay
+ * inside it once symbolic links are followed.
+ */
+export class FileAccess {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.root] - Directory file paths must stay inside; any path when omitted
+     * @param {boolean} [options.enabled=true] - False refuses every file path, so tools only take inline content
+     */
+    constructor({ root, enabled = true } = {}) {
+        this.root = root ? resolve(root) : undefined;
+        this.enabled = enabled;
+    }
+
+    /**
+     * Resolve a filePath argument to the file to read or write
+     * @param {string} filePath - Path given by the caller, relative to the root when there is one
+     * @returns {Promise<string>} Absolute path of the file
+     * @throws {Error} When file paths are disabled, or the path leads outside the root
+     */
+    async resolve(filePath) {
+        if (!this.enabled) {
+            throw new Error("filePath is disabled on this server; pass the content instead, or set PLAN_FILE_ROOT to allow files inside one directory");
+        }
+        if (!this.root) {
+            return resolve(filePath);
+        }
+
+        const outside = new Error(`${filePath} is outside the file root ${this.root}`);
+        const path = resolve(this.root, filePath);
+        if (!isInside(this.root, path)) {
+            throw outside;
+        }
+        const real = await realpath(path).catch(async error => {
+            // A file still to be created: its directory must be inside the root, and it must not be a dangling link
+            if (error.code !== 'ENOENT' || await lstat(path).then(() => true, () => false)) {
+                throw error;
+            }
+            return join(await realpath(dirname(path)), basename(path));
+        });
+        if (!isInside(await realpath(this.root), real)) {
+            throw outside;
+        }
+        return real;
+    }
+}
+
+/**
+ * Create the file access configured by PLAN_FILE_ROOT. Without it, file paths are
+ * unrestricted over stdio, where the caller runs on the same machine, and refused over HTTP.
+ * @param {Object} env - Environment variables
+ * @param {string} [transport="stdio"] - stdio or http
+ * @returns {FileAccess}
+ */
+export function createFileAccess(env = process.env, transport = "stdio") {
+    return new FileAccess({
+        root: env.PLAN_FILE_ROOT || undefined,
+        enabled: Boolean(env.PLAN_FILE_ROOT) || transport !== "http"
+    });
+}
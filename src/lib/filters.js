@@ -0,0 +1,141 @@
+// Comparison operators of query filters, Plan's COMP_OP_* names without the prefix
+export const COMP_OPS = ["EQ", "NEQ", "LIKE", "IN", "BETWEEN", "IS_NULL", "GT", "LT"];
+
+// Boolean operators of filter nodes, Plan's BOOL_OP_* names without the prefix
+export const BOOL_OPS = ["AND", "OR"];
+
+// Number of values each operator takes, as [min, max]
+const VALUE_COUNTS = {
+    EQ: [1, 1],
+    NEQ: [1, 1],
+    LIKE: [1, 1],
+    IN: [1, Infinity],
+    BETWEEN: [2, 2],
+    IS_NULL: [0, 0],
+    GT: [1, 1],
+    LT: [1, 1]
+};
+
+// Field types the ordering operators (GT, LT, BETWEEN) and LIKE apply to
+const ORDERED_TYPES = ["INT", "FLOAT", "DATE_TIME", "DBID"];
+const TEXT_TYPES = ["SHORT_STRING", "MULTILINE_STRING"];
+
+// Raised for field paths that do not exist, as opposed to failures talking to Plan
+class FieldPathError extends Error {}
+
+/**
+ * Create a function resolving field paths such as "Owner.fullname" to their field definition.
+ * Each entity definition is loaded once per resolver.
+ * @param {Function} loadEntityDef - Async function returning {name, fieldDefs: [{name, fieldType, referencedEntityDefName}]} of an entity
+ * @returns {Function} async (entity, fieldPath) => field definition; throws for unknown paths
+ */
+export function createFieldResolver(loadEntityDef) {
+    const definitions = new Map();
+    const fieldDefsOf = entity => {
+        if (!definitions.has(entity)) {
+            definitions.set(entity, Promise.resolve(loadEntityDef(entity)).then(def => def?.fieldDefs || []));
+        }
+        return definitions.get(entity);
+    };
+
+    return async (entity, fieldPath) => {
+        const names = fieldPath.split('.');
+        let current = entity;
+        for (const [index, name] of names.entries()) {
+            const def = (await fieldDefsOf(current)).find(field => field.name === name);
+            if (!def) {
+                throw new FieldPathError(`${current} has no field "${name}"`);
+            }
+            if (index === names.length - 1) {
+                return def;
+            }
+            if (!def.referencedEntityDefName) {
+                throw new FieldPathError(`"${names.slice(0, index + 1).join('.')}" is not a reference field, so "${fieldPath}" cannot be followed`);
+            }
+            current = def.referencedEntityDefName;
+        }
+    };
+}
+
+// Problems with the values of one filter, given its operator and field type
+function valueProblems(filter, def) {
+    const problems = [];
+    const values = filter.values || [];
+    const [min, max] = VALUE_COUNTS[filter.compOp];
+    if (values.length < min || values.length > max) {
+        const expected = min === max ? `${min}` : `at least ${min}`;
+        problems.push(`${filter.compOp} takes ${expected} value(s), got ${values.length}`);
+    }
+    if (["GT", "LT", "BETWEEN"].includes(filter.compOp) && !ORDERED_TYPES.includes(def.fieldType)) {
+        problems.push(`${filter.compOp} needs a number or date field, ${filter.fieldPath} is ${def.fieldType}`);
+    }
+    if (filter.compOp === "LIKE" && !TEXT_TYPES.includes(def.fieldType)) {
+        problems.push(`LIKE needs a text field, ${filter.fieldPath} is ${def.fieldType}`);
+    }
+    if (def.fieldType === "INT" && values.some(value => !/^-?\d+$/.test(value))) {
+        problems.push(`${filter.fieldPath} is an INT field, got ${JSON.stringify(values)}`);
+    }
+    if (def.fieldType === "DATE_TIME" && values.some(value => Number.isNaN(Date.parse(value.replace(' ', 'T'))))) {
+        problems.push(`${filter.fieldPath} is a DATE_TIME field, got ${JSON.stringify(values)}`);
+    }
+    return problems;
+}
+
+/**
+ * Check a filter tree against the field definitions of an entity and convert it to a Plan filterNode
+ * @param {Object} [node] - {boolOp: "AND"|"OR", fieldFilters: [{fieldPath, compOp, values}], childFilterNodes: [node]}
+ * @param {string} entity - Entity the query runs on (e.g. "WorkItem")
+ * @param {Function} resolveField - Resolver created by createFieldResolver()
+ * @returns {Promise<Object>} Plan filterNode with BOOL_OP_* and COMP_OP_* names
+ * @throws {Error} Listing every invalid filter, before anything is sent to Plan
+ */
+export async function toFilterNode(node = {}, entity, resolveField) {
+    const problems = [];
+
+    const convert = async ({ boolOp = "AND", fieldFilters = [], childFilterNodes = [] }) => ({
+        boolOp: `BOOL_OP_${boolOp}`,
+        fieldFilters: await Promise.all(fieldFilters.map(async filter => {
+            try {
+                const def = await resolveField(entity, filter.fieldPath);
+                problems.push(...valueProblems(filter, def).map(problem => `${filter.fieldPath}: ${problem}`));
+            } catch (error) {
+                if (!(error instanceof FieldPathError)) {
+                    throw error;
+                }
+                problems.push(error.message);
+            }
+            return { fieldPath: filter.fieldPath, compOp: `COMP_OP_${filter.compOp}`, values: filter.values || [] };
+        })),
+        childFilterNodes: await Promise.all(childFilterNodes.map(convert))
+    });
+
+    const filterNode = await convert(node);
+    if (problems.length > 0) {
+        throw new Error(`Invalid filter: ${problems.join('; ')}`);
+    }
+    return filterNode;
+}
+
+/**
+ * Check query field paths against the field definitions of an entity
+ * @param {string[]} fieldPaths - Field paths to return (e.g. ["id", "Owner.fullname"])
+ * @param {string} entity - Entity the query runs on
+ * @param {Function} resolveField - Resolver created by createFieldResolver()
+ * @throws {Error} Listing every unknown field
+ */
+export async function checkFieldPaths(fieldPaths, entity, resolveField) {
+    const problems = [];
+    for (const fieldPath of fieldPaths) {
+        try {
+            await resolveField(entity, fieldPath);
+        } catch (error) {
+            if (!(error instanceof FieldPathError)) {
+                throw error;
+            }
+            problems.push(error.message);
+        }
+    }
+    if (problems.length > 0) {
+        throw new Error(`Invalid fields: ${problems.join('; ')}`);
+    }
+}
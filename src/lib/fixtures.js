@@ -0,0 +1,153 @@
+import { mkdirSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { isDeepStrictEqual } from 'util';
+import { redact, silentLogger } from "./logger.js";
+
+// Fixture files are named <sequence>-<method>-<slug>.json, so a directory lists in request order
+const FIXTURE_FILE = /^\d+-.*\.json$/;
+
+// Path below /ccmweb/rest, including the query string, without the server origin
+function fixturePath(url) {
+    const parsed = new URL(url);
+    const full = parsed.pathname + parsed.search;
+    const index = full.indexOf('/ccmweb/rest');
+    return index >= 0 ? full.slice(index + '/ccmweb/rest'.length) : full;
+}
+
+// Request and response bodies are stored as JSON when they parse, as text otherwise
+function parseBody(text) {
+    if (text === undefined || text === null || text === '') {
+        return undefined;
+    }
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+function serializeBody(body) {
+    if (body === undefined) {
+        return null;
+    }
+    return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+// Readable file name part for a request path, e.g. "records-WorkItem-33554433"
+function slug(path) {
+    const withoutTeamspace = path.split('?')[0].replace(/^\/repos\/[^/]+\/databases\/?[^/]*\/?/, '');
+    return (withoutTeamspace || path.split('?')[0]).replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'root';
+}
+
+// Build a Response from a stored status, headers and body
+function toResponse({ status, statusText = '', headers = {}, body }) {
+    const responseHeaders = new Headers();
+    for (const [name, value] of Object.entries(headers)) {
+        for (const item of Array.isArray(value) ? value : [value]) {
+            responseHeaders.append(name, item);
+        }
+    }
+    const text = serializeBody(body);
+    const empty = status === 204 || status === 304 || text === null;
+    return new Response(empty ? null : text, { status, statusText, headers: responseHeaders });
+}
+
+/**
+ * Wrap fetch so every Plan request/response pair is written to a fixture directory.
+ * Credentials are scrubbed: request headers are not stored, Set-Cookie values and
+ * tokens or session cookies inside bodies are replaced by [REDACTED].
+ * @param {string} dir - Directory receiving the fixture files, created when missing
+ * @param {Object} [options]
+ * @param {Function} [options.fetch] - fetch to record, defaults to the global fetch
+ * @param {Object} [options.logger] - Logger with error/warn/info/debug methods
+ * @returns {Function} fetch implementation for PlanClient
+ */
+export function createRecordingFetch(dir, { fetch: fetchImpl = globalThis.fetch.bind(globalThis), logger = silentLogger } = {}) {
+    mkdirSync(dir, { recursive: true });
+    let sequence = readdirSync(dir).filter(file => FIXTURE_FILE.test(file)).length;
+
+    return async (url, init = {}) => {
+        const response = await fetchImpl(url, init);
+        const text = await response.text();
+        const method = (init.method || 'GET').toUpperCase();
+        const path = fixturePath(url);
+
+        const headers = {};
+        const contentType = response.headers.get('content-type');
+        if (contentType) {
+            headers['content-type'] = contentType;
+        }
+        const setCookies = response.headers.getSetCookie?.() || [];
+        if (setCookies.length > 0) {
+            headers['set-cookie'] = setCookies.map(cookie => cookie.replace(/^([^=]+)=[^;]*/, '$1=[REDACTED]'));
+        }
+
+        const fixture = {
+            request: { method, path, ...(init.body !== undefined ? { body: redact(parseBody(init.body)) } : {}) },
+            response: { status: response.status, statusText: response.statusText, headers, ...(text ? { body: redact(parseBody(text)) } : {}) }
+        };
+        sequence++;
+        const file = join(dir, `${String(sequence).padStart(4, '0')}-${method}-${slug(path)}.json`);
+        writeFileSync(file, JSON.stringify(fixture, null, 2) + "\n");
+        logger.debug("Recorded Plan fixture", { file });
+
+        // The body has been read, so hand the client an equivalent response (already decoded)
+        const liveHeaders = Object.fromEntries([...response.headers]
+            .filter(([name]) => !['set-cookie', 'content-encoding', 'content-length'].includes(name)));
+        return toResponse({
+            status: response.status,
+            statusText: response.statusText,
+            headers: { ...liveHeaders, ...(setCookies.length > 0 ? { 'set-cookie': setCookies } : {}) },
+            body: text || undefined
+        });
+    };
+}
+
+/**
+ * Load a fixture directory written by createRecordingFetch
+ * @param {string} dir - Fixture directory
+ * @returns {Array} Fixtures in recording order, each with its file name
+ */
+export function loadFixtures(dir) {
+    return readdirSync(dir)
+        .filter(file => FIXTURE_FILE.test(file))
+        .sort()
+        .map(file => ({ file, ...JSON.parse(readFileSync(join(dir, file), 'utf8')) }));
+}
+
+/**
+ * A fetch that answers from recorded fixtures instead of the network.
+ *
+ * A request matches a fixture with the same method, path and body. Matching fixtures are
+ * served in recording order, so a record read before and after an update gets both answers;
+ * once they are used up the last one is repeated. A request without any match is rejected,
+ * which is how a changed Edit/Commit payload shows up in a replayed test.
+ * @param {string} dir - Fixture directory
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Logger with error/warn/info/debug methods
+ * @returns {Function} fetch implementation for PlanClient
+ */
+export function createReplayFetch(dir, { logger = silentLogger } = {}) {
+    const fixtures = loadFixtures(dir);
+    const used = new Set();
+
+    return async (url, init = {}) => {
+        const method = (init.method || 'GET').toUpperCase();
+        const path = fixturePath(url);
+        const body = init.body !== undefined ? redact(parseBody(init.body)) : undefined;
+
+        const samePath = fixtures.filter(fixture => fixture.request.method === method && fixture.request.path === path);
+        const matching = samePath.filter(fixture => isDeepStrictEqual(fixture.request.body, body));
+        const fixture = matching.find(candidate => !used.has(candidate)) || matching.at(-1);
+        if (!fixture) {
+            const reason = samePath.length > 0
+                ? `the request body differs from the recorded one(s) in ${samePath.map(candidate => candidate.file).join(', ')}. Sent: ${JSON.stringify(body)}`
+                : "nothing was recorded for this method and path";
+            throw new Error(`No recorded response for ${method} ${path}: ${reason}`);
+        }
+
+        used.add(fixture);
+        logger.debug("Replayed Plan fixture", { file: fixture.file });
+        return toResponse(fixture.response);
+    };
+}
@@ -0,0 +1,195 @@
+import http from 'http';
+import { randomUUID, timingSafeEqual, webcrypto } from 'crypto';
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { silentLogger } from "./logger.js";
+
+// The SDK's Streamable HTTP transport uses the Web Crypto global, which Node 18 does not define
+globalThis.crypto ??= webcrypto;
+
+// Largest JSON-RPC request body accepted
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Read the Plan credentials a client passed for its session
+ * @param {IncomingMessage} req - The request opening the session
+ * @returns {Object} {token, teamspaceID}, missing headers are undefined
+ */
+export function getSessionCredentials(req) {
+    return {
+        token: req.headers['x-plan-token'] || undefined,
+        teamspaceID: req.headers['x-plan-teamspace-id'] || undefined
+    };
+}
+
+// Compare the bearer token in constant time
+function isAuthorized(req, authToken) {
+    if (!authToken) {
+        return true;
+    }
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers['authorization'] || '');
+    if (!match) {
+        return false;
+    }
+    const expected = Buffer.from(authToken);
+    const received = Buffer.from(match[1].trim());
+    return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+function sendJsonRpcError(res, status, code, message) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ jsonrpc: "2.0", error: { code, message }, id: null }));
+}
+
+async function readJsonBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            const error = new Error(`Request body too large, the limit is ${MAX_BODY_BYTES} bytes`);
+            error.status = 413;
+            throw error;
+        }
+        chunks.push(chunk);
+    }
+    const text = Buffer.concat(chunks).toString('utf8');
+    return text ? JSON.parse(text) : undefined;
+}
+
+/**
+ * Serve MCP over Streamable HTTP (POST/GET/DELETE /mcp), with the deprecated
+ * HTTP+SSE transport (GET /sse + POST /messages) as a fallback for older clients.
+ *
+ * Every MCP session gets its own server instance from createSession, so sessions
+ * can carry their own Plan credentials.
+ * @param {Object} options
+ * @param {number} [options.port=3000] - Port to listen on, 0 for a random port
+ * @param {string} [options.host="127.0.0.1"] - Interface to bind
+ * @param {string} [options.authToken] - Shared secret clients must send as a Bearer token
+ * @param {Function} options.createSession - (credentials) => McpServer for a new session; may throw to reject it
+ * @param {Function} [options.closeSession] - (server) => void called when a session ends
+ * @param {Object} [options.logger] - Logger with error/warn/info/debug methods
+ * @returns {Promise<http.Server>} The listening HTTP server
+ */
+export async function startHttpServer({ port = 3000, host = "127.0.0.1", authToken, createSession, closeSession = () => {}, logger = silentLogger }) {
+    const sessions = new Map();
+
+    async function openSession(req, transport) {
+        let server;
+        try {
+            server = await createSession(getSessionCredentials(req));
+        } catch (error) {
+            // Missing or invalid Plan credentials for this session
+            error.status = 401;
+            throw error;
+        }
+        transport.onclose = () => {
+            if (transport.sessionId && sessions.get(transport.sessionId)?.transport === transport) {
+                sessions.delete(transport.sessionId);
+                logger.info("MCP session closed", { sessionId: transport.sessionId });
+            }
+            closeSession(server);
+        };
+        await server.connect(transport);
+        return server;
+    }
+
+    async function handleStreamableRequest(req, res) {
+        const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+        const sessionId = req.headers['mcp-session-id'];
+
+        if (sessionId) {
+            const session = sessions.get(sessionId);
+            if (!session || !(session.transport instanceof StreamableHTTPServerTransport)) {
+                return sendJsonRpcError(res, 404, -32001, "Session not found");
+            }
+            return session.transport.handleRequest(req, res, body);
+        }
+
+        if (req.method !== 'POST' || !isInitializeRequest(body)) {
+            return sendJsonRpcError(res, 400, -32000, "Bad Request: No valid session ID provided");
+        }
+
+        const transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => randomUUID(),
+            onsessioninitialized: (id) => {
+                sessions.set(id, { transport });
+                logger.info("MCP session opened", { sessionId: id, transport: "streamable-http" });
+            }
+        });
+        await openSession(req, transport);
+        return transport.handleRequest(req, res, body);
+    }
+
+    async function handleSseStream(req, res) {
+        const transport = new SSEServerTransport('/messages', res);
+        await openSession(req, transport);
+        sessions.set(transport.sessionId, { transport });
+        logger.info("MCP session opened", { sessionId: transport.sessionId, transport: "sse" });
+        res.on('close', () => transport.close());
+    }
+
+    async function handleSseMessage(req, res, url) {
+        const session = sessions.get(url.searchParams.get('sessionId'));
+        if (!session || !(session.transport instanceof SSEServerTransport)) {
+            return sendJsonRpcError(res, 404, -32001, "Session not found");
+        }
+        const body = await readJsonBody(req);
+        return session.transport.handlePostMessage(req, res, body);
+    }
+
+    const httpServer = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        try {
+            if (!isAuthorized(req, authToken)) {
+                logger.warn("Rejected unauthorized HTTP request", { path: url.pathname });
+                res.setHeader('WWW-Authenticate', 'Bearer');
+                return sendJsonRpcError(res, 401, -32001, "Unauthorized");
+            }
+
+            if (url.pathname === '/mcp') {
+                return await handleStreamableRequest(req, res);
+            }
+            if (url.pathname === '/sse' && req.method === 'GET') {
+                return await handleSseStream(req, res);
+            }
+            if (url.pathname === '/messages' && req.method === 'POST') {
+                return await handleSseMessage(req, res, url);
+            }
+            return sendJsonRpcError(res, 404, -32601, "Not found");
+        } catch (error) {
+            logger.error("HTTP request failed", { path: url.pathname, error });
+            if (!res.headersSent) {
+                if (error.status === 401) {
+                    return sendJsonRpcError(res, 401, -32001, error.message);
+                }
+                if (error.status === 413) {
+                    // The rest of the body is not read, so the connection cannot be reused
+                    res.setHeader('Connection', 'close');
+                    return sendJsonRpcError(res, 413, -32600, error.message);
+                }
+                const status = error instanceof SyntaxError ? 400 : 500;
+                sendJsonRpcError(res, status, status === 400 ? -32700 : -32603, error.message);
+            }
+        }
+    });
+
+    // Close the MCP sessions together with the HTTP server
+    const close = httpServer.close.bind(httpServer);
+    httpServer.close = (callback) => {
+        for (const { transport } of sessions.values()) {
+            transport.close().catch(() => {});
+        }
+        sessions.clear();
+        httpServer.closeAllConnections?.();
+        return close(callback);
+    };
+
+    await new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(port, host, resolve);
+    });
+    return httpServer;
+}
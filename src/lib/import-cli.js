@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+// plan-import: create the work items of a CSV, JSON or Markdown backlog file from the command line
+import { readFile } from 'fs/promises';
+import { config as loadEnv } from 'dotenv';
+import { createLogger } from "./logger.js";
+import { PlanClient } from "./plan-client.js";
+import { importMappingSchema, importWorkItems } from "./tools/import.js";
+
+const USAGE = `Usage: plan-import <file> --application <name> --project <name> [options]
+
+Options:
+  --mapping <file>        JSON mapping config: {columns, levels, defaults, delimiter}
+  --format <format>       csv, json or markdown; from the file extension by default
+  --preview               Only show what would be created
+  --on-duplicate <mode>   skip (default) or create work items whose title already exists
+  --atomic                Delete the imported work items again when one fails
+  --concurrency <n>       Work items created at the same time, 1 to 10 (default 4)
+  --dry-run               Validate and list the write requests without sending them
+  --json                  Print the result as JSON
+  --token, --server-url, --teamspace-id
+                          Plan connection, defaults PLAN_ACCESS_TOKEN, PLAN_SERVER_URL, PLAN_TEAMSPACE_ID`;
+
+// Options taking a value; the others are flags
+const VALUE_OPTIONS = {
+    '--application': 'application',
+    '--project': 'projectName',
+    '--mapping': 'mapping',
+    '--format': 'format',
+    '--on-duplicate': 'onDuplicate',
+    '--concurrency': 'concurrency',
+    '--token': 'token',
+    '--server-url': 'serverUrl',
+    '--teamspace-id': 'teamspaceId'
+};
+const FLAG_OPTIONS = {
+    '--preview': 'preview',
+    '--atomic': 'atomic',
+    '--dry-run': 'dryRun',
+    '--json': 'json',
+    '--help': 'help'
+};
+
+// Parse the command line into the import options
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (VALUE_OPTIONS[arg]) {
+            if (i + 1 >= args.length) {
+                throw new Error(`${arg} needs a value`);
+            }
+            options[VALUE_OPTIONS[arg]] = args[++i];
+        } else if (FLAG_OPTIONS[arg]) {
+            options[FLAG_OPTIONS[arg]] = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else if (options.filePath) {
+            throw new Error(`Only one file can be imported, got ${options.filePath} and ${arg}`);
+        } else {
+            options.filePath = arg;
+        }
+    }
+    return options;
+}
+
+// One line per work item: row, status, display id, type and title, then the error if any
+function formatTable(items) {
+    const rows = items.map(item => [`#${item.index}`, item.status, item.id || "", item.type, item.title + (item.error ? ` (${item.error})` : "")]);
+    const widths = rows.reduce((max, row) => max.map((width, column) => Math.max(width, row[column].length)), [0, 0, 0, 0]);
+    return rows.map(row => row.map((cell, column) => column < widths.length ? cell.padEnd(widths[column]) : cell).join('  ')).join('\n');
+}
+
+async function main() {
+    loadEnv();
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!options.filePath || !options.application || !options.projectName) {
+        throw new Error(`A file, --application and --project are required\n\n${USAGE}`);
+    }
+
+    const token = options.token || process.env.PLAN_ACCESS_TOKEN;
+    const serverURL = options.serverUrl || process.env.PLAN_SERVER_URL;
+    const teamspaceID = options.teamspaceId || process.env.PLAN_TEAMSPACE_ID;
+    if (!token || !serverURL || !teamspaceID) {
+        throw new Error("Plan access token, server URL and teamspace ID are required. Set PLAN_ACCESS_TOKEN, PLAN_SERVER_URL and PLAN_TEAMSPACE_ID, or use --token, --server-url and --teamspace-id.");
+    }
+    if (options.onDuplicate && !["skip", "create"].includes(options.onDuplicate)) {
+        throw new Error(`--on-duplicate must be skip or create, not "${options.onDuplicate}"`);
+    }
+    const concurrency = options.concurrency === undefined ? undefined : Number(options.concurrency);
+    if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency >= 1 && concurrency <= 10)) {
+        throw new Error(`--concurrency must be a whole number from 1 to 10, not "${options.concurrency}"`);
+    }
+
+    let mapping;
+    if (options.mapping) {
+        const parsed = importMappingSchema.safeParse(JSON.parse(await readFile(options.mapping, 'utf8')));
+        if (!parsed.success) {
+            throw new Error(`Invalid mapping in ${options.mapping}: ${parsed.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ')}`);
+        }
+        mapping = parsed.data;
+    }
+
+    const client = new PlanClient({
+        serverURL,
+        teamspaceID,
+        token,
+        rejectUnauthorized: process.env.PLAN_REJECT_UNAUTHORIZED !== 'false' && process.env.NODE_TLS_REJECT_UNAUTHORIZED !== '0',
+        // Only warnings and errors on stderr unless PLAN_LOG_LEVEL asks for more
+        logger: createLogger({ PLAN_LOG_LEVEL: "warn", ...process.env }),
+        dryRun: ['true', '1'].includes((process.env.PLAN_DRY_RUN || '').toLowerCase())
+    });
+    // A local command reads whatever file its user names, so no FileAccess restriction
+    const result = await importWorkItems(client, {
+        application: options.application,
+        projectName: options.projectName,
+        filePath: options.filePath,
+        format: options.format,
+        mapping,
+        preview: options.preview,
+        onDuplicate: options.onDuplicate,
+        atomic: options.atomic,
+        concurrency,
+        dryRun: options.dryRun
+    });
+
+    if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        console.log(formatTable(result.items));
+        console.log(result.preview
+            ? `\nPreview: ${result.total - result.duplicates} of ${result.total} work item(s) would be created, ${result.duplicates} already exist.`
+            : `\n${result.dryRun ? "Dry run: " : ""}${result.created} created, ${result.failed} failed, ${result.duplicates} duplicate(s)${result.rolledBack ? ", rolled back" : ""}.`);
+    }
+    return result.failed > 0 ? 1 : 0;
+}
+
+try {
+    process.exitCode = await main();
+} catch (e) {
+    console.error(`plan-import: ${e.message}`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,235 @@
+// File formats import_work_items reads, by file extension
+export const IMPORT_FORMATS = {
+    csv: [".csv"],
+    json: [".json"],
+    markdown: [".md", ".markdown"]
+};
+
+// Properties of a work item to create; any other mapping target is set as a field of that name
+const ITEM_PROPERTIES = ["key", "title", "description", "type", "component", "parent", "owner", "priority", "release", "sprint"];
+
+// Columns mapped without a mapping entry: the property names, and the Plan field names of the same values
+const DEFAULT_COLUMNS = {
+    ...Object.fromEntries(ITEM_PROPERTIES.map(property => [property, property])),
+    wititle: "title",
+    witype: "type",
+    plannedrelease: "release"
+};
+
+const HEADING = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const LIST_ITEM = /^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/;
+const ATTRIBUTE = /^([^:]+?):\s*(.*)$/;
+
+/**
+ * Format of an import file, from its extension
+ * @param {string} filePath - Path of the file
+ * @returns {string} csv, json or markdown
+ * @throws {Error} For other extensions
+ */
+export function importFormatOf(filePath) {
+    const lower = filePath.toLowerCase();
+    const format = Object.keys(IMPORT_FORMATS).find(name => IMPORT_FORMATS[name].some(extension => lower.endsWith(extension)));
+    if (!format) {
+        throw new Error(`Cannot tell the format of ${filePath} from its extension; give format: ${Object.keys(IMPORT_FORMATS).join(', ')}`);
+    }
+    return format;
+}
+
+// Target of a column: the mapping entry when there is one (null or "" ignores the column), else the default
+function columnTarget(column, columns) {
+    if (Object.hasOwn(columns, column)) {
+        return columns[column] || null;
+    }
+    return DEFAULT_COLUMNS[column.toLowerCase().replace(/[\s_-]/g, '')] || null;
+}
+
+// Records of a CSV text (RFC 4180: quoted fields may hold delimiters, quotes and line breaks)
+function parseCsv(text, delimiter) {
+    const records = [[]];
+    let field = "";
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char !== '"') {
+                field += char;
+            } else if (text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else {
+                quoted = false;
+            }
+        } else if (char === '"' && field === "") {
+            quoted = true;
+        } else if (char === delimiter) {
+            records.at(-1).push(field);
+            field = "";
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            records.at(-1).push(field);
+            field = "";
+            records.push([]);
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error("CSV ends inside a quoted field");
+    }
+    records.at(-1).push(field);
+
+    const [header, ...rows] = records.filter(record => record.some(value => value.trim() !== ""));
+    if (!header) {
+        return [];
+    }
+    const names = header.map(name => name.trim());
+    return rows.map(row => ({ values: Object.fromEntries(names.map((name, index) => [name, (row[index] || "").trim()])) }));
+}
+
+// Rows of a JSON array of objects; objects may nest their children in a "children" array
+function parseJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Invalid JSON: ${e.message}`);
+    }
+    const rows = [];
+    const add = (objects, parent, depth) => {
+        if (!Array.isArray(objects)) {
+            throw new Error("JSON import expects an array of objects, or an object with an items array");
+        }
+        for (const object of objects) {
+            const { children, ...values } = object;
+            const index = rows.length;
+            rows.push({
+                values: Object.fromEntries(Object.entries(values)
+                    .filter(([, value]) => value !== null && value !== undefined)
+                    .map(([name, value]) => [name, Array.isArray(value) ? value.join('\n') : String(value)])),
+                parent,
+                depth
+            });
+            if (children !== undefined) {
+                add(children, index, depth + 1);
+            }
+        }
+    };
+    add(Array.isArray(data) ? data : data?.items, undefined, 0);
+    return rows;
+}
+
+/**
+ * Rows of a Markdown outline. Every heading and list item is a work item, nested under the
+ * closest heading or less indented list item before it. "Name: value" lines below an item
+ * set the column Name when the mapping knows it; other text becomes its description.
+ */
+function parseMarkdown(text, columns) {
+    const rows = [];
+    const open = [];
+    for (const line of text.split(/\r?\n/)) {
+        const heading = HEADING.exec(line);
+        const listItem = heading ? null : LIST_ITEM.exec(line);
+        if (heading || listItem) {
+            // Headings rank by level, list items below every heading by their indentation
+            const rank = heading ? heading[1].length : 10 + listItem[1].replace(/\t/g, "    ").length;
+            while (open.length > 0 && open.at(-1).rank >= rank) {
+                open.pop();
+            }
+            rows.push({ values: { title: (heading ? heading[2] : listItem[2]).trim() }, parent: open.at(-1)?.index, depth: open.length, notes: [] });
+            open.push({ rank, index: rows.length - 1 });
+            continue;
+        }
+
+        const row = rows.at(-1);
+        const attribute = ATTRIBUTE.exec(line.trim());
+        if (!row) {
+            continue;
+        }
+        if (attribute && columnTarget(attribute[1].trim(), columns)) {
+            row.values[attribute[1].trim()] = attribute[2].trim();
+        } else {
+            row.notes.push(line.trim());
+        }
+    }
+    return rows.map(({ notes, ...row }) => {
+        const description = notes.join('\n').trim();
+        return description && !row.values.description ? { ...row, values: { ...row.values, description } } : row;
+    });
+}
+
+/**
+ * Read the work items of an import file and map them to items for create_work_items_bulk.
+ * Columns (CSV headers, JSON keys, Markdown "Name: value" lines) map to item properties or
+ * fields through mapping.columns; columns named like a property (title, type, owner, ...) map
+ * to it by default, and other columns are ignored. Nesting in JSON and Markdown sets the parent, and mapping.levels the type
+ * by depth (e.g. ["Epic", "Story", "Task"]).
+ * @param {string} text - Content of the file
+ * @param {string} format - csv, json or markdown
+ * @param {Object} [mapping]
+ * @param {Object} [mapping.columns] - Column name -> item property or Plan field name; null ignores the column
+ * @param {string[]} [mapping.levels] - Work item type of each nesting depth, the last one for deeper items
+ * @param {Object} [mapping.defaults] - Property or field name -> value used when a row has none
+ * @param {string} [mapping.delimiter=","] - CSV field delimiter
+ * @returns {Array} Items {key, title, type, parent, ..., fields}; nested items get the key "#<row number>"
+ * @throws {Error} Listing every row without a title or a type
+ */
+export function parseWorkItems(text, format, { columns = {}, levels = [], defaults = {}, delimiter = "," } = {}) {
+    text = text.replace(/^\uFEFF/, "");
+    let rows;
+    if (format === "csv") {
+        rows = parseCsv(text, delimiter);
+    } else if (format === "json") {
+        rows = parseJson(text);
+    } else if (format === "markdown") {
+        rows = parseMarkdown(text, columns);
+    } else {
+        throw new Error(`Unknown import format "${format}"; use ${Object.keys(IMPORT_FORMATS).join(', ')}`);
+    }
+
+    const items = rows.map(row => {
+        const item = {};
+        const fields = new Map();
+        const set = (target, value) => {
+            if (ITEM_PROPERTIES.includes(target)) {
+                item[target] ??= value;
+            } else if (!fields.has(target)) {
+                fields.set(target, value);
+            }
+        };
+        for (const [column, value] of Object.entries(row.values)) {
+            const target = columnTarget(column, columns);
+            if (target && value !== "") {
+                set(target, value);
+            }
+        }
+        if (item.type === undefined && levels.length > 0 && row.depth !== undefined) {
+            item.type = levels[Math.min(row.depth, levels.length - 1)];
+        }
+        for (const [target, value] of Object.entries(defaults)) {
+            set(target, value);
+        }
+        if (fields.size > 0) {
+            item.fields = [...fields].map(([name, value]) => ({ name, value }));
+        }
+        return item;
+    });
+
+    // Nested rows point to their parent through its key, generated when the parent has none
+    rows.forEach((row, index) => {
+        if (row.parent !== undefined && items[index].parent === undefined) {
+            items[row.parent].key ??= `#${row.parent + 1}`;
+            items[index].parent = items[row.parent].key;
+        }
+    });
+
+    const problems = items.flatMap((item, index) => [
+        ...(item.title ? [] : [`row ${index + 1} has no title`]),
+        ...(item.type ? [] : [`row ${index + 1} has no type; map a type column, or give levels or a default type`])
+    ]);
+    if (problems.length > 0) {
+        throw new Error(`Cannot import: ${problems.join('; ')}`);
+    }
+    return items;
+}
@@ -0,0 +1,12 @@
+// Library entry point: use the Plan client from Node scripts without going through MCP
+export { PlanClient, PlanApiError, PlanSessionExpiredError, DRY_RUN_DBID } from "./plan-client.js";
+export { buildCommitField, toCommitFields, createEntity, updateEntity } from "./records.js";
+export { Logger, createLogger, redact } from "./logger.js";
+export { ToolPolicy, TOOL_MODES, createToolPolicy } from "./tool-policy.js";
+export { FileAccess, createFileAccess } from "./file-access.js";
+export { createRecordingFetch, createReplayFetch, loadFixtures } from "./fixtures.js";
+export { MetadataCache, createMetadataCache } from "./metadata-cache.js";
+export { COMP_OPS, BOOL_OPS, createFieldResolver, toFilterNode, checkFieldPaths } from "./filters.js";
+export { CURRENT_USER, findUsers, resolveUser } from "./users.js";
+export { IMPORT_FORMATS, importFormatOf, parseWorkItems } from "./importer.js";
+export { EXPORT_FORMATS, formatDate, formatExport } from "./exporter.js";
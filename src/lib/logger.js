@@ -0,0 +1,199 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { appendFileSync } from 'fs';
+import { SetLevelRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+
+// Severity order, most severe first
+const LEVELS = ["error", "warn", "info", "debug"];
+
+// MCP logging notifications use syslog level names
+const MCP_LEVELS = { error: "error", warn: "warning", info: "info", debug: "debug" };
+const MCP_SEVERITY = ["debug", "info", "notice", "warning", "error", "critical", "alert", "emergency"];
+
+// Keys whose values are never written out
+const SECRET_KEYS = /^(authorization|cookie|set-cookie|cookies|token|access_token|password|secret)$/i;
+
+/**
+ * Mask credentials inside a string (Basic/Bearer tokens and session cookies)
+ * @param {string} text - Text that may contain credentials
+ * @returns {string} The text with credentials replaced by [REDACTED]
+ */
+export function redactText(text) {
+    return text
+        .replace(/\b(Basic|Bearer)\s+[A-Za-z0-9+/=._~-]+/g, "$1 [REDACTED]")
+        .replace(/\b(JSESSIONID|LtpaToken2?|[A-Za-z_]*SESSION[A-Za-z_]*)=[^;,\s"]+/gi, "$1=[REDACTED]");
+}
+
+/**
+ * Deep copy a value with secrets masked
+ * @param {*} value - Any log payload
+ * @returns {*} A redacted copy safe to write to a log
+ */
+export function redact(value, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+        return redactText(value);
+    }
+    if (value instanceof Error) {
+        return { name: value.name, message: redactText(value.message), ...(value.status ? { status: value.status } : {}) };
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (seen.has(value)) {
+        return "[Circular]";
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, seen));
+    }
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = SECRET_KEYS.test(key) ? "[REDACTED]" : redact(item, seen);
+    }
+    return copy;
+}
+
+/**
+ * Leveled logger writing JSON lines to stderr (or a log file), never to stdout,
+ * which carries the MCP stdio stream. Entries logged while an attached server
+ * handles a message are also sent to that server's client, and to no other.
+ */
+export class Logger {
+    /**
+     * @param {Object} options
+     * @param {string} [options.level="info"] - error, warn, info or debug
+     * @param {string} [options.file] - Append to this file instead of stderr
+     * @param {string} [options.name="mcp-devops-plan"] - Logger name reported to MCP clients
+     */
+    constructor({ level = "info", file, name = "mcp-devops-plan" } = {}) {
+        if (!LEVELS.includes(level)) {
+            throw new Error(`Invalid log level "${level}". Use one of: ${LEVELS.join(', ')}`);
+        }
+        this.level = level;
+        this.file = file;
+        this.name = name;
+        this.servers = new Map();
+        // Attached server and request id of the message being handled
+        this.session = new AsyncLocalStorage();
+    }
+
+    /**
+     * Forward the entries logged while an MCP server handles a message to its client,
+     * as logging notifications. Call it before connecting the server. The server must
+     * declare the logging capability; clients can raise the notification threshold
+     * with logging/setLevel.
+     * @param {McpServer} server - Server whose client receives the notifications
+     */
+    attach(server) {
+        this.servers.set(server, MCP_LEVELS[this.level]);
+        server.server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+            this.servers.set(server, request.params.level);
+            return {};
+        });
+
+        // Handle each incoming message inside the session context of this server
+        const connect = server.connect.bind(server);
+        server.connect = async (transport) => {
+            await connect(transport);
+            const onmessage = transport.onmessage;
+            transport.onmessage = (message, extra) => this.session.run({ server, requestId: 'method' in message ? message.id : undefined }, () => onmessage(message, extra));
+        };
+    }
+
+    // Stop forwarding entries to the client of an MCP server
+    detach(server) {
+        this.servers.delete(server);
+    }
+
+    // True when entries of this level are written
+    isEnabled(level) {
+        return LEVELS.indexOf(level) <= LEVELS.indexOf(this.level);
+    }
+
+    /**
+     * Write a log entry
+     * @param {string} level - error, warn, info or debug
+     * @param {string} message - Short description of the event
+     * @param {Object} [data] - Structured details, redacted before writing
+     */
+    log(level, message, data) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            message: redactText(message),
+            ...(data !== undefined ? { data: redact(data) } : {})
+        };
+        const line = JSON.stringify(entry) + "\n";
+
+        try {
+            if (this.file) {
+                appendFileSync(this.file, line);
+            } else {
+                process.stderr.write(line);
+            }
+        } catch {
+            // Logging must never break a tool call
+        }
+
+        // Only the client whose message is being handled is told; entries logged
+        // outside of any session stay in the log
+        const session = this.session.getStore();
+        const threshold = session && this.servers.get(session.server);
+        const mcpLevel = MCP_LEVELS[level];
+        if (!threshold || MCP_SEVERITY.indexOf(mcpLevel) < MCP_SEVERITY.indexOf(threshold)) {
+            return;
+        }
+        session.server.server.notification({
+            method: "notifications/message",
+            params: {
+                level: mcpLevel,
+                logger: this.name,
+                data: { message: entry.message, ...(entry.data !== undefined ? { data: entry.data } : {}) }
+            }
+        }, {
+            relatedRequestId: session.requestId
+        }).catch(() => {
+            // The client may have gone away, or the request may be answered already
+        });
+    }
+
+    error(message, data) {
+        this.log("error", message, data);
+    }
+
+    warn(message, data) {
+        this.log("warn", message, data);
+    }
+
+    info(message, data) {
+        this.log("info", message, data);
+    }
+
+    debug(message, data) {
+        this.log("debug", message, data);
+    }
+}
+
+/**
+ * Create the logger configured by PLAN_LOG_LEVEL and PLAN_LOG_FILE
+ * @param {Object} env - Environment variables
+ * @returns {Logger}
+ */
+export function createLogger(env = process.env) {
+    return new Logger({
+        level: (env.PLAN_LOG_LEVEL || "info").toLowerCase(),
+        file: env.PLAN_LOG_FILE || undefined
+    });
+}
+
+// Logger that discards everything, used when a PlanClient is created without one
+export const silentLogger = {
+    error() {},
+    warn() {},
+    info() {},
+    debug() {}
+};
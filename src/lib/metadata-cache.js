@@ -0,0 +1,163 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { silentLogger } from "./logger.js";
+
+// Default lifetime of a cached entry
+const DEFAULT_TTL = 5 * 60 * 1000;
+
+// Bumped when the layout of the persisted file changes
+const FILE_VERSION = 1;
+
+/**
+ * TTL cache for Plan metadata that rarely changes (applications, projects, components,
+ * work item types and states). Entries are keyed by teamspace, application and kind,
+ * and can be persisted to a JSON file so they survive restarts.
+ */
+export class MetadataCache {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.ttl=300000] - Milliseconds an entry stays valid, 0 disables caching
+     * @param {string} [options.file] - Persist entries to this JSON file
+     * @param {Object} [options.logger] - Logger with error/warn/info/debug methods
+     * @param {Function} [options.now=Date.now] - Clock, replaceable in tests
+     */
+    constructor({ ttl = DEFAULT_TTL, file, logger = silentLogger, now = Date.now } = {}) {
+        if (!Number.isFinite(ttl) || ttl < 0) {
+            throw new Error(`Invalid cache TTL "${ttl}"`);
+        }
+        this.ttl = ttl;
+        this.file = file;
+        this.logger = logger;
+        this.now = now;
+        this.entries = new Map();
+        this.loading = new Map();
+        if (file) {
+            this.load();
+        }
+    }
+
+    // Cache key of a teamspace/application/kind triple
+    static key(teamspaceID, application, kind) {
+        return JSON.stringify([teamspaceID, application, kind]);
+    }
+
+    /**
+     * Return the cached value, or load and cache it when missing, expired or refresh is set.
+     * Concurrent callers for the same key share one load.
+     * @param {string} teamspaceID - Teamspace the data belongs to
+     * @param {string} application - Application the data belongs to, "" for teamspace-wide data
+     * @param {string} kind - What is cached (e.g. "projects")
+     * @param {Function} load - Async function fetching the value from Plan
+     * @param {Object} [options]
+     * @param {boolean} [options.refresh=false] - Bypass the cached value and reload it
+     * @returns {Promise<*>} The value
+     */
+    async get(teamspaceID, application, kind, load, { refresh = false } = {}) {
+        if (this.ttl === 0) {
+            return load();
+        }
+
+        const key = MetadataCache.key(teamspaceID, application, kind);
+        const entry = this.entries.get(key);
+        if (!refresh && entry && entry.expiresAt > this.now()) {
+            this.logger.debug("Metadata cache hit", { application, kind });
+            return entry.value;
+        }
+        if (!refresh && this.loading.has(key)) {
+            return this.loading.get(key);
+        }
+
+        const pending = (async () => {
+            const value = await load();
+            this.entries.set(key, { teamspaceID, application, kind, value, expiresAt: this.now() + this.ttl });
+            this.save();
+            return value;
+        })();
+        this.loading.set(key, pending);
+        try {
+            return await pending;
+        } finally {
+            if (this.loading.get(key) === pending) {
+                this.loading.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Drop cached entries of an application, or only some kinds of them
+     * @param {string} teamspaceID - Teamspace of the entries
+     * @param {string} application - Application of the entries
+     * @param {string[]} [kinds] - Kinds to drop, all when omitted
+     */
+    invalidate(teamspaceID, application, kinds) {
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (entry.teamspaceID === teamspaceID && entry.application === application && (!kinds || kinds.includes(entry.kind))) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+        if (removed > 0) {
+            this.logger.debug("Metadata cache invalidated", { application, kinds, removed });
+            this.save();
+        }
+    }
+
+    // Drop every entry
+    clear() {
+        this.entries.clear();
+        this.save();
+    }
+
+    // Read unexpired entries from the cache file; a missing or unreadable file starts empty
+    load() {
+        if (!existsSync(this.file)) {
+            return;
+        }
+        try {
+            const data = JSON.parse(readFileSync(this.file, 'utf8'));
+            if (data.version !== FILE_VERSION) {
+                return;
+            }
+            const now = this.now();
+            for (const entry of data.entries || []) {
+                if (entry.expiresAt > now) {
+                    this.entries.set(MetadataCache.key(entry.teamspaceID, entry.application, entry.kind), entry);
+                }
+            }
+        } catch (error) {
+            this.logger.warn("Ignoring unreadable metadata cache file", { file: this.file, error });
+        }
+    }
+
+    // Write the entries to the cache file, through a temporary file so readers never see half a file
+    save() {
+        if (!this.file) {
+            return;
+        }
+        try {
+            mkdirSync(dirname(this.file), { recursive: true });
+            const temp = `${this.file}.${process.pid}.tmp`;
+            writeFileSync(temp, JSON.stringify({ version: FILE_VERSION, entries: [...this.entries.values()] }));
+            renameSync(temp, this.file);
+        } catch (error) {
+            // The in-memory cache keeps working without the file
+            this.logger.warn("Failed to write metadata cache file", { file: this.file, error });
+        }
+    }
+}
+
+/**
+ * Create the metadata cache configured by PLAN_CACHE_TTL (seconds, 0 disables it) and PLAN_CACHE_FILE
+ * @param {Object} env - Environment variables
+ * @param {Object} [logger] - Logger for cache hits and file errors
+ * @returns {MetadataCache}
+ */
+export function createMetadataCache(env = process.env, logger) {
+    const seconds = env.PLAN_CACHE_TTL !== undefined && env.PLAN_CACHE_TTL !== '' ? Number(env.PLAN_CACHE_TTL) : DEFAULT_TTL / 1000;
+    return new MetadataCache({
+        ttl: seconds * 1000,
+        file: env.PLAN_CACHE_FILE || undefined,
+        logger
+    });
+}
@@ -0,0 +1,676 @@
+import https from 'https';
+import { Agent as HttpAgent } from 'http';
+import { AsyncLocalStorage } from 'async_hooks';
+import { silentLogger } from './logger.js';
+
+// Marks requests running inside PlanClient.withSession()
+const sessionScope = new AsyncLocalStorage();
+
+// Holds the writes recorded inside PlanClient.withDryRun()
+const dryRunScope = new AsyncLocalStorage();
+
+// Stand-in dbid for records a dry run would have created
+export const DRY_RUN_DBID = "<new>";
+
+/**
+ * Error raised when the Plan REST API answers with a non-2xx status
+ */
+export class PlanApiError extends Error {
+    /**
+     * @param {string} message - Human readable description of the failure
+     * @param {Object} details - {status, body} of the failed response
+     */
+    constructor(message, { status, body } = {}) {
+        super(message);
+        this.name = 'PlanApiError';
+        this.status = status;
+        this.body = body;
+    }
+}
+
+/**
+ * Error raised when the server rejects the session cookie (401, or an error answer saying the session expired)
+ */
+export class PlanSessionExpiredError extends PlanApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'PlanSessionExpiredError';
+    }
+}
+
+// Collect the individual Set-Cookie headers of a response
+function getSetCookies(headers) {
+    if (typeof headers.getSetCookie === 'function') {
+        return headers.getSetCookie();
+    }
+    const combined = headers.get('set-cookie');
+    // Split on the commas separating cookies, not the ones inside Expires dates
+    return combined ? combined.split(/,(?=\s*[^;=\s]+=)/).map(cookie => cookie.trim()) : [];
+}
+
+/**
+ * Parse a Set-Cookie header
+ * @param {string} setCookie - A single Set-Cookie header value
+ * @returns {Object} {name, value, expires} where expires is a timestamp in ms or null
+ */
+function parseSetCookie(setCookie) {
+    const [pair, ...attributes] = setCookie.split(';').map(part => part.trim());
+    const [name, value = ""] = pair.split(/=(.*)/s, 2);
+    let expires = null;
+
+    for (const attribute of attributes) {
+        const [key, attributeValue = ""] = attribute.split(/=(.*)/s, 2);
+        if (key.toLowerCase() === 'max-age' && /^-?\d+$/.test(attributeValue)) {
+            // Max-Age takes precedence over Expires
+            expires = Date.now() + Number(attributeValue) * 1000;
+            break;
+        }
+        if (key.toLowerCase() === 'expires') {
+            const date = Date.parse(attributeValue);
+            expires = Number.isNaN(date) ? null : date;
+        }
+    }
+
+    return { name, value, expires };
+}
+
+// Plan answers 401, or an error saying so, once the session cookie is no longer valid.
+// Other 403s are permission denials and must reach the caller as they are.
+function isSessionExpired(response, text) {
+    if (response.status === 401) {
+        return true;
+    }
+    return !response.ok && /session (has )?(expired|timed out|is invalid)|not logged in/i.test(text);
+}
+
+/**
+ * Thin client for the DevOps Plan (ccmweb) REST API.
+ *
+ * Handles the session cookie bootstrap and renewal, authentication headers and the
+ * self-signed certificate agents so callers only deal with Plan concepts
+ * (applications, entities, records and queries).
+ */
+export class PlanClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.serverURL - Base URL of the Plan server (e.g. https://host/plan)
+     * @param {string} options.teamspaceID - Teamspace the client operates on
+     * @param {string} options.token - Base64 encoded personal access token
+     * @param {boolean} [options.rejectUnauthorized=true] - Set to false to accept self-signed certificates
+     * @param {number} [options.commitDelay=1000] - Milliseconds to wait between a state change and its commit
+     * @param {number} [options.renewBeforeExpiry=60000] - Renew the session this many milliseconds before its cookie expires
+     * @param {Object} [options.logger] - Logger with error/warn/info/debug methods, silent by default
+     * @param {Function} [options.fetch] - fetch implementation, defaults to the global fetch
+     * @param {boolean} [options.dryRun=false] - Never send writes; they are logged and answered with a simulated response
+     * @param {MetadataCache} [options.cache] - Cache the metadata tools read through, none by default
+     */
+    constructor({ serverURL, teamspaceID, token, rejectUnauthorized = true, commitDelay = 1000, renewBeforeExpiry = 60000, logger = silentLogger, fetch: fetchImpl, dryRun = false, cache = null } = {}) {
+        if (!serverURL) {
+            throw new Error("serverURL is required");
+        }
+        if (!teamspaceID) {
+            throw new Error("teamspaceID is required");
+        }
+        if (!token) {
+            throw new Error("token is required");
+        }
+
+        this.serverURL = serverURL.replace(/\/+$/, '');
+        this.teamspaceID = teamspaceID;
+        this.token = token;
+        this.commitDelay = commitDelay;
+        this.logger = logger;
+        this.fetch = fetchImpl || globalThis.fetch.bind(globalThis);
+        this.cookieJar = new Map();
+        this.cookies = "";
+        this.sessionExpiresAt = null;
+        this.renewBeforeExpiry = renewBeforeExpiry;
+        this.renewal = null;
+        this.dryRun = dryRun;
+        this.cache = cache;
+
+        this.httpsAgent = new https.Agent({ rejectUnauthorized });
+        this.httpAgent = new HttpAgent({ keepAlive: true });
+    }
+
+    // Helper function to add the appropriate agent to fetch options
+    getAgentOptions(url) {
+        return {
+            agent: url.startsWith('https') ? this.httpsAgent : this.httpAgent
+        };
+    }
+
+    /**
+     * Fetch the session cookies from the analytics endpoint and store them on the client
+     * @returns {string} The Cookie header value sent with subsequent requests
+     */
+    async getCookies() {
+        const response = await this.fetch(`${this.serverURL}/ccmweb/rest/analytics/serverurl`, {
+            method: 'GET',
+            credentials: 'include',
+            ...this.getAgentOptions(this.serverURL)
+        });
+
+        if (!response.ok) {
+            throw new PlanApiError(`Failed to fetch cookies: ${response.status} ${response.statusText}`, { status: response.status });
+        }
+
+        if (!this.storeCookies(response.headers)) {
+            throw new Error("No cookies found in the response.");
+        }
+        return this.cookies;
+    }
+
+    /**
+     * Remember the cookies of a response and track when the session expires
+     * @param {Headers} headers - Response headers
+     * @returns {boolean} true when the response set at least one cookie
+     */
+    storeCookies(headers) {
+        const setCookies = getSetCookies(headers);
+        if (setCookies.length === 0) {
+            return false;
+        }
+
+        for (const setCookie of setCookies) {
+            const { name, value, expires } = parseSetCookie(setCookie);
+            if (expires !== null && expires <= Date.now()) {
+                // An expiry in the past is the server deleting the cookie
+                this.cookieJar.delete(name);
+            } else {
+                this.cookieJar.set(name, { value, expires });
+            }
+        }
+
+        const entries = [...this.cookieJar];
+        const expiries = entries.map(([, cookie]) => cookie.expires).filter(Boolean);
+        this.cookies = entries.map(([name, cookie]) => `${name}=${cookie.value}`).join('; ');
+        this.sessionExpiresAt = expiries.length > 0 ? Math.min(...expiries) : null;
+        return true;
+    }
+
+    // Forget the session cookies so the next request fetches new ones
+    invalidateSession() {
+        this.cookieJar.clear();
+        this.cookies = "";
+        this.sessionExpiresAt = null;
+    }
+
+    /**
+     * Drop the current session and fetch a new one. Concurrent callers share the same renewal.
+     */
+    async renewSession() {
+        if (!this.renewal) {
+            this.logger.info("Fetching a new Plan session");
+            this.invalidateSession();
+            this.renewal = this.getCookies().finally(() => {
+                this.renewal = null;
+            });
+        }
+        return this.renewal;
+    }
+
+    /**
+     * Make sure a session cookie is available, fetching one on first use and
+     * renewing it shortly before the expiry announced by the server
+     */
+    async ensureSession() {
+        if (this.renewal) {
+            await this.renewal;
+        } else if (!this.cookies || this.isSessionExpiring()) {
+            await this.renewSession();
+        }
+        return this.cookies;
+    }
+
+    // True when the session cookie expires within the renewal margin
+    isSessionExpiring() {
+        return Boolean(this.sessionExpiresAt) && Date.now() >= this.sessionExpiresAt - this.renewBeforeExpiry;
+    }
+
+    /**
+     * Run a sequence of requests that share server-side session state (e.g. Edit followed by Commit).
+     *
+     * Individual requests inside the sequence are not replayed when the session expires, since
+     * the pending edit is lost with the old session. Instead the whole sequence runs again once
+     * on a fresh session.
+     * @param {Function} fn - Async function performing the requests
+     */
+    async withSession(fn) {
+        if (sessionScope.getStore()) {
+            return fn();
+        }
+        try {
+            return await sessionScope.run(true, fn);
+        } catch (error) {
+            if (!(error instanceof PlanSessionExpiredError)) {
+                throw error;
+            }
+            await this.ensureSession();
+            return sessionScope.run(true, fn);
+        }
+    }
+
+    /**
+     * Run fn with writes recorded instead of sent. Reads still go to the server, so
+     * the sequence is validated against real data; creates, edits, commits, actions
+     * and deletes are answered with simulated responses.
+     * @param {Function} fn - Async function performing the requests
+     * @returns {Object} {result, requests}: what fn returned and the writes it would have sent
+     */
+    async withDryRun(fn) {
+        const requests = [];
+        const result = await dryRunScope.run(requests, fn);
+        return { result, requests };
+    }
+
+    /**
+     * Send a write request, or record it when running as a dry run
+     * @param {string} method - HTTP method
+     * @param {string} path - Path below /ccmweb/rest
+     * @param {Object} options - Request options, as for request()
+     * @param {Function} simulate - Returns the response used instead of the server's in a dry run
+     */
+    async write(method, path, options, simulate) {
+        const recorded = dryRunScope.getStore();
+        if (!recorded && !this.dryRun) {
+            return this.request(method, path, options);
+        }
+
+        const { body, operation } = options;
+        this.logger.info("Dry run, not sent", { operation, method, path });
+        recorded?.push({
+            method,
+            path,
+            operation,
+            ...(body !== undefined ? { body: typeof body === 'string' ? JSON.parse(body) : body } : {})
+        });
+        return simulate();
+    }
+
+    /**
+     * Perform an authenticated request against the Plan REST API.
+     *
+     * When the server reports an expired session the cookie is renewed and the request
+     * replayed once, unless it runs inside withSession().
+     * @param {string} method - HTTP method
+     * @param {string} path - Path below /ccmweb/rest (e.g. /repos/{teamspace}/databases)
+     * @param {Object} options
+     * @param {Object|string} [options.body] - Request body, objects are JSON encoded
+     * @param {string} [options.operation] - Label used in error messages (e.g. "Commit operation")
+     * @returns {Object|null} Parsed JSON response, or null for empty bodies
+     */
+    async request(method, path, { body, operation = `${method} ${path}` } = {}) {
+        const replay = !sessionScope.getStore();
+
+        for (let attempt = 1; ; attempt++) {
+            await this.ensureSession();
+            const cookies = this.cookies;
+
+            const url = `${this.serverURL}/ccmweb/rest${path}`;
+            const response = await this.fetch(url, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    'Authorization': `Basic ${this.token}`,
+                    'Cookie': cookies
+                },
+                ...(body !== undefined ? { body: typeof body === 'string' ? body : JSON.stringify(body) } : {}),
+                ...this.getAgentOptions(url)
+            });
+
+            const text = await response.text();
+            this.logger.debug(`${method} ${path}`, { status: response.status });
+            if (isSessionExpired(response, text)) {
+                this.logger.warn("Plan session expired", { operation, status: response.status, replay: replay && attempt === 1 });
+                // Another request may already have renewed the session meanwhile
+                if (this.cookies === cookies) {
+                    this.invalidateSession();
+                }
+                if (replay && attempt === 1) {
+                    continue;
+                }
+                throw new PlanSessionExpiredError(`${operation} failed with status ${response.status}: session expired`, {
+                    status: response.status,
+                    body: text
+                });
+            }
+
+            this.storeCookies(response.headers);
+            if (!response.ok) {
+                throw new PlanApiError(`${operation} failed with status ${response.status}: ${text}`, {
+                    status: response.status,
+                    body: text
+                });
+            }
+
+            if (!text) {
+                return null;
+            }
+            try {
+                return JSON.parse(text);
+            } catch {
+                return text;
+            }
+        }
+    }
+
+    // Build the path of a database (application) inside the teamspace
+    databasePath(application) {
+        return `/repos/${this.teamspaceID}/databases/${encodeURIComponent(application)}`;
+    }
+
+    // Build the path of a single record, addressed by dbid
+    recordPath(application, entityType, dbid) {
+        return `${this.databasePath(application)}/records/${entityType}/${dbid}`;
+    }
+
+    /**
+     * List the applications (databases) of the teamspace
+     * @returns {Array} Raw database descriptors ({dbId, name, ...})
+     */
+    async getDatabases() {
+        return this.request('GET', `/repos/${this.teamspaceID}/databases`, {
+            operation: "Get applications"
+        });
+    }
+
+    /**
+     * Run a query and return one page of its result set
+     * @param {string} application - Name of the Plan application
+     * @param {Object} queryDef - Plan queryDef (primaryEntityDefName, queryFieldDefs, filterNode)
+     * @param {Object} resultSetOptions - Plan resultSetOptions (pageSize, convertToLocalTime, ...)
+     * @param {Object} options
+     * @param {number} [options.pageNumber] - Page to fetch, omitted to use the server default
+     * @returns {Object} The result page with the resultSetId added
+     */
+    async query(application, queryDef, resultSetOptions = {}, { pageNumber } = {}) {
+        const queryData = await this.request('POST', `${this.databasePath(application)}/query`, {
+            body: { queryDef, resultSetOptions },
+            operation: "Query"
+        });
+
+        const resultSetId = queryData?.result_set_id;
+        if (!resultSetId) {
+            throw new Error(`Failed to retrieve result set ID. Response: ${JSON.stringify(queryData)}`);
+        }
+
+        const page = await this.getResultPage(application, resultSetId, pageNumber);
+        return { ...page, resultSetId };
+    }
+
+    /**
+     * Fetch one page of an existing result set
+     * @param {string} application - Name of the Plan application
+     * @param {string} resultSetId - Id returned by the query endpoint
+     * @param {number} [pageNumber] - Page to fetch, omitted to use the server default
+     */
+    async getResultPage(application, resultSetId, pageNumber) {
+        const pageQuery = pageNumber ? `?pageNumber=${pageNumber}` : '';
+        return this.request('GET', `${this.databasePath(application)}/query/${resultSetId}${pageQuery}`, {
+            operation: "Fetch result set"
+        });
+    }
+
+    /**
+     * Iterate over the pages of an existing result set, one request per page.
+     * Stops after an empty page or one shorter than the page size.
+     * @param {string} application - Name of the Plan application
+     * @param {string} resultSetId - Id returned by the query endpoint
+     * @param {Object} [options]
+     * @param {number} [options.pageSize] - Page size the query was run with
+     * @param {number} [options.firstPage=1] - Page to start at
+     * @yields {Object} Result pages, rows always set
+     */
+    async *resultPages(application, resultSetId, { pageSize, firstPage = 1 } = {}) {
+        for (let pageNumber = firstPage; ; pageNumber++) {
+            const page = await this.getResultPage(application, resultSetId, pageNumber);
+            const rows = page?.rows || [];
+            yield { ...page, rows };
+            if (rows.length === 0 || (pageSize && rows.length < pageSize)) {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Run a query and iterate over every page of its result set, so large results
+     * never have to be held in memory at once
+     * @param {string} application - Name of the Plan application
+     * @param {Object} queryDef - Plan queryDef (primaryEntityDefName, queryFieldDefs, filterNode)
+     * @param {Object} resultSetOptions - Plan resultSetOptions, pageSize sets the rows per request
+     * @yields {Object} Result pages with the resultSetId added
+     */
+    async *queryPages(application, queryDef, resultSetOptions = {}) {
+        const first = await this.query(application, queryDef, resultSetOptions, { pageNumber: 1 });
+        const rows = first.rows || [];
+        yield { ...first, rows };
+
+        const { pageSize } = resultSetOptions;
+        if (rows.length === 0 || (pageSize && rows.length < pageSize)) {
+            return;
+        }
+        for await (const page of this.resultPages(application, first.resultSetId, { pageSize, firstPage: 2 })) {
+            yield { ...page, resultSetId: first.resultSetId };
+        }
+    }
+
+    /**
+     * List the root folders of the workspace query tree (e.g. Public Queries, Personal Queries)
+     * @param {string} application - Name of the Plan application
+     * @returns {Array} Folders ({dbId, name, pathName})
+     */
+    async getWorkspaceFolders(application) {
+        return this.request('GET', `${this.databasePath(application)}/workspace/folders`, {
+            operation: "Get workspace folders"
+        });
+    }
+
+    /**
+     * List the subfolders and saved queries of a workspace folder
+     * @param {string} application - Name of the Plan application
+     * @param {string} folderDbId - The dbId of the folder
+     * @returns {Array} Items ({dbId, name, pathName, itemType: "FOLDER" or "QUERY"})
+     */
+    async getWorkspaceFolderItems(application, folderDbId) {
+        return this.request('GET', `${this.databasePath(application)}/workspace/folders/${folderDbId}/items`, {
+            operation: `Get workspace folder ${folderDbId}`
+        });
+    }
+
+    /**
+     * Read a saved query of the workspace
+     * @param {string} application - Name of the Plan application
+     * @param {string} queryDbId - The dbId of the saved query
+     * @returns {Object} The queryDef with its dbId, name and pathName
+     */
+    async getSavedQuery(application, queryDbId) {
+        return this.request('GET', `${this.databasePath(application)}/workspace/queryDefs/${queryDbId}`, {
+            operation: `Get saved query ${queryDbId}`
+        });
+    }
+
+    /**
+     * Get the definition of an entity type
+     * @param {string} application - Name of the Plan application
+     * @param {string} entityType - Entity type (e.g., "WorkItem")
+     * @returns {Object} {name, fieldDefs: [{name, fieldType, referencedEntityDefName}]}
+     */
+    async getEntityDef(application, entityType) {
+        return this.request('GET', `${this.databasePath(application)}/entitydefs/${entityType}`, {
+            operation: `Get ${entityType} definition`
+        });
+    }
+
+    /**
+     * Get the records of an entity type, including their action definitions
+     * @param {string} application - Name of the Plan application
+     * @param {string} entityType - Entity type (e.g., "WorkItem")
+     */
+    async getRecords(application, entityType) {
+        return this.request('GET', `${this.databasePath(application)}/records/${entityType}`, {
+            operation: `Get ${entityType} records`
+        });
+    }
+
+    /**
+     * Read a single record
+     * @param {string} application - Name of the Plan application
+     * @param {string} entityType - Entity type (e.g., "Sprint", "Release", "WorkItem")
+     * @param {string} dbid - The dbid of the record, or its display name when useDbid is false
+     * @param {Object} [options]
+     * @param {boolean} [options.useDbid=true] - false to address the record by display name (e.g. a work item id)
+     */
+    async getRecord(application, entityType, dbid, { useDbid = true } = {}) {
+        return this.request('GET', `${this.recordPath(application, entityType, encodeURIComponent(dbid))}?useDbid=${useDbid}`, {
+            operation: `Get ${entityType} ${dbid}`
+        });
+    }
+
+    /**
+     * Read the history of a record: one entry per action run on it, oldest first
+     * @param {string} application - Name of the Plan application
+     * @param {string} entityType - Entity type of the record
+     * @param {string} dbid - The dbid of the record
+     * @returns {Array} Entries ({actionName, userName, actionTimestamp, oldState, newState, fieldChanges: [{fieldName, oldValue, newValue}]})
+     */
+    async getRecordHistory(application, entityType, dbid) {
+        return this.request('GET', `${this.recordPath(application, entityType, dbid)}/history?useDbid=true`, {
+            operation: `Get history of ${entityType} ${dbid}`
+        });
+    }
+
+    /**
+     * Get the values a field of a record may take (choice list, or the records a reference may point to)
+     * @param {string} application - Name of the Plan application
+     * @param {string} entityType - Entity type of the record
+     * @param {string} dbid - The dbid of the record
+     * @param {string} fieldName - Name of the field
+     * @returns {Array} Allowed values, empty when the field has no choice list
+     */
+    async getFieldChoiceList(application, entityType, dbid, fieldName) {
+        return this.request('GET', `${this.recordPath(application, entityType, dbid)}/fields/${encodeURIComponent(fieldName)}/choiceList?useDbid=true`, {
+            operation: `Get ${fieldName} choices of ${entityType} ${dbid}`
+        });
+    }
+
+    /**
+     * List the attachments of an attachment field
+     * @param {string} application - Name of the Plan application
+     * @param {string} entityType - Entity type of the record
+     * @param {string} dbid - The dbid of the record
+     * @param {string} fieldName - Attachment list field (e.g. "Attachments")
+     * @returns {Array} Attachments ({attachmentId, fileName, fileSize, description, uploadedOn})
+     */
+    async getAttachments(application, entityType, dbid, fieldName) {
+        return this.request('GET', `${this.recordPath(application, entityType, dbid)}/attachments/${encodeURIComponent(fieldName)}?useDbid=true`, {
+            operation: `Get ${fieldName} of ${entityType} ${dbid}`
+        });
+    }
+
+    /**
+     * Download an attachment
+     * @param {string} application - Name of the Plan application
+     * @param {string} entityType - Entity type of the record
+     * @param {string} dbid - The dbid of the record
+     * @param {string} fieldName - Attachment list field
+     * @param {string} attachmentId - Id of the attachment
+     * @returns {Object} The attachment with its base64 encoded content
+     */
+    async getAttachment(application, entityType, dbid, fieldName, attachmentId) {
+        return this.request('GET', `${this.recordPath(application, entityType, dbid)}/attachments/${encodeURIComponent(fieldName)}/${attachmentId}?useDbid=true`, {
+            operation: `Download attachment ${attachmentId} of ${entityType} ${dbid}`
+        });
+    }
+
+    /**
+     * Upload a file to an attachment field
+     * @param {string} application - Name of the Plan application
+     * @param {string} entityType - Entity type of the record
+     * @param {string} dbid - The dbid of the record
+     * @param {string} fieldName - Attachment list field
+     * @param {Object} attachment - {fileName, description, content} with base64 encoded content
+     * @returns {Object} The new attachment, without its content
+     */
+    async addAttachment(application, entityType, dbid, fieldName, { fileName, description = "", content }) {
+        return this.write('POST', `${this.recordPath(application, entityType, dbid)}/attachments/${encodeURIComponent(fieldName)}?useDbid=true`, {
+            body: { fileName, description, content },
+            operation: `Upload ${fileName} to ${entityType} ${dbid}`
+        }, () => ({ attachmentId: DRY_RUN_DBID, fileName, fileSize: Buffer.from(content, 'base64').length, description }));
+    }
+
+    /**
+     * Create a new record in edit mode; it must be committed with commitRecord
+     * @param {string} application - Name of the Plan application
+     * @param {string} entityType - Entity type to create
+     * @param {Array} fields - Initial {name, value} pairs
+     * @returns {Object} The new record, including its dbId
+     */
+    async createRecord(application, entityType, fields = []) {
+        return this.write('POST', `${this.databasePath(application)}/records/${entityType}?operation=Edit&useDbid=true`, {
+            body: { fields },
+            operation: "Create operation"
+        }, () => ({ dbId: DRY_RUN_DBID, entityDefName: entityType, fields }));
+    }
+
+    /**
+     * Set field values on a record that is in edit mode (operation=Edit)
+     * @param {string} application - Name of the Plan application
+     * @param {string} entityType - Entity type of the record
+     * @param {string} dbid - The dbid of the record
+     * @param {Array} fields - Array of {name, value} or {name, valueAsList}
+     * @returns {Object} The record as returned by the server, with full field metadata
+     */
+    async editRecord(application, entityType, dbid, fields) {
+        return this.write('PATCH', `${this.recordPath(application, entityType, dbid)}?operation=Edit&useDbid=true`, {
+            body: { fields },
+            operation: "Edit operation"
+        }, () => ({
+            dbId: dbid,
+            entityDefName: entityType,
+            // The server would answer with full field metadata; echo what was sent
+            fields: fields.map(field => ({ ...field, valueAsList: field.valueAsList || (field.value ? [field.value] : []) }))
+        }));
+    }
+
+    /**
+     * Commit a record that is in edit mode (operation=Commit)
+     * @param {string} application - Name of the Plan application
+     * @param {string} entityType - Entity type of the record
+     * @param {string} dbid - The dbid of the record
+     * @param {Object} payload - Commit body ({dbId, fields, ...})
+     */
+    async commitRecord(application, entityType, dbid, payload) {
+        return this.write('PATCH', `${this.recordPath(application, entityType, dbid)}?operation=Commit&useDbid=true`, {
+            body: payload,
+            operation: "Commit operation"
+        }, () => ({ ...payload, dbId: dbid, entityDefName: entityType }));
+    }
+
+    /**
+     * Start an action (e.g. Modify or a state transition) on a record, putting it in edit mode
+     * @param {string} application - Name of the Plan application
+     * @param {string} entityType - Entity type of the record
+     * @param {string} dbid - The dbid of the record
+     * @param {string} actionName - Name of the action to run
+     */
+    async runAction(application, entityType, dbid, actionName) {
+        return this.write('PATCH', `${this.recordPath(application, entityType, dbid)}?actionName=${encodeURIComponent(actionName)}&operation=Edit&useDbid=true`, {
+            body: "{}",
+            operation: `${actionName} action`
+        }, () => ({ dbId: dbid, entityDefName: entityType }));
+    }
+
+    /**
+     * Delete a record using the Delete action
+     * @param {string} application - Name of the Plan application
+     * @param {string} entityType - Entity type of the record
+     * @param {string} dbid - The dbid of the record
+     */
+    async deleteRecord(application, entityType, dbid) {
+        return this.write('DELETE', `${this.recordPath(application, entityType, dbid)}?actionName=Delete&useDbid=true`, {
+            operation: "Delete operation"
+        }, () => null);
+    }
+}
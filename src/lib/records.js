@@ -0,0 +1,156 @@
+/**
+ * Build a field entry in the full structure the Commit operation expects
+ * @param {Object} field
+ * @param {string} field.name - Field name
+ * @param {string} field.value - Field value
+ * @param {string} [field.type="SHORT_STRING"] - Plan field type
+ * @param {string} [field.requiredness="OPTIONAL"] - MANDATORY, OPTIONAL or READONLY
+ * @param {Array} [field.valueAsList] - Explicit list value, defaults to [value]
+ * @param {number} [field.maxLength] - Defaults to 254 for SHORT_STRING and 0 otherwise
+ * @returns {Object} Commit field object
+ */
+export function buildCommitField({ name, value, type = "SHORT_STRING", requiredness = "OPTIONAL", valueAsList, maxLength }) {
+    return {
+        name,
+        value,
+        valueStatus: value ? "HAS_VALUE" : "HAS_NO_VALUE",
+        validationStatus: "_KNOWN_VALID",
+        requiredness,
+        requirednessForUser: requiredness,
+        type,
+        valueAsList: valueAsList || (value ? [value] : []),
+        messageText: "",
+        maxLength: maxLength ?? (type === "SHORT_STRING" ? 254 : 0)
+    };
+}
+
+/**
+ * Copy the field metadata returned by an Edit operation into Commit fields
+ * @param {Array} fields - Fields from an Edit response
+ * @returns {Array} Commit field objects
+ */
+export function toCommitFields(fields = []) {
+    return fields.map(field => ({
+        name: field.name,
+        value: field.value,
+        valueStatus: field.valueStatus,
+        validationStatus: field.validationStatus,
+        requiredness: field.requiredness,
+        requirednessForUser: field.requirednessForUser,
+        type: field.type,
+        valueAsList: field.valueAsList,
+        messageText: field.messageText || "",
+        maxLength: field.maxLength || 0
+    }));
+}
+
+/**
+ * Read a work item by dbid or by display id (e.g. "WI00000011")
+ * @param {PlanClient} client - Client used to talk to Plan
+ * @param {string} application - Name of the Plan application
+ * @param {string} workItem - dbid (digits only) or display id of the work item
+ * @returns {Object} The record, with its dbId, fields and legalActions
+ */
+export async function readWorkItem(client, application, workItem) {
+    return client.getRecord(application, "WorkItem", workItem, { useDbid: /^\d+$/.test(workItem) });
+}
+
+/**
+ * Value of a field of a record read from Plan
+ * @param {Object} record - Record returned by getRecord() or an Edit/Commit operation
+ * @param {string} name - Field name
+ * @returns {string} The value, "" when the field is missing or empty
+ */
+export function fieldValue(record, name) {
+    return record?.fields?.find(field => field.name === name)?.value || "";
+}
+
+/**
+ * Create a record the way the web client does: Create (operation=Edit), Edit with the field
+ * values, then Commit with the field metadata returned by the Edit
+ * @param {PlanClient} client - Client used to talk to Plan
+ * @param {string} application - Name of the Plan application
+ * @param {string} entityType - Entity type (e.g., "WorkItem")
+ * @param {Array} editFields - Array of {name, value} or {name, valueAsList}
+ * @returns {Object} The committed record
+ */
+export async function createEntity(client, application, entityType, editFields) {
+    // The three steps share the server-side edit, so they are replayed together if the session expires
+    return client.withSession(async () => {
+        // Step 1: POST with operation=Edit to create an empty record and get its dbId
+        const createData = await client.createRecord(application, entityType);
+        const targetDbid = createData.dbId;
+
+        // Step 2: PATCH with operation=Edit to set field values
+        const editData = await client.editRecord(application, entityType, targetDbid, editFields);
+
+        // Step 3: PATCH with operation=Commit to finalize creation
+        return client.commitRecord(application, entityType, targetDbid, {
+            dbId: targetDbid,
+            displayName: editData.displayName || entityType,
+            entityDefName: entityType,
+            fields: toCommitFields(editData.fields)
+        });
+    });
+}
+
+/**
+ * Shared helper function for updating entities using the Edit+Commit pattern
+ * @param {PlanClient} client - Client used to talk to Plan
+ * @param {string} application - Name of the Plan application
+ * @param {string} entityType - Entity type (e.g., "Sprint", "Release", "WorkItem")
+ * @param {string} entityDbid - The dbid of the entity to update
+ * @param {Array} editFields - Array of {name, value} for Edit operation
+ * @param {Array} commitFields - Array of full field objects for Commit operation
+ * @param {Object} commitPayloadExtras - Additional fields for commit payload (e.g., {dbId})
+ * @returns {Object} The committed record
+ */
+export async function updateEntity(client, application, entityType, entityDbid, editFields, commitFields, commitPayloadExtras = {}) {
+    // Both steps share the server-side edit, so they are replayed together if the session expires
+    return client.withSession(async () => {
+        // Step 1: PATCH with operation=Edit (simple fields structure)
+        await client.editRecord(application, entityType, entityDbid, editFields);
+
+        // Step 2: PATCH with operation=Commit (full field structure with metadata)
+        return client.commitRecord(application, entityType, entityDbid, {
+            ...commitPayloadExtras,
+            fields: commitFields
+        });
+    });
+}
+
+/**
+ * Add a name to a REFERENCE_LIST field of a Project (e.g. Sprints, Releases).
+ * Invalidates the cached metadata of the application.
+ * @param {PlanClient} client - Client used to talk to Plan
+ * @param {string} application - Name of the Plan application
+ * @param {string} projectID - The dbid of the project
+ * @param {string} fieldName - Reference list field on the project
+ * @param {string} value - Name of the referenced record to add
+ * @returns {boolean} false when the value was already present
+ */
+export async function addToProjectList(client, application, projectID, fieldName, value) {
+    const projectData = await client.getRecord(application, "Project", projectID);
+    const listField = projectData.fields.find(f => f.name === fieldName);
+
+    // Get existing entries and add the new one if not already present
+    const existing = listField?.valueAsList || [];
+    if (existing.includes(value)) {
+        return false;
+    }
+    existing.push(value);
+
+    await client.commitRecord(application, "Project", projectID, {
+        dbId: projectID,
+        fields: [buildCommitField({
+            name: fieldName,
+            value: existing.join('\n'),
+            type: "REFERENCE_LIST",
+            valueAsList: existing
+        })]
+    });
+
+    // Cached project metadata of the application is stale now
+    client.cache?.invalidate(client.teamspaceID, application);
+    return true;
+}
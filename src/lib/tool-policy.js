@@ -0,0 +1,222 @@
+import { randomUUID } from 'crypto';
+import { z } from "zod";
+import { silentLogger } from "./logger.js";
+
+// readonly: only tools annotated readOnlyHint, safe: destructive tools need confirmation, full: everything
+export const TOOL_MODES = ["readonly", "safe", "full"];
+
+// How long a confirmation token stays valid
+const CONFIRMATION_TTL = 5 * 60 * 1000;
+
+// Comma or whitespace separated list of tool names
+function parseToolList(value) {
+    if (!value) {
+        return [];
+    }
+    const list = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+    return list.map(name => name.trim()).filter(Boolean);
+}
+
+// JSON with sorted object keys, so equal arguments give equal strings
+function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJSON).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Output schema of a confirmable tool: a confirmation result carries none of the tool's own fields
+function confirmableOutput(shape) {
+    return {
+        ...Object.fromEntries(Object.entries(shape).map(([key, schema]) => [key, schema.optional()])),
+        confirmationRequired: z.boolean().optional().describe("True when nothing was changed and the call must be repeated with confirm"),
+        confirmationToken: z.string().optional().describe("Token to pass as confirm when repeating the call"),
+        request: z.record(z.any()).optional().describe("Arguments the token was issued for")
+    };
+}
+
+/**
+ * Decides which tools a server exposes and which need a confirmation step.
+ *
+ * Tools describe themselves with MCP tool annotations: readOnlyHint for tools
+ * that only read from Plan, destructiveHint for deletes and bulk changes.
+ */
+export class ToolPolicy {
+    /**
+     * @param {Object} options
+     * @param {string} [options.mode="full"] - readonly, safe or full
+     * @param {string|string[]} [options.allow] - Only these tools are registered, when given
+     * @param {string|string[]} [options.deny] - These tools are never registered
+     * @param {boolean} [options.dryRun=false] - Every call is a dry run (PLAN_DRY_RUN), so nothing needs confirming
+     * @param {Object} [options.logger] - Logger with error/warn/info/debug methods
+     */
+    constructor({ mode = "full", allow, deny, dryRun = false, logger = silentLogger } = {}) {
+        if (!TOOL_MODES.includes(mode)) {
+            throw new Error(`Invalid mode "${mode}". Use one of: ${TOOL_MODES.join(', ')}`);
+        }
+        this.mode = mode;
+        this.allow = new Set(parseToolList(allow));
+        this.deny = new Set(parseToolList(deny));
+        this.dryRun = dryRun;
+        this.logger = logger;
+        // Pending confirmations per server, so a token only works in the session it was issued to
+        this.confirmations = new WeakMap();
+        this.checkedNames = false;
+    }
+
+    /**
+     * Whether a tool may be registered
+     * @param {string} name - Tool name
+     * @param {Object} [annotations] - MCP tool annotations of the tool
+     * @returns {boolean}
+     */
+    isAllowed(name, annotations = {}) {
+        if (this.deny.has(name)) {
+            return false;
+        }
+        if (this.allow.size > 0 && !this.allow.has(name)) {
+            return false;
+        }
+        return this.mode !== "readonly" || annotations.readOnlyHint === true;
+    }
+
+    // Destructive tools need a confirmation step in safe mode, unless every call is a dry run
+    requiresConfirmation(annotations = {}) {
+        return this.mode === "safe" && !this.dryRun && annotations.readOnlyHint !== true && annotations.destructiveHint === true;
+    }
+
+    // Pending confirmations of a server, by token
+    pendingConfirmations(server) {
+        if (!this.confirmations.has(server)) {
+            this.confirmations.set(server, new Map());
+        }
+        return this.confirmations.get(server);
+    }
+
+    // Issue a token confirming one call of a tool on a server with exactly these arguments
+    requestConfirmation(server, name, args) {
+        const pending = this.pendingConfirmations(server);
+        const now = Date.now();
+        for (const [token, confirmation] of pending) {
+            if (confirmation.expiresAt <= now) {
+                pending.delete(token);
+            }
+        }
+        const token = randomUUID();
+        pending.set(token, { name, args: canonicalJSON(args), expiresAt: now + CONFIRMATION_TTL });
+        return token;
+    }
+
+    // Use up a confirmation token, true when it was issued on this server for this call
+    consumeConfirmation(server, name, args, token) {
+        const pending = this.pendingConfirmations(server);
+        const confirmation = pending.get(token);
+        if (!confirmation || confirmation.name !== name || confirmation.args !== canonicalJSON(args)) {
+            return false;
+        }
+        pending.delete(token);
+        return confirmation.expiresAt > Date.now();
+    }
+
+    /**
+     * Wrap a tool handler so it only runs once the caller repeats the call with
+     * the confirmation token returned by the first call.
+     * @param {McpServer} server - Server the tool is registered on; its tokens work nowhere else
+     * @param {string} name - Tool name
+     * @param {Function} handler - Original tool handler
+     * @returns {Function} Handler taking the extra confirm argument
+     */
+    confirmable(server, name, handler) {
+        return async ({ confirm, ...args }, extra) => {
+            // A dry run or a preview changes nothing, so there is nothing to confirm
+            if (args.dryRun === true || args.preview === true) {
+                return handler(args, extra);
+            }
+            if (confirm && this.consumeConfirmation(server, name, args, confirm)) {
+                this.logger.info("Confirmed destructive tool call", { tool: name });
+                return handler(args, extra);
+            }
+
+            const token = this.requestConfirmation(server, name, args);
+            const reason = confirm
+                ? "The confirmation token is invalid, has expired or was issued for different arguments."
+                : `${name} changes or removes Plan data and the server runs in safe mode.`;
+            return {
+                content: [{
+                    type: 'text',
+                    text: `Confirmation required: ${reason} Nothing was changed. Review the request below, then call ${name} again with the same arguments and confirm: "${token}" within 5 minutes to proceed.\n\nRequest: ${JSON.stringify(args)}`
+                }],
+                structuredContent: { confirmationRequired: true, confirmationToken: token, request: args }
+            };
+        };
+    }
+
+    /**
+     * Wrap an MCP server so tools registered through it follow this policy.
+     * Tools are registered with server.registerTool(name, config, handler), the
+     * policy reads config.annotations.
+     * @param {McpServer} server - Server to register the permitted tools on
+     * @returns {Object} Object with a registerTool() method that filters and guards registrations
+     */
+    guard(server) {
+        const registered = [];
+        return {
+            registerTool: (name, config, handler) => {
+                const annotations = config.annotations || {};
+                registered.push(name);
+                if (!this.isAllowed(name, annotations)) {
+                    this.logger.debug("Tool disabled by configuration", { tool: name, mode: this.mode });
+                    return undefined;
+                }
+                if (this.requiresConfirmation(annotations)) {
+                    return server.registerTool(name, {
+                        ...config,
+                        inputSchema: {
+                            ...config.inputSchema,
+                            confirm: z.string().optional().describe("Confirmation token returned by the previous call of this tool. Leave it out on the first call.")
+                        },
+                        ...(config.outputSchema ? { outputSchema: confirmableOutput(config.outputSchema) } : {})
+                    }, this.confirmable(server, name, handler));
+                }
+                return server.registerTool(name, config, handler);
+            },
+            checkToolNames: () => this.checkToolNames(registered)
+        };
+    }
+
+    // Warn once about allow/deny entries that match no tool, usually a typo
+    checkToolNames(names) {
+        if (this.checkedNames) {
+            return;
+        }
+        this.checkedNames = true;
+        const known = new Set(names);
+        for (const name of [...this.allow, ...this.deny]) {
+            if (!known.has(name)) {
+                this.logger.warn("Unknown tool name in allow/deny list", { tool: name });
+            }
+        }
+    }
+}
+
+/**
+ * Create the tool policy configured by PLAN_MODE, PLAN_ALLOWED_TOOLS, PLAN_DENIED_TOOLS and PLAN_DRY_RUN
+ * @param {Object} env - Environment variables
+ * @param {Object} [logger] - Logger for disabled tools and confirmations
+ * @returns {ToolPolicy}
+ */
+export function createToolPolicy(env = process.env, logger) {
+    return new ToolPolicy({
+        mode: (env.PLAN_MODE || "full").toLowerCase(),
+        allow: env.PLAN_ALLOWED_TOOLS,
+        deny: env.PLAN_DENIED_TOOLS,
+        dryRun: ['true', '1'].includes((env.PLAN_DRY_RUN || '').toLowerCase()),
+        logger
+    });
+}
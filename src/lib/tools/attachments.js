@@ -0,0 +1,201 @@
+import { readFile } from 'fs/promises';
+import { basename, extname } from 'path';
+import { z } from "zod";
+import { readWorkItem } from "../records.js";
+import { dryRunOutput, dryRunParam, dryRunResult, isDryRun } from "./dry-run.js";
+
+// MIME types of the files usually attached to work items; anything else is sent as octet-stream
+const MIME_TYPES = {
+    ".txt": "text/plain",
+    ".log": "text/plain",
+    ".md": "text/markdown",
+    ".csv": "text/csv",
+    ".json": "application/json",
+    ".xml": "application/xml",
+    ".html": "text/html",
+    ".pdf": "application/pdf",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".svg": "image/svg+xml",
+    ".zip": "application/zip"
+};
+
+const mimeType = fileName => MIME_TYPES[extname(fileName).toLowerCase()] || "application/octet-stream";
+
+const attachmentSchema = z.object({
+    attachmentId: z.string(),
+    fileName: z.string(),
+    fileSize: z.number().describe("Size in bytes"),
+    description: z.string(),
+    mimeType: z.string()
+});
+
+// Attachment as returned by the tools
+function toAttachment({ attachmentId, fileName, fileSize, description }) {
+    return { attachmentId: String(attachmentId), fileName, fileSize: Number(fileSize) || 0, description: description || "", mimeType: mimeType(fileName) };
+}
+
+/**
+ * Read a work item and pick its attachment field
+ * @param {PlanClient} client - Client used to talk to Plan
+ * @param {string} application - Name of the Plan application
+ * @param {string} workItem - dbid or display id of the work item
+ * @param {string} [field] - Attachment field to use, the first ATTACHMENT_LIST field of the record when omitted
+ * @returns {Promise<Object>} {dbid, field}
+ * @throws {Error} When the work item has no such attachment field
+ */
+async function attachmentField(client, application, workItem, field) {
+    const record = await readWorkItem(client, application, workItem);
+    const fields = (record.fields || []).filter(candidate => candidate.type === "ATTACHMENT_LIST").map(candidate => candidate.name);
+    if (fields.length === 0) {
+        throw new Error(`Work item ${workItem} has no attachment field`);
+    }
+    if (field && !fields.includes(field)) {
+        throw new Error(`${field} is not an attachment field of work item ${workItem}. Attachment fields: ${fields.join(', ')}`);
+    }
+    return { dbid: String(record.dbId), field: field || fields[0] };
+}
+
+const fieldParam = z.string().optional().describe("Attachment field, the work item's first attachment field (usually Attachments) when omitted");
+
+/**
+ * Register the work item attachment tools
+ * @param {McpServer} server - Server to register the tools on
+ * @param {PlanClient} client - Client used to talk to Plan
+ * @param {FileAccess} files - Local files upload_attachment may read
+ */
+export function registerAttachmentTools(server, client, files) {
+    // Tool to list the files attached to a work item
+    server.registerTool(
+        "list_attachments",
+        {
+            description: "Lists the files attached to a work item",
+            inputSchema: {
+                application: z.string().describe("Name of the application"),
+                workItem: z.string().describe("dbid or display id of the work item"),
+                field: fieldParam
+            },
+            outputSchema: {
+                dbid: z.string(),
+                field: z.string(),
+                attachments: z.array(attachmentSchema)
+            },
+            annotations: { readOnlyHint: true }
+        },
+        async ({ application, workItem, field }) => {
+            try {
+                const target = await attachmentField(client, application, workItem, field);
+                const attachments = await client.getAttachments(application, "WorkItem", target.dbid, target.field);
+                const structuredContent = { ...target, attachments: (attachments || []).map(toAttachment) };
+                return {
+                    content: [{ type: 'text', text: `Attachments retrieved: ${JSON.stringify(structuredContent)}` }],
+                    structuredContent
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error listing attachments: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to download one attachment as an embedded resource
+    server.registerTool(
+        "download_attachment",
+        {
+            description: "Downloads a file attached to a work item. The file is returned as an embedded resource with its base64 content.",
+            inputSchema: {
+                application: z.string().describe("Name of the application"),
+                workItem: z.string().describe("dbid or display id of the work item"),
+                attachmentId: z.string().describe("attachmentId from list_attachments"),
+                field: fieldParam
+            },
+            outputSchema: {
+                dbid: z.string(),
+                field: z.string(),
+                attachment: attachmentSchema,
+                uri: z.string().describe("URI of the embedded resource holding the content")
+            },
+            annotations: { readOnlyHint: true }
+        },
+        async ({ application, workItem, attachmentId, field }) => {
+            try {
+                const target = await attachmentField(client, application, workItem, field);
+                const downloaded = await client.getAttachment(application, "WorkItem", target.dbid, target.field, attachmentId);
+                const attachment = toAttachment(downloaded);
+                const uri = `${client.serverURL}/ccmweb/rest${client.recordPath(application, "WorkItem", target.dbid)}/attachments/${encodeURIComponent(target.field)}/${attachmentId}`;
+                return {
+                    content: [
+                        { type: 'text', text: `Attachment downloaded: ${JSON.stringify(attachment)}` },
+                        { type: 'resource', resource: { uri, mimeType: attachment.mimeType, blob: downloaded.content || "" } }
+                    ],
+                    structuredContent: { ...target, attachment, uri }
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error downloading attachment: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to attach a file to a work item
+    server.registerTool(
+        "upload_attachment",
+        {
+            description: "Attaches a file to a work item, such as a log, a screenshot or a test report. Give either the path of a local file or its base64 content with a file name.",
+            inputSchema: {
+                application: z.string().describe("Name of the application"),
+                workItem: z.string().describe("dbid or display id of the work item"),
+                filePath: z.string().optional().describe("Path of the file to upload, on the machine running this server and inside its file root if it has one"),
+                content: z.string().optional().describe("Base64 encoded content, instead of filePath"),
+                fileName: z.string().optional().describe("Name of the attachment; required with content, defaults to the name of filePath"),
+                description: z.string().optional().describe("Description of the attachment"),
+                field: fieldParam,
+                dryRun: dryRunParam
+            },
+            outputSchema: {
+                dbid: z.string(),
+                field: z.string(),
+                attachment: attachmentSchema.optional(),
+                ...dryRunOutput
+            },
+            annotations: { destructiveHint: false }
+        },
+        async ({ application, workItem, filePath, content, fileName, description, field, dryRun }) => {
+            try {
+                if (Boolean(filePath) === (content !== undefined)) {
+                    throw new Error("Give either filePath or content");
+                }
+                if (content !== undefined && !fileName) {
+                    throw new Error("fileName is required with content");
+                }
+                const name = fileName || basename(filePath);
+                const data = filePath ? (await readFile(await files.resolve(filePath))).toString('base64') : content;
+
+                const target = await attachmentField(client, application, workItem, field);
+                const upload = () => client.addAttachment(application, "WorkItem", target.dbid, target.field, { fileName: name, description, content: data });
+
+                if (isDryRun(client, dryRun)) {
+                    const { requests } = await client.withDryRun(upload);
+                    return dryRunResult("upload_attachment", requests, target);
+                }
+
+                const attachment = toAttachment(await upload());
+                return {
+                    content: [{ type: 'text', text: `Attachment ${attachment.fileName} (${attachment.fileSize} bytes) uploaded to work item ${target.dbid} as ${attachment.attachmentId}.` }],
+                    structuredContent: { ...target, attachment }
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error uploading attachment: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+}
@@ -0,0 +1,438 @@
+import { z } from "zod";
+import { toFilterNode } from "../filters.js";
+import { createEntity, fieldValue, readWorkItem } from "../records.js";
+import { resolveUser } from "../users.js";
+import { DEFAULT_CONCURRENCY, concurrencyParam, mapConcurrent } from "./concurrency.js";
+import { dryRunOutput, dryRunParam, isDryRun } from "./dry-run.js";
+import { checkParentType } from "./hierarchy.js";
+import { readRows } from "./paging.js";
+import { applicationFieldResolver, filterNodeSchema } from "./query.js";
+import { mapRows } from "./rows.js";
+import { changeWorkItemState, updateWorkItemFields } from "./work-items.js";
+
+// A work item to create
+const newWorkItemSchema = z.object({
+    key: z.string().optional().describe("Name later items of this call can use as parent"),
+    title: z.string(),
+    description: z.string().optional(),
+    type: z.string().describe("Work item type, e.g. Epic, Story, Task, Bug"),
+    component: z.string().optional(),
+    parent: z.string().optional().describe("key of an earlier item of this call, or dbid / display id of an existing work item"),
+    owner: z.string().optional().describe("Login name, full name or email"),
+    priority: z.string().optional(),
+    release: z.string().optional().describe("Planned release name"),
+    sprint: z.string().optional().describe("Sprint name; the sprint must belong to the release"),
+    fields: z.array(z.object({ name: z.string(), value: z.string() })).optional().describe("Other fields to set, e.g. StoryPoints")
+});
+
+const itemResultSchema = z.object({
+    index: z.number().describe("Position of the item in the request"),
+    key: z.string().optional(),
+    title: z.string(),
+    status: z.enum(["created", "failed", "skipped", "rolled-back"]),
+    dbid: z.string().optional(),
+    id: z.string().optional().describe("Display id of the new work item"),
+    url: z.string().optional(),
+    error: z.string().optional()
+});
+
+const changeResultSchema = z.object({
+    workItem: z.string().describe("The work item as given, or its dbid when selected by filter"),
+    id: z.string().optional().describe("Display id, once the work item was read"),
+    status: z.enum(["succeeded", "skipped", "failed"]),
+    reason: z.string().optional().describe("Why the work item was skipped"),
+    error: z.string().optional()
+});
+
+const changeSummaryOutput = {
+    succeeded: z.number(),
+    skipped: z.number(),
+    failed: z.number(),
+    items: z.array(changeResultSchema),
+    ...dryRunOutput
+};
+
+// Group the items so that each one comes after the item its parent key names
+function creationLevels(items) {
+    const byKey = new Map();
+    for (const [index, item] of items.entries()) {
+        if (item.key !== undefined) {
+            if (byKey.has(item.key)) {
+                throw new Error(`Duplicate key "${item.key}"`);
+            }
+            byKey.set(item.key, index);
+        }
+    }
+    const levels = new Array(items.length);
+    const levelOf = (index, path = []) => {
+        if (levels[index] !== undefined) {
+            return levels[index];
+        }
+        if (path.includes(index)) {
+            throw new Error(`Items ${path.map(position => `#${position}`).join(', ')} form a parent cycle`);
+        }
+        const parent = byKey.get(items[index].parent);
+        levels[index] = parent === undefined ? 0 : levelOf(parent, [...path, index]) + 1;
+        return levels[index];
+    };
+    items.forEach((item, index) => levelOf(index));
+
+    const grouped = [];
+    levels.forEach((level, index) => (grouped[level] ??= []).push(index));
+    return { levels: grouped, byKey };
+}
+
+// Resolve each distinct value once; failures are kept per value and reported on the items using it
+async function resolveAll(values, resolve) {
+    const resolved = new Map();
+    for (const value of new Set(values.filter(Boolean))) {
+        try {
+            resolved.set(value, { value: await resolve(value) });
+        } catch (e) {
+            resolved.set(value, { error: e.message });
+        }
+    }
+    return resolved;
+}
+
+/**
+ * Create work items of a project, parents before their children, with bounded concurrency.
+ * Failures are reported per item; with atomic, the work items created are deleted again when one fails.
+ * @param {PlanClient} client - Client used to talk to Plan
+ * @param {string} application - Name of the Plan application
+ * @param {string} projectName - Name of the project
+ * @param {Array} items - Items as for create_work_items_bulk: {key, title, description, type, component, parent, owner, priority, release, sprint, fields}
+ * @param {Object} [options]
+ * @param {boolean} [options.atomic=false] - All or nothing
+ * @param {number} [options.concurrency=4] - Work items created at the same time
+ * @param {boolean} [options.dryRun] - Record the writes instead of sending them
+ * @returns {Promise<Object>} {created, failed, rolledBack, items}, plus {dryRun, requests} in a dry run
+ * @throws {Error} For duplicate keys and parent cycles, before anything is created
+ */
+export async function createWorkItems(client, application, projectName, items, { atomic = false, concurrency = DEFAULT_CONCURRENCY, dryRun } = {}) {
+    const { levels, byKey } = creationLevels(items);
+    const owners = await resolveAll(items.map(item => item.owner), async owner => (await resolveUser(client, application, owner)).login);
+    const existingParents = await resolveAll(items.map(item => byKey.has(item.parent) ? undefined : item.parent), async parent => {
+        const record = await readWorkItem(client, application, parent);
+        return { id: record.displayName, type: fieldValue(record, "WIType") };
+    });
+
+    const results = items.map((item, index) => ({ index, ...(item.key !== undefined ? { key: item.key } : {}), title: item.title, status: "skipped" }));
+    const createdRecords = [];
+    let failedOnce = false;
+
+    const createOne = async index => {
+        const item = items[index];
+        const result = results[index];
+        if (atomic && failedOnce) {
+            return;
+        }
+        try {
+            let parent;
+            if (byKey.has(item.parent)) {
+                const parentResult = results[byKey.get(item.parent)];
+                if (parentResult.status !== "created") {
+                    throw new Error(`Parent "${item.parent}" was not created`);
+                }
+                parent = { id: parentResult.id, type: items[parentResult.index].type };
+            } else if (item.parent) {
+                const resolved = existingParents.get(item.parent);
+                if (resolved.error) {
+                    throw new Error(`Parent ${item.parent}: ${resolved.error}`);
+                }
+                parent = resolved.value;
+            }
+            if (parent) {
+                checkParentType(item.type, parent.type, parent.id);
+            }
+            const owner = item.owner ? owners.get(item.owner) : undefined;
+            if (owner?.error) {
+                throw new Error(owner.error);
+            }
+
+            // PlannedRelease is set before Sprint: Plan only accepts a sprint of the work item's release
+            const editFields = [
+                { name: "Title", value: item.title },
+                ...(item.description !== undefined ? [{ name: "Description", value: item.description }] : []),
+                { name: "WIType", value: item.type },
+                { name: "Project", value: projectName },
+                ...(item.component ? [{ name: "Component", value: item.component }] : []),
+                ...(owner ? [{ name: "Owner", value: owner.value }] : []),
+                ...(item.priority ? [{ name: "Priority", value: item.priority }] : []),
+                ...(item.release ? [{ name: "PlannedRelease", value: item.release }] : []),
+                ...(item.sprint ? [{ name: "Sprint", value: item.sprint }] : []),
+                ...(parent ? [{ name: "Parent", value: parent.id }] : []),
+                ...(item.fields || [])
+            ];
+            const committed = await createEntity(client, application, "WorkItem", editFields);
+            createdRecords.push(committed);
+            Object.assign(result, {
+                status: "created",
+                dbid: String(committed.dbId),
+                id: committed.displayName || "",
+                ...(committed.viewURL ? { url: `${client.serverURL}/#${committed.viewURL}` } : {})
+            });
+        } catch (e) {
+            failedOnce = true;
+            Object.assign(result, { status: "failed", error: e.message });
+        }
+    };
+
+    const createAll = async () => {
+        for (const level of levels) {
+            await mapConcurrent(level, concurrency, createOne);
+        }
+    };
+
+    const dry = isDryRun(client, dryRun);
+    let requests;
+    if (dry) {
+        ({ requests } = await client.withDryRun(createAll));
+    } else {
+        await createAll();
+    }
+
+    // All or nothing: take back what was created, newest first so children go before their parents
+    let rolledBack = false;
+    if (atomic && failedOnce && createdRecords.length > 0 && !dry) {
+        rolledBack = true;
+        for (const record of [...createdRecords].reverse()) {
+            const result = results.find(candidate => candidate.dbid === String(record.dbId));
+            try {
+                await client.deleteRecord(application, "WorkItem", record.dbId);
+                result.status = "rolled-back";
+            } catch (e) {
+                rolledBack = false;
+                result.error = `Created, but could not be deleted during rollback: ${e.message}`;
+            }
+        }
+    }
+
+    const created = results.filter(result => result.status === "created").length;
+    const failed = results.filter(result => result.status === "failed").length;
+    return { created, failed, rolledBack, items: results, ...(dry ? { dryRun: true, requests } : {}) };
+}
+
+// Work items a bulk change runs on: the given dbids / display ids, or every work item matching the filter
+async function selectWorkItems(client, application, workItems, filter) {
+    if (Boolean(workItems) === Boolean(filter)) {
+        throw new Error("Give either workItems or filter");
+    }
+    if (workItems) {
+        return [...new Set(workItems)];
+    }
+    const filterNode = await toFilterNode(filter, "WorkItem", applicationFieldResolver(client, application));
+    const { rows } = await readRows(client, application, {
+        primaryEntityDefName: "WorkItem",
+        queryFieldDefs: [{ fieldPathName: "dbid", isShown: true }],
+        filterNode
+    }, {
+        convertToLocalTime: false
+    }, {});
+    return mapRows(rows, ["dbid"]).map(row => row.dbid);
+}
+
+/**
+ * Run change on each work item with bounded concurrency, reporting every finished
+ * work item as a progress notification when the request has a progressToken
+ * @returns {Promise<Array>} One result per work item, in order
+ */
+function runChanges(targets, concurrency, extra, change) {
+    const progressToken = extra?._meta?.progressToken;
+    let done = 0;
+    return mapConcurrent(targets, concurrency, async workItem => {
+        const result = { workItem };
+        try {
+            Object.assign(result, await change(workItem, result));
+        } catch (e) {
+            Object.assign(result, { status: "failed", error: e.message });
+        }
+        done++;
+        if (progressToken !== undefined) {
+            await extra.sendNotification({
+                method: "notifications/progress",
+                params: {
+                    progressToken,
+                    progress: done,
+                    total: targets.length,
+                    message: `${result.id || workItem}: ${result.status}${result.reason || result.error ? ` (${result.reason || result.error})` : ""}`
+                }
+            });
+        }
+        return result;
+    });
+}
+
+// Result of a bulk change: counts per status, and a table of the work items that were not changed
+function changeSummary(verb, results, dry, requests) {
+    const count = status => results.filter(result => result.status === status).length;
+    const structuredContent = {
+        succeeded: count("succeeded"),
+        skipped: count("skipped"),
+        failed: count("failed"),
+        items: results,
+        ...(dry ? { dryRun: true, requests } : {})
+    };
+    const lines = [dry
+        ? `Dry run: no changes were made in Plan. ${structuredContent.succeeded} of ${results.length} work item(s) would be ${verb} with ${requests.length} write request(s); ${structuredContent.skipped} skipped, ${structuredContent.failed} failed.`
+        : `${structuredContent.succeeded} of ${results.length} work item(s) ${verb}; ${structuredContent.skipped} skipped, ${structuredContent.failed} failed.`];
+    if (results.length > 0) {
+        lines.push("", "| Work item | Status | Detail |", "|---|---|---|",
+            ...results.map(result => `| ${result.id || result.workItem} | ${result.status} | ${result.reason || result.error || ""} |`));
+    }
+    return {
+        content: [{ type: 'text', text: lines.join('\n') }],
+        structuredContent
+    };
+}
+
+/**
+ * Register the bulk work item tools
+ * @param {McpServer} server - Server to register the tools on
+ * @param {PlanClient} client - Client used to talk to Plan
+ */
+export function registerBulkTools(server, client) {
+    // Tool to create many work items in one call
+    server.registerTool(
+        "create_work_items_bulk",
+        {
+            description: "Creates many work items of a project in one call, with bounded concurrency, and reports the outcome of each. Items can be the parent of later items through their key. With atomic, the work items already created are deleted again when one fails.",
+            inputSchema: {
+                application: z.string().describe("Name of the application"),
+                projectName: z.string().describe("Name of the project"),
+                items: z.array(newWorkItemSchema).min(1).describe("Work items to create"),
+                atomic: z.boolean().optional().describe("All or nothing: when an item fails, stop and delete the work items this call created"),
+                concurrency: concurrencyParam,
+                dryRun: dryRunParam
+            },
+            outputSchema: {
+                created: z.number(),
+                failed: z.number(),
+                rolledBack: z.boolean().describe("True when atomic mode deleted the created work items again"),
+                items: z.array(itemResultSchema),
+                ...dryRunOutput
+            },
+            annotations: { destructiveHint: true }
+        },
+        async ({ application, projectName, items, atomic, concurrency, dryRun }) => {
+            try {
+                const structuredContent = await createWorkItems(client, application, projectName, items, { atomic, concurrency, dryRun });
+                const { created, rolledBack, items: results, requests } = structuredContent;
+                const problems = results.filter(result => result.error).map(result => `- #${result.index} ${result.title}: ${result.error}`);
+                const summary = structuredContent.dryRun
+                    ? `Dry run: no changes were made in Plan. ${items.length} work item(s) would be created with ${requests.length} write request(s).`
+                    : `Created ${created} of ${items.length} work item(s)${rolledBack ? ", then rolled back every one of them" : ""}.`;
+                return {
+                    content: [{ type: 'text', text: [summary, ...problems].join('\n') + `\n${JSON.stringify(results)}` }],
+                    structuredContent
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error creating work items: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    const selectionInput = {
+        application: z.string().describe("Name of the application"),
+        workItems: z.array(z.string()).min(1).optional().describe("dbids or display ids of the work items to change"),
+        filter: filterNodeSchema.optional().describe("Filter tree selecting the work items to change, as for query_records. Give either workItems or filter."),
+        concurrency: concurrencyParam,
+        dryRun: dryRunParam
+    };
+
+    // Tool to set the same fields on many work items
+    server.registerTool(
+        "bulk_update_work_items",
+        {
+            description: "Sets the same field values on many work items, given as a list or selected by a query filter. Work items already holding every value are skipped. Sends a progress notification per work item when the request has a progressToken.",
+            inputSchema: {
+                ...selectionInput,
+                fields: z.array(z.object({
+                    name: z.string().describe("Field name"),
+                    value: z.string().describe("New value"),
+                    type: z.string().optional().describe("Field type, as for update_work_item. Defaults to 'SHORT_STRING'.")
+                })).min(1).describe("Fields to set, in order: put PlannedRelease before Sprint")
+            },
+            outputSchema: changeSummaryOutput,
+            annotations: { destructiveHint: true }
+        },
+        async ({ application, workItems, filter, fields, concurrency = DEFAULT_CONCURRENCY, dryRun }, extra) => {
+            try {
+                const targets = await selectWorkItems(client, application, workItems, filter);
+                const updateAll = () => runChanges(targets, concurrency, extra, async (workItem, result) => {
+                    const record = await readWorkItem(client, application, workItem);
+                    result.id = record.displayName || "";
+                    const knownFields = new Set((record.fields || []).map(field => field.name));
+                    const unknownFields = fields.filter(field => !knownFields.has(field.name));
+                    if (unknownFields.length > 0) {
+                        throw new Error(`Unknown field(s): ${unknownFields.map(field => field.name).join(', ')}`);
+                    }
+                    if (fields.every(field => fieldValue(record, field.name) === field.value)) {
+                        return { status: "skipped", reason: "Already has these values" };
+                    }
+                    await updateWorkItemFields(client, application, String(record.dbId), fields);
+                    return { status: "succeeded" };
+                });
+
+                const dry = isDryRun(client, dryRun);
+                if (dry) {
+                    const { result, requests } = await client.withDryRun(updateAll);
+                    return changeSummary("updated", result, true, requests);
+                }
+                return changeSummary("updated", await updateAll(), false);
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error updating work items: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to run the same state change on many work items
+    server.registerTool(
+        "bulk_change_state",
+        {
+            description: "Runs the same state change action (e.g. 'Resolve', 'Close') on many work items, given as a list or selected by a query filter. Work items the action is not available for in their current state are skipped. Sends a progress notification per work item when the request has a progressToken.",
+            inputSchema: {
+                ...selectionInput,
+                targetState: z.string().describe("The state change action to run, as for change_work_item_state")
+            },
+            outputSchema: changeSummaryOutput,
+            annotations: { destructiveHint: true }
+        },
+        async ({ application, workItems, filter, targetState, concurrency = DEFAULT_CONCURRENCY, dryRun }, extra) => {
+            try {
+                const dry = isDryRun(client, dryRun);
+                const targets = await selectWorkItems(client, application, workItems, filter);
+                const changeAll = () => runChanges(targets, concurrency, extra, async (workItem, result) => {
+                    const record = await readWorkItem(client, application, workItem);
+                    result.id = record.displayName || "";
+                    const legalActions = record.legalActions?.map(action => action.actionName);
+                    if (legalActions && !legalActions.includes(targetState)) {
+                        return {
+                            status: "skipped",
+                            reason: `'${targetState}' is not available in state ${fieldValue(record, "State")}. Available actions: ${legalActions.join(', ')}`
+                        };
+                    }
+                    await changeWorkItemState(client, application, String(record.dbId), targetState, !dry);
+                    return { status: "succeeded" };
+                });
+
+                if (dry) {
+                    const { result, requests } = await client.withDryRun(changeAll);
+                    return changeSummary(`changed with '${targetState}'`, result, true, requests);
+                }
+                return changeSummary(`changed with '${targetState}'`, await changeAll(), false);
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error changing work item states: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+}
@@ -0,0 +1,192 @@
+import { z } from "zod";
+import { fieldValue, readWorkItem } from "../records.js";
+import { createWorkItems } from "./bulk.js";
+import { concurrencyParam } from "./concurrency.js";
+import { dryRunOutput, dryRunParam } from "./dry-run.js";
+import { LINK_TYPES } from "./links.js";
+import { readRows } from "./paging.js";
+import { mapRows } from "./rows.js";
+
+// Editable fields that are not copied: set by the clone itself, or the history of the original
+const NOT_COPIED = ["Project", "Parent", "Notes_Entry", "Notes_Log", ...new Set(Object.values(LINK_TYPES).map(type => type.field))];
+
+// Field types that are not copied whatever the field is called: attachments and journals cannot be set as a value
+const NOT_COPIED_TYPES = ["ATTACHMENT_LIST", "JOURNAL"];
+
+// Fields whose values belong to a project, dropped when cloning into another project
+const PROJECT_FIELDS = ["Component", "PlannedRelease", "FoundInRelease", "Sprint"];
+
+// Fields create_work_items_bulk takes as item properties: field name -> property
+const ITEM_FIELDS = {
+    Title: "title",
+    Description: "description",
+    WIType: "type",
+    Component: "component",
+    Owner: "owner",
+    Priority: "priority",
+    PlannedRelease: "release",
+    Sprint: "sprint"
+};
+
+// Subtrees deeper than this are reported instead of followed
+const MAX_DEPTH = 50;
+
+// The work item and, with withChildren, its descendants, parents before children
+async function readSubtree(client, application, root, withChildren) {
+    const records = [{ record: root }];
+    const seen = new Set([String(root.dbId)]);
+    for (let level = [root], depth = 0; withChildren && level.length > 0; depth++) {
+        if (depth === MAX_DEPTH) {
+            throw new Error(`The hierarchy under ${root.displayName} is deeper than ${MAX_DEPTH} levels`);
+        }
+        const next = [];
+        for (const parent of level) {
+            const { rows } = await readRows(client, application, {
+                primaryEntityDefName: "WorkItem",
+                queryFieldDefs: [{ fieldPathName: "dbid", isShown: true }],
+                filterNode: { boolOp: "BOOL_OP_AND", fieldFilters: [{ fieldPath: "Parent", compOp: "COMP_OP_EQ", values: [parent.displayName] }] }
+            }, {
+                convertToLocalTime: false
+            }, {});
+            for (const { dbid } of mapRows(rows, ["dbid"]).filter(row => !seen.has(row.dbid))) {
+                seen.add(dbid);
+                const child = await readWorkItem(client, application, dbid);
+                records.push({ record: child, parent: String(parent.dbId) });
+                next.push(child);
+            }
+        }
+        level = next;
+    }
+    return records;
+}
+
+// Item for createWorkItems() copying the editable fields of a record, with the overrides applied.
+// REFERENCE_LIST values are kept as lists, and a list override is comma separated.
+function cloneItem(record, overrides, sameProject) {
+    const lists = new Set((record.fields || []).filter(field => field.type === "REFERENCE_LIST").map(field => field.name));
+    const values = new Map((record.fields || [])
+        .filter(field => (field.requirednessForUser || field.requiredness) !== "READONLY" && !NOT_COPIED.includes(field.name) && !NOT_COPIED_TYPES.includes(field.type))
+        .filter(field => sameProject || !PROJECT_FIELDS.includes(field.name))
+        .map(field => [field.name, lists.has(field.name) ? field.valueAsList || [] : field.value || ""]));
+    for (const { name, value } of overrides) {
+        values.set(name, lists.has(name) ? value.split(',').map(v => v.trim()).filter(Boolean) : value);
+    }
+
+    const item = { key: String(record.dbId) };
+    const fields = [];
+    for (const [name, value] of values) {
+        if (value.length === 0) {
+            continue;
+        }
+        if (Array.isArray(value)) {
+            fields.push({ name, value: value.join('\n'), valueAsList: value });
+        } else if (ITEM_FIELDS[name]) {
+            item[ITEM_FIELDS[name]] = value;
+        } else {
+            fields.push({ name, value });
+        }
+    }
+    return { ...item, ...(fields.length > 0 ? { fields } : {}) };
+}
+
+/**
+ * Register the work item clone tool
+ * @param {McpServer} server - Server to register the tools on
+ * @param {PlanClient} client - Client used to talk to Plan
+ */
+export function registerCloneTools(server, client) {
+    // Tool to copy a work item, and optionally its children, into new records
+    server.registerTool(
+        "clone_work_item",
+        {
+            description: "Copies the editable fields of a work item into a new work item, in the same or another project or application. With withChildren the whole child hierarchy is cloned too, under the new work item. Overrides (e.g. Sprint, Owner) apply to every clone. All or nothing: if one clone fails, the clones already created are deleted. Returns a map from old to new dbids.",
+            inputSchema: {
+                application: z.string().describe("Name of the application of the work item"),
+                workItem: z.string().describe("dbid or display id of the work item to clone"),
+                targetApplication: z.string().optional().describe("Application to create the clones in, the same one by default"),
+                targetProject: z.string().optional().describe("Project to create the clones in, the project of the work item by default"),
+                withChildren: z.boolean().optional().describe("Also clone the children of the work item, recursively"),
+                overrides: z.array(z.object({
+                    name: z.string().describe("Field name, e.g. 'Sprint', 'Owner', 'Title'"),
+                    value: z.string().describe("Value for every clone, comma separated for a reference list; an empty string leaves the field empty")
+                })).optional().describe("Field values to use instead of the copied ones. Put PlannedRelease with Sprint when the sprint belongs to another release."),
+                concurrency: concurrencyParam,
+                dryRun: dryRunParam
+            },
+            outputSchema: {
+                source: z.string().describe("Display id of the cloned work item"),
+                clone: z.string().describe("Display id of its clone"),
+                dbidMap: z.record(z.string()).describe("dbid of each original work item -> dbid of its clone"),
+                clones: z.array(z.object({
+                    dbid: z.string().describe("dbid of the original"),
+                    id: z.string().describe("Display id of the original"),
+                    newDbid: z.string(),
+                    newId: z.string(),
+                    url: z.string().optional()
+                })),
+                ...dryRunOutput
+            },
+            annotations: { destructiveHint: true }
+        },
+        async ({ application, workItem, targetApplication = application, targetProject, withChildren = false, overrides = [], concurrency, dryRun }) => {
+            try {
+                const fixed = overrides.filter(override => ["Project", "Parent"].includes(override.name));
+                if (fixed.length > 0) {
+                    throw new Error(`${fixed.map(override => override.name).join(' and ')} cannot be overridden; use targetProject, or set_parent on the clone`);
+                }
+                const root = await readWorkItem(client, application, workItem);
+                const projectName = targetProject || fieldValue(root, "Project");
+                const sameProject = targetApplication === application && projectName === fieldValue(root, "Project");
+                const subtree = await readSubtree(client, application, root, withChildren);
+
+                // The clone of the root keeps the parent of the original when it stays in the same project
+                const items = subtree.map(({ record, parent }) => {
+                    const item = cloneItem(record, overrides, sameProject);
+                    const originalParent = fieldValue(record, "Parent");
+                    if (parent) {
+                        item.parent = parent;
+                    } else if (sameProject && originalParent) {
+                        item.parent = originalParent;
+                    }
+                    return item;
+                });
+
+                const result = await createWorkItems(client, targetApplication, projectName, items, { atomic: true, concurrency, dryRun });
+                if (result.failed > 0) {
+                    const errors = result.items.filter(item => item.error).map(item => {
+                        const original = subtree[item.index].record.displayName;
+                        return `${original}: ${item.error}`;
+                    });
+                    throw new Error(`${errors.join('; ')}${result.rolledBack ? ". The clones already created were deleted." : ""}`);
+                }
+
+                const clones = result.items.map(item => ({
+                    dbid: item.key,
+                    id: subtree[item.index].record.displayName,
+                    newDbid: item.dbid,
+                    newId: item.id,
+                    ...(item.url ? { url: item.url } : {})
+                }));
+                const structuredContent = {
+                    source: root.displayName,
+                    clone: clones[0].newId,
+                    dbidMap: Object.fromEntries(clones.map(clone => [clone.dbid, clone.newDbid])),
+                    clones,
+                    ...(result.dryRun ? { dryRun: true, requests: result.requests } : {})
+                };
+                const text = result.dryRun
+                    ? `Dry run: no changes were made in Plan. ${clones.length} work item(s) would be cloned with ${result.requests.length} write request(s).`
+                    : `Work item ${root.displayName} cloned as ${clones[0].newId}${clones.length > 1 ? `, with ${clones.length - 1} descendant(s)` : ""}: ${JSON.stringify(structuredContent.dbidMap)}`;
+                return {
+                    content: [{ type: 'text', text }],
+                    structuredContent
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error cloning work item: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+}
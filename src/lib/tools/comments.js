@@ -0,0 +1,136 @@
+import { z } from "zod";
+import { buildCommitField, fieldValue, readWorkItem } from "../records.js";
+import { dryRunOutput, dryRunParam, dryRunResult, isDryRun } from "./dry-run.js";
+
+// Plan moves the note typed in Notes_Entry to the end of Notes_Log when the record is committed
+const NOTES_ENTRY = "Notes_Entry";
+const NOTES_LOG = "Notes_Log";
+const NOTE_HEADER = /^==== State: (.*?) by: (.*?) on (.*?) ====$/;
+
+const commentSchema = z.object({
+    author: z.string().describe("Login name, empty for text written before notes were logged"),
+    timestamp: z.string(),
+    state: z.string().describe("State of the work item when the note was added"),
+    text: z.string()
+});
+
+/**
+ * Split a Notes_Log value into its notes. Each note starts with a
+ * "==== State: <state> by: <login> on <timestamp> ====" header line.
+ * @param {string} [log] - Value of the Notes_Log field
+ * @returns {Array} Notes in log order ({author, timestamp, state, text})
+ */
+export function parseNotesLog(log = "") {
+    const notes = [{ author: "", timestamp: "", state: "", lines: [] }];
+    for (const line of log.split('\n')) {
+        const header = NOTE_HEADER.exec(line.trim());
+        if (header) {
+            notes.push({ state: header[1], author: header[2], timestamp: header[3], lines: [] });
+        } else {
+            notes.at(-1).lines.push(line);
+        }
+    }
+    return notes
+        .map(({ lines, ...note }) => ({ ...note, text: lines.join('\n').trim() }))
+        .filter(note => note.author || note.text);
+}
+
+/**
+ * Register the tools reading and adding work item notes
+ * @param {McpServer} server - Server to register the tools on
+ * @param {PlanClient} client - Client used to talk to Plan
+ */
+export function registerCommentTools(server, client) {
+    // Tool to append a note to a work item
+    server.registerTool(
+        "add_comment",
+        {
+            description: "Adds a comment to the notes log of a work item. Plan records the author and time; existing notes and fields are left untouched.",
+            inputSchema: {
+                application: z.string().describe("Name of the application"),
+                workItem: z.string().describe("dbid or display id of the work item"),
+                text: z.string().min(1).describe("Text of the comment"),
+                dryRun: dryRunParam
+            },
+            outputSchema: {
+                dbid: z.string(),
+                comment: commentSchema.optional().describe("The comment as logged by Plan"),
+                ...dryRunOutput
+            },
+            annotations: { destructiveHint: false }
+        },
+        async ({ application, workItem, text, dryRun }) => {
+            try {
+                const record = await readWorkItem(client, application, workItem);
+                const dbid = String(record.dbId);
+                if (!(record.fields || []).some(field => field.name === NOTES_ENTRY)) {
+                    throw new Error(`Work item ${workItem} has no ${NOTES_ENTRY} field, so comments cannot be added to it`);
+                }
+
+                // Same Modify + Edit + Commit sequence as update_work_item, on the note field only
+                const comment = () => client.withSession(async () => {
+                    await client.runAction(application, "WorkItem", dbid, "Modify");
+                    await client.editRecord(application, "WorkItem", dbid, [{ name: NOTES_ENTRY, value: text }]);
+                    return client.commitRecord(application, "WorkItem", dbid, {
+                        dbId: dbid,
+                        fields: [buildCommitField({ name: NOTES_ENTRY, value: text, type: "MULTILINE_STRING" })]
+                    });
+                });
+
+                if (isDryRun(client, dryRun)) {
+                    const { requests } = await client.withDryRun(comment);
+                    return dryRunResult("add_comment", requests, { dbid });
+                }
+
+                const committed = await comment();
+                const logged = parseNotesLog(fieldValue(committed, NOTES_LOG)).at(-1);
+                return {
+                    content: [{ type: 'text', text: `Comment added to work item ${dbid}${logged ? ` by ${logged.author} on ${logged.timestamp}` : ""}.` }],
+                    structuredContent: { dbid, ...(logged ? { comment: logged } : {}) }
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error adding comment: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to read the notes of a work item
+    server.registerTool(
+        "list_comments",
+        {
+            description: "Lists the comments in the notes log of a work item, oldest first, with their author, time and the state the work item was in",
+            inputSchema: {
+                application: z.string().describe("Name of the application"),
+                workItem: z.string().describe("dbid or display id of the work item")
+            },
+            outputSchema: {
+                dbid: z.string(),
+                id: z.string().describe("Display id"),
+                comments: z.array(commentSchema)
+            },
+            annotations: { readOnlyHint: true }
+        },
+        async ({ application, workItem }) => {
+            try {
+                const record = await readWorkItem(client, application, workItem);
+                const structuredContent = {
+                    dbid: String(record.dbId),
+                    id: record.displayName || "",
+                    comments: parseNotesLog(fieldValue(record, NOTES_LOG))
+                };
+                return {
+                    content: [{ type: 'text', text: `Comments retrieved: ${JSON.stringify(structuredContent)}` }],
+                    structuredContent
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error listing comments: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+}
@@ -0,0 +1,27 @@
+import { z } from "zod";
+
+// Writes running at once when the call does not say
+export const DEFAULT_CONCURRENCY = 4;
+
+// concurrency argument shared by the bulk tools
+export const concurrencyParam = z.number().int().min(1).max(10).optional().describe(`Work items written at the same time, ${DEFAULT_CONCURRENCY} by default`);
+
+/**
+ * Run an async worker over items, with at most limit of them running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+export async function mapConcurrent(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+    await Promise.all(lanes);
+    return results;
+}
@@ -0,0 +1,42 @@
+import { z } from "zod";
+
+// dryRun argument shared by the mutating tools
+export const dryRunParam = z.boolean().optional().describe("When true, only validate the request and return the Edit/Commit payloads that would be sent, without changing anything in Plan.");
+
+// Output fields of a dry run, part of the outputSchema of every mutating tool
+export const dryRunOutput = {
+    dryRun: z.boolean().optional().describe("True when nothing was changed and requests lists the writes that would have been sent"),
+    requests: z.array(z.object({
+        method: z.string(),
+        path: z.string(),
+        operation: z.string().optional(),
+        body: z.any()
+    })).optional()
+};
+
+/**
+ * Whether a tool call runs as a dry run, either on request or because PLAN_DRY_RUN is set
+ * @param {PlanClient} client - Client used to talk to Plan
+ * @param {boolean} [dryRun] - The dryRun argument of the call
+ * @returns {boolean}
+ */
+export function isDryRun(client, dryRun) {
+    return dryRun === true || client.dryRun === true;
+}
+
+/**
+ * Tool result listing the writes a dry run recorded
+ * @param {string} toolName - Name of the tool that ran
+ * @param {Array} requests - Writes recorded by client.withDryRun()
+ * @param {Object} [structured] - Output fields already known before anything is written (e.g. the dbid)
+ * @returns {Object} MCP tool result
+ */
+export function dryRunResult(toolName, requests, structured = {}) {
+    return {
+        content: [{
+            type: 'text',
+            text: `Dry run: no changes were made in Plan. The request is valid; ${toolName} would send ${requests.length} write request(s). Values only the server can provide (new dbids, field metadata from the Edit response) are placeholders.\n${JSON.stringify(requests, null, 2)}`
+        }],
+        structuredContent: { ...structured, dryRun: true, requests }
+    };
+}
@@ -0,0 +1,108 @@
+import { writeFile } from 'fs/promises';
+import { z } from "zod";
+import { EXPORT_FORMATS, formatDate, formatExport } from "../exporter.js";
+import { checkFieldPaths, toFilterNode } from "../filters.js";
+import { readRows } from "./paging.js";
+import { applicationFieldResolver, filterNodeSchema } from "./query.js";
+import { mapRows } from "./rows.js";
+
+// Columns exported when the call does not list any
+const DEFAULT_COLUMNS = ["id", "Title", "WIType", "State", "Owner.fullname", "Priority", "Parent.Title", "Sprint", "PlannedRelease"];
+
+const columnSchema = z.union([
+    z.string(),
+    z.object({
+        field: z.string().describe("Field path"),
+        header: z.string().describe("Column header in the file")
+    })
+]);
+
+/**
+ * Register the export tool
+ * @param {McpServer} server - Server to register the tools on
+ * @param {PlanClient} client - Client used to talk to Plan
+ * @param {FileAccess} files - Local files export_work_items may write
+ */
+export function registerExportTools(server, client, files) {
+    // Tool to write the result of a work item query to a file
+    server.registerTool(
+        "export_work_items",
+        {
+            description: "Exports the work items matching a filter as CSV, JSON Lines, a Markdown table or Excel-readable CSV, either to a local file or as an embedded resource. Columns are field paths, so reference fields can be flattened (e.g. 'Owner.fullname', 'Parent.Title').",
+            inputSchema: {
+                application: z.string().describe("Name of the application"),
+                filter: filterNodeSchema.optional().describe("Filter tree selecting the work items, as for query_records. All work items when omitted."),
+                columns: z.array(columnSchema).min(1).optional().describe(`Field paths to export, or {field, header} to name the column. Default: ${DEFAULT_COLUMNS.join(', ')}`),
+                format: z.enum(Object.keys(EXPORT_FORMATS)).describe("csv, jsonl (JSON Lines), markdown (table) or excel (CSV that Excel opens as data: byte order mark, CRLF, formulas neutralized)"),
+                dateFormat: z.string().optional().describe("How DATE_TIME columns are written: 'iso', or a pattern using YYYY, MM, DD, HH, mm and ss such as 'DD/MM/YYYY'. As Plan returns them when omitted."),
+                filePath: z.string().optional().describe("File to write, on the machine running this server and inside its file root if it has one. The content is returned as an embedded resource when omitted."),
+                overwrite: z.boolean().optional().describe("Replace filePath when it already exists; an existing file is an error otherwise")
+            },
+            outputSchema: {
+                format: z.string(),
+                columns: z.array(z.string()).describe("Column headers"),
+                rowCount: z.number(),
+                filePath: z.string().optional().describe("File written"),
+                uri: z.string().optional().describe("URI of the embedded resource holding the content")
+            },
+            // Not read-only: it may write a local file, though it changes nothing in Plan
+            annotations: { destructiveHint: false }
+        },
+        async ({ application, filter, columns = DEFAULT_COLUMNS, format, dateFormat, filePath, overwrite = false }) => {
+            try {
+                const path = filePath && await files.resolve(filePath);
+                const fields = columns.map(column => typeof column === 'string' ? column : column.field);
+                const headers = columns.map(column => typeof column === 'string' ? column : column.header);
+                if (new Set(headers).size !== headers.length) {
+                    throw new Error("Column headers must be unique");
+                }
+                const resolveField = applicationFieldResolver(client, application);
+                await checkFieldPaths(fields, "WorkItem", resolveField);
+                const filterNode = await toFilterNode(filter, "WorkItem", resolveField);
+                const dateColumns = dateFormat
+                    ? (await Promise.all(fields.map(field => resolveField("WorkItem", field))))
+                        .flatMap((def, index) => def.fieldType === "DATE_TIME" ? [headers[index]] : [])
+                    : [];
+
+                const { rows } = await readRows(client, application, {
+                    primaryEntityDefName: "WorkItem",
+                    queryFieldDefs: fields.map(fieldPathName => ({ fieldPathName, isShown: true })),
+                    filterNode
+                }, {
+                    convertToLocalTime: true
+                }, {});
+                const records = mapRows(rows, headers).map(record => {
+                    for (const header of dateColumns) {
+                        record[header] = formatDate(record[header], dateFormat);
+                    }
+                    return record;
+                });
+                const content = formatExport(records, headers, format);
+                const { extension, mimeType } = EXPORT_FORMATS[format];
+
+                if (path) {
+                    await writeFile(path, content, { encoding: 'utf8', flag: overwrite ? 'w' : 'wx' }).catch(error => {
+                        throw error.code === 'EEXIST' ? new Error(`${filePath} already exists; set overwrite to replace it`) : error;
+                    });
+                    return {
+                        content: [{ type: 'text', text: `Exported ${records.length} work item(s) to ${path}` }],
+                        structuredContent: { format, columns: headers, rowCount: records.length, filePath: path }
+                    };
+                }
+                const uri = `plan-export://${encodeURIComponent(application)}/work-items${extension}`;
+                return {
+                    content: [
+                        { type: 'text', text: `Exported ${records.length} work item(s) as ${format}` },
+                        { type: 'resource', resource: { uri, mimeType, text: content } }
+                    ],
+                    structuredContent: { format, columns: headers, rowCount: records.length, uri }
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error exporting work items: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+}
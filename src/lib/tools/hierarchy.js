@@ -0,0 +1,317 @@
+import { z } from "zod";
+import { buildCommitField, fieldValue, readWorkItem } from "../records.js";
+import { dryRunOutput, dryRunParam, dryRunResult, isDryRun } from "./dry-run.js";
+import { readRows } from "./paging.js";
+import { mapRows } from "./rows.js";
+
+/**
+ * Work item types each type may be the child of. Epics are top level;
+ * types missing here (custom types) may go under any parent.
+ */
+export const PARENT_TYPES = {
+    Epic: [],
+    Story: ["Epic"],
+    Bug: ["Epic", "Story"],
+    Task: ["Story", "Bug"]
+};
+
+// Parent chains longer than this are reported instead of followed
+const MAX_DEPTH = 50;
+
+// Columns of the hierarchy queries: query field path -> property of the node
+const NODE_COLUMNS = {
+    "dbid": "dbid",
+    "id": "id",
+    "Title": "title",
+    "WIType": "type",
+    "State": "state",
+    "Owner": "owner",
+    "StoryPoints": "storyPoints",
+    "Parent": "parent"
+};
+
+const workItemNode = {
+    dbid: z.string(),
+    id: z.string(),
+    title: z.string(),
+    type: z.string(),
+    state: z.string(),
+    owner: z.string(),
+    storyPoints: z.number()
+};
+
+const rollupSchema = z.object({
+    count: z.number().describe("Work items in the subtree, this one included"),
+    states: z.record(z.number()).describe("Number of work items of the subtree in each state"),
+    storyPoints: z.number().describe("Story points of the subtree")
+});
+
+const treeNodeSchema = z.lazy(() => z.object({
+    ...workItemNode,
+    rollup: rollupSchema,
+    cycle: z.boolean().optional().describe("True when the parent chain of this work item loops back to it; the link closing the loop is left out"),
+    children: z.array(treeNodeSchema)
+}));
+
+// Work items matching a filter, as hierarchy nodes (parent is the display id of the parent)
+async function queryNodes(client, application, fieldFilters) {
+    const { rows } = await readRows(client, application, {
+        primaryEntityDefName: "WorkItem",
+        queryFieldDefs: Object.keys(NODE_COLUMNS).map(fieldPathName => ({ fieldPathName, isShown: true })),
+        filterNode: { boolOp: "BOOL_OP_AND", fieldFilters }
+    }, {
+        convertToLocalTime: true
+    }, {});
+    return mapRows(rows, Object.values(NODE_COLUMNS)).map(node => ({ ...node, storyPoints: Number(node.storyPoints) || 0 }));
+}
+
+// Add a subtree rollup to a running total
+function addRollup(total, rollup) {
+    total.count += rollup.count;
+    total.storyPoints += rollup.storyPoints;
+    for (const [state, count] of Object.entries(rollup.states)) {
+        total.states[state] = (total.states[state] || 0) + count;
+    }
+    return total;
+}
+
+// Node where the parent chain of a node loops, if it does
+function loopOf(node, byId) {
+    const seen = new Set();
+    while (node && !seen.has(node.id)) {
+        seen.add(node.id);
+        node = byId.get(node.parent);
+    }
+    return node;
+}
+
+// Link nodes to their children and add the rollups, bottom up; a child already placed closes a parent loop and is left out
+function buildTree(node, childrenOf, placed = new Set()) {
+    placed.add(node.id);
+    const children = (childrenOf.get(node.id) || [])
+        .filter(child => !placed.has(child.id))
+        .map(child => buildTree(child, childrenOf, placed));
+    const rollup = children.reduce((total, child) => addRollup(total, child.rollup),
+        { count: 1, states: { [node.state]: 1 }, storyPoints: node.storyPoints });
+    const { parent, ...fields } = node;
+    return { ...fields, rollup, children };
+}
+
+/**
+ * Check the PARENT_TYPES rule for a child and parent type
+ * @param {string} childType - WIType of the child
+ * @param {string} parentType - WIType of the parent
+ * @param {string} parentId - Display id of the parent, for the error message
+ * @throws {Error} When the child type cannot go under the parent type
+ */
+export function checkParentType(childType, parentType, parentId) {
+    const allowed = PARENT_TYPES[childType];
+    if (allowed && !allowed.includes(parentType)) {
+        throw new Error(allowed.length === 0
+            ? `${childType} work items are top level and cannot have a parent`
+            : `${childType} work items can only be children of: ${allowed.join(', ')}. ${parentId} is of type ${parentType}.`);
+    }
+}
+
+/**
+ * Check that a work item may be put under a parent: type rule, same project and no cycle
+ * @param {PlanClient} client - Client used to talk to Plan
+ * @param {string} application - Name of the Plan application
+ * @param {Object} child - Work item record
+ * @param {Object} parent - Parent work item record
+ * @throws {Error} When the parent is not allowed
+ */
+async function checkParent(client, application, child, parent) {
+    checkParentType(fieldValue(child, "WIType"), fieldValue(parent, "WIType"), parent.displayName);
+    if (fieldValue(child, "Project") !== fieldValue(parent, "Project")) {
+        throw new Error(`${parent.displayName} belongs to project ${fieldValue(parent, "Project")}, not ${fieldValue(child, "Project")}`);
+    }
+
+    // Walk up from the new parent: meeting the child means it would become its own ancestor
+    let ancestor = parent;
+    for (let depth = 0; ancestor; depth++) {
+        if (String(ancestor.dbId) === String(child.dbId)) {
+            throw new Error(`${parent.displayName} is ${child.displayName} or one of its descendants, which would create a cycle`);
+        }
+        if (depth === MAX_DEPTH) {
+            throw new Error(`The parent chain of ${parent.displayName} is deeper than ${MAX_DEPTH} levels`);
+        }
+        const next = fieldValue(ancestor, "Parent");
+        ancestor = next ? await readWorkItem(client, application, next) : null;
+    }
+}
+
+/**
+ * Register the parent/child hierarchy tools
+ * @param {McpServer} server - Server to register the tools on
+ * @param {PlanClient} client - Client used to talk to Plan
+ */
+export function registerHierarchyTools(server, client) {
+    // Tool to set or clear the parent of a work item
+    server.registerTool(
+        "set_parent",
+        {
+            description: "Sets the parent of a work item (Epic > Story > Task), or removes it when parent is omitted. The type rules are checked before committing: a Story goes under an Epic, a Bug under an Epic or a Story, a Task under a Story or a Bug. Both work items must be in the same project, and cycles are refused.",
+            inputSchema: {
+                application: z.string().describe("Name of the application"),
+                workItem: z.string().describe("dbid or display id of the child work item"),
+                parent: z.string().optional().describe("dbid or display id of the new parent; omit to remove the parent"),
+                dryRun: dryRunParam
+            },
+            outputSchema: {
+                dbid: z.string(),
+                parent: z.string().describe("Display id of the new parent, empty when removed"),
+                previousParent: z.string().describe("Display id of the previous parent, empty if there was none"),
+                ...dryRunOutput
+            },
+            annotations: { destructiveHint: false }
+        },
+        async ({ application, workItem, parent, dryRun }) => {
+            try {
+                const child = await readWorkItem(client, application, workItem);
+                const dbid = String(child.dbId);
+                let parentId = "";
+                if (parent) {
+                    const parentRecord = await readWorkItem(client, application, parent);
+                    await checkParent(client, application, child, parentRecord);
+                    parentId = parentRecord.displayName;
+                }
+                const previousParent = fieldValue(child, "Parent");
+
+                const setParent = () => client.withSession(async () => {
+                    await client.runAction(application, "WorkItem", dbid, "Modify");
+                    await client.editRecord(application, "WorkItem", dbid, [{ name: "Parent", value: parentId }]);
+                    await client.commitRecord(application, "WorkItem", dbid, {
+                        dbId: dbid,
+                        fields: [buildCommitField({ name: "Parent", value: parentId, type: "REFERENCE" })]
+                    });
+                });
+
+                if (isDryRun(client, dryRun)) {
+                    const { requests } = await client.withDryRun(setParent);
+                    return dryRunResult("set_parent", requests, { dbid, parent: parentId, previousParent });
+                }
+
+                await setParent();
+                return {
+                    content: [{ type: 'text', text: parentId ? `Work item ${child.displayName} is now a child of ${parentId}.` : `Work item ${child.displayName} no longer has a parent.` }],
+                    structuredContent: { dbid, parent: parentId, previousParent }
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error setting parent: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to list the direct children of a work item
+    server.registerTool(
+        "get_children",
+        {
+            description: "Lists the direct children of a work item",
+            inputSchema: {
+                application: z.string().describe("Name of the application"),
+                workItem: z.string().describe("dbid or display id of the parent work item")
+            },
+            outputSchema: {
+                dbid: z.string(),
+                id: z.string().describe("Display id"),
+                children: z.array(z.object(workItemNode))
+            },
+            annotations: { readOnlyHint: true }
+        },
+        async ({ application, workItem }) => {
+            try {
+                const record = await readWorkItem(client, application, workItem);
+                const children = await queryNodes(client, application, [
+                    { fieldPath: "Parent", compOp: "COMP_OP_EQ", values: [record.displayName] }
+                ]);
+                const structuredContent = {
+                    dbid: String(record.dbId),
+                    id: record.displayName,
+                    children: children.map(({ parent, ...child }) => child)
+                };
+                return {
+                    content: [{ type: 'text', text: `Children retrieved: ${JSON.stringify(structuredContent)}` }],
+                    structuredContent
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error retrieving children: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to build the Epic > Story > Task trees of a project
+    server.registerTool(
+        "get_work_item_tree",
+        {
+            description: "Builds the parent/child trees of the work items of a project (Epic > Story > Task), each node with a rollup of the state counts and story points of its subtree. Give root to get the tree under one work item only. Work items whose parents form a loop are returned as trees of their own, flagged with cycle.",
+            inputSchema: {
+                application: z.string().describe("Name of the application"),
+                projectName: z.string().describe("Name of the project"),
+                root: z.string().optional().describe("dbid or display id of the work item to start from; every top level work item of the project when omitted")
+            },
+            outputSchema: {
+                trees: z.array(treeNodeSchema).describe("Top level work items with their descendants"),
+                rollup: rollupSchema.describe("Rollup of every returned tree")
+            },
+            annotations: { readOnlyHint: true }
+        },
+        async ({ application, projectName, root }) => {
+            try {
+                const nodes = await queryNodes(client, application, [
+                    { fieldPath: "Project", compOp: "COMP_OP_EQ", values: [projectName] }
+                ]);
+                const byId = new Map(nodes.map(node => [node.id, node]));
+                const childrenOf = new Map();
+                for (const node of nodes) {
+                    if (node.parent && byId.has(node.parent)) {
+                        childrenOf.set(node.parent, [...(childrenOf.get(node.parent) || []), node]);
+                    }
+                }
+
+                let roots;
+                if (root) {
+                    const start = nodes.find(node => node.dbid === root || node.id === root);
+                    if (!start) {
+                        throw new Error(`Work item ${root} is not in project ${projectName}`);
+                    }
+                    roots = [start];
+                } else {
+                    // Work items whose parent is outside the project are roots of their own tree
+                    roots = nodes.filter(node => !node.parent || !byId.has(node.parent));
+                }
+
+                const placed = new Set();
+                const trees = roots.map(node => buildTree(node, childrenOf, placed));
+                if (root) {
+                    if (loopOf(roots[0], byId) === roots[0]) {
+                        trees[0].cycle = true;
+                    }
+                } else {
+                    // Work items of a parent loop have no top level ancestor: each loop is a tree of its own
+                    for (const node of nodes) {
+                        if (!placed.has(node.id)) {
+                            trees.push({ ...buildTree(loopOf(node, byId), childrenOf, placed), cycle: true });
+                        }
+                    }
+                }
+                const rollup = trees.reduce((total, tree) => addRollup(total, tree.rollup), { count: 0, states: {}, storyPoints: 0 });
+                return {
+                    content: [{ type: 'text', text: `Work item tree retrieved: ${JSON.stringify({ trees, rollup })}` }],
+                    structuredContent: { trees, rollup }
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error building work item tree: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+}
@@ -0,0 +1,93 @@
+import { z } from "zod";
+import { readWorkItem } from "../records.js";
+import { resolveUser } from "../users.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Parse a since/until bound; a bare date as until covers that whole day
+function parseBound(value, name, endOfDay = false) {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid ${name} date "${value}", use YYYY-MM-DD or an ISO 8601 date and time`);
+    }
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + DAY - 1 : time;
+}
+
+// True when an entry falls in the date range; one without a readable timestamp cannot be placed in a range, so it is left out
+function inRange(entry, from, to) {
+    const time = Date.parse(entry.actionTimestamp);
+    return !Number.isNaN(time) && time >= from && time <= to;
+}
+
+/**
+ * Register the audit trail tools
+ * @param {McpServer} server - Server to register the tools on
+ * @param {PlanClient} client - Client used to talk to Plan
+ */
+export function registerHistoryTools(server, client) {
+    // Tool to read who changed a work item, when and how
+    server.registerTool(
+        "get_work_item_history",
+        {
+            description: "Returns the history of a work item, oldest first: each action with the user who ran it, its timestamp, the state before and after and the fields it changed. Can be limited to a date range and a user; entries without a readable timestamp are only returned when no date range is given.",
+            inputSchema: {
+                application: z.string().describe("Name of the application"),
+                workItem: z.string().describe("dbid or display id of the work item"),
+                since: z.string().optional().describe("Only entries at or after this date (YYYY-MM-DD or ISO 8601 date and time)"),
+                until: z.string().optional().describe("Only entries at or before this date; a bare date includes the whole day"),
+                user: z.string().optional().describe("Only entries by this user: login name, full name or email")
+            },
+            outputSchema: {
+                dbid: z.string(),
+                id: z.string().describe("Display id"),
+                entries: z.array(z.object({
+                    action: z.string(),
+                    user: z.string().describe("Login name"),
+                    timestamp: z.string(),
+                    oldState: z.string(),
+                    newState: z.string(),
+                    changes: z.array(z.object({ field: z.string(), oldValue: z.string(), newValue: z.string() }))
+                }))
+            },
+            annotations: { readOnlyHint: true }
+        },
+        async ({ application, workItem, since, until, user }) => {
+            try {
+                const dated = Boolean(since || until);
+                const from = since ? parseBound(since, "since") : -Infinity;
+                const to = until ? parseBound(until, "until", true) : Infinity;
+                const login = user ? (await resolveUser(client, application, user)).login : undefined;
+
+                const record = await readWorkItem(client, application, workItem);
+                const dbid = String(record.dbId);
+                const history = await client.getRecordHistory(application, "WorkItem", dbid);
+
+                const entries = (history || [])
+                    .filter(entry => (!dated || inRange(entry, from, to)) && (!login || entry.userName === login))
+                    .map(entry => ({
+                        action: entry.actionName,
+                        user: entry.userName,
+                        timestamp: entry.actionTimestamp,
+                        oldState: entry.oldState || "",
+                        newState: entry.newState || "",
+                        changes: (entry.fieldChanges || []).map(change => ({
+                            field: change.fieldName,
+                            oldValue: change.oldValue ?? "",
+                            newValue: change.newValue ?? ""
+                        }))
+                    }));
+
+                const structuredContent = { dbid, id: record.displayName || "", entries };
+                return {
+                    content: [{ type: 'text', text: `Work item history retrieved: ${JSON.stringify(structuredContent)}` }],
+                    structuredContent
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error retrieving work item history: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+}
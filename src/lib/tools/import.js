@@ -0,0 +1,187 @@
+import { readFile } from 'fs/promises';
+import { z } from "zod";
+import { IMPORT_FORMATS, importFormatOf, parseWorkItems } from "../importer.js";
+import { createWorkItems } from "./bulk.js";
+import { concurrencyParam } from "./concurrency.js";
+import { dryRunOutput, dryRunParam } from "./dry-run.js";
+import { readRows } from "./paging.js";
+import { mapRows } from "./rows.js";
+
+// Titles are compared without case and surrounding spaces to find duplicates
+const normalizeTitle = title => title.trim().toLowerCase();
+
+// Mapping config of an import; the plan-import command reads the same object from a JSON file
+export const importMappingSchema = z.object({
+    columns: z.record(z.string().nullable()).optional().describe("Column name -> item property (key, title, description, type, component, parent, owner, priority, release, sprint) or Plan field name, e.g. {\"Summary\": \"title\", \"Points\": \"StoryPoints\"}. null ignores a column. Columns named like a property map to it without an entry; other columns are ignored."),
+    levels: z.array(z.string()).optional().describe("Work item type of each nesting depth in JSON and Markdown, e.g. [\"Epic\", \"Story\", \"Task\"]"),
+    defaults: z.record(z.string()).optional().describe("Property or field name -> value for rows without one, e.g. {\"type\": \"Story\"}"),
+    delimiter: z.string().length(1).optional().describe("CSV field delimiter, ',' by default")
+});
+
+const importedItemSchema = z.object({
+    index: z.number().describe("Position of the row in the file"),
+    key: z.string().optional(),
+    title: z.string(),
+    type: z.string(),
+    parent: z.string().optional(),
+    status: z.enum(["new", "duplicate", "created", "failed", "skipped", "rolled-back"]).describe("new in a preview; duplicate when a work item of the project has the same title"),
+    dbid: z.string().optional(),
+    id: z.string().optional().describe("Display id of the created work item, or of the existing one for a duplicate"),
+    url: z.string().optional(),
+    error: z.string().optional(),
+    fields: z.array(z.object({ name: z.string(), value: z.string() })).optional()
+});
+
+// Display id of the work items of a project, by normalized title
+async function existingTitles(client, application, projectName) {
+    const { rows } = await readRows(client, application, {
+        primaryEntityDefName: "WorkItem",
+        queryFieldDefs: ["id", "Title"].map(fieldPathName => ({ fieldPathName, isShown: true })),
+        filterNode: {
+            boolOp: "BOOL_OP_AND",
+            fieldFilters: [{ fieldPath: "Project", compOp: "COMP_OP_EQ", values: [projectName] }]
+        }
+    }, {
+        convertToLocalTime: false
+    }, {});
+    return new Map(mapRows(rows, ["id", "title"]).map(row => [normalizeTitle(row.title), row.id]));
+}
+
+/**
+ * Import work items from a CSV, JSON or Markdown file into a project. The rows are mapped with
+ * parseWorkItems() and checked against the titles of the project's work items; a preview stops
+ * there, otherwise the new work items are created with createWorkItems(). Duplicates are not
+ * created again unless onDuplicate is "create", and children of a duplicate go under the existing work item.
+ * @param {PlanClient} client - Client used to talk to Plan
+ * @param {Object} options
+ * @param {string} options.application - Name of the Plan application
+ * @param {string} options.projectName - Name of the project
+ * @param {string} [options.filePath] - File to read
+ * @param {FileAccess} [options.files] - Restricts which files filePath may name; any file when omitted
+ * @param {string} [options.content] - Content of the file, instead of filePath
+ * @param {string} [options.format] - csv, json or markdown; from the extension of filePath by default
+ * @param {Object} [options.mapping] - Mapping config, see parseWorkItems()
+ * @param {boolean} [options.preview=false] - Only report what would be created
+ * @param {string} [options.onDuplicate="skip"] - skip or create work items whose title already exists
+ * @param {boolean} [options.atomic] - All or nothing, as for createWorkItems()
+ * @param {number} [options.concurrency] - Work items created at the same time
+ * @param {boolean} [options.dryRun] - Record the writes instead of sending them
+ * @returns {Promise<Object>} {preview, total, duplicates, created, failed, rolledBack, items}
+ */
+export async function importWorkItems(client, { application, projectName, filePath, content, files, format, mapping, preview = false, onDuplicate = "skip", atomic, concurrency, dryRun }) {
+    if (Boolean(filePath) === (content !== undefined)) {
+        throw new Error("Give either filePath or content");
+    }
+    if (!format && !filePath) {
+        throw new Error("format is required with content");
+    }
+    const text = content ?? await readFile(files ? await files.resolve(filePath) : filePath, 'utf8');
+    const items = parseWorkItems(text, format || importFormatOf(filePath), mapping);
+
+    const titles = await existingTitles(client, application, projectName);
+    const duplicateOf = items.map(item => titles.get(normalizeTitle(item.title)));
+    const duplicates = duplicateOf.filter(Boolean).length;
+    const rows = items.map((item, index) => ({ index, ...item }));
+
+    if (preview) {
+        return {
+            preview: true,
+            total: items.length,
+            duplicates,
+            created: 0,
+            failed: 0,
+            rolledBack: false,
+            items: rows.map((row, index) => ({ ...row, status: duplicateOf[index] ? "duplicate" : "new", ...(duplicateOf[index] ? { id: duplicateOf[index] } : {}) }))
+        };
+    }
+
+    // Children of a skipped duplicate go under the existing work item, through its display id
+    const skip = index => duplicateOf[index] && onDuplicate !== "create";
+    const existingKeys = new Map(items.flatMap((item, index) => skip(index) && item.key !== undefined ? [[item.key, duplicateOf[index]]] : []));
+    const toCreate = rows.filter((row, index) => !skip(index));
+    const result = await createWorkItems(client, application, projectName,
+        toCreate.map(({ index, ...item }) => existingKeys.has(item.parent) ? { ...item, parent: existingKeys.get(item.parent) } : item),
+        { atomic, concurrency, dryRun });
+
+    const outcomes = new Map(toCreate.map((row, position) => [row.index, result.items[position]]));
+    return {
+        preview: false,
+        total: items.length,
+        duplicates,
+        created: result.created,
+        failed: result.failed,
+        rolledBack: result.rolledBack,
+        items: rows.map((row, index) => {
+            if (!outcomes.has(index)) {
+                return { ...row, status: "duplicate", id: duplicateOf[index] };
+            }
+            const { index: position, ...outcome } = outcomes.get(index);
+            return { ...row, ...outcome };
+        }),
+        ...(result.dryRun ? { dryRun: true, requests: result.requests } : {})
+    };
+}
+
+/**
+ * Register the import tool
+ * @param {McpServer} server - Server to register the tools on
+ * @param {PlanClient} client - Client used to talk to Plan
+ * @param {FileAccess} files - Local files import_work_items may read
+ */
+export function registerImportTools(server, client, files) {
+    // Tool to create the work items of a backlog file
+    server.registerTool(
+        "import_work_items",
+        {
+            description: "Imports work items into a project from a CSV file, a JSON array or a nested Markdown outline (headings and lists). A mapping config maps columns to work item fields and nesting depths to types; nesting sets the parent. Work items whose title already exists in the project are reported as duplicates and not created again. Run with preview first to check the mapping.",
+            inputSchema: {
+                application: z.string().describe("Name of the application"),
+                projectName: z.string().describe("Name of the project"),
+                filePath: z.string().optional().describe("Path of the file to import, on the machine running this server and inside its file root if it has one"),
+                content: z.string().optional().describe("Content of the file, instead of filePath"),
+                format: z.enum(Object.keys(IMPORT_FORMATS)).optional().describe("File format; from the extension of filePath when omitted"),
+                mapping: importMappingSchema.optional(),
+                preview: z.boolean().optional().describe("Only report the mapped work items and duplicates, without creating anything"),
+                onDuplicate: z.enum(["skip", "create"]).optional().describe("What to do with work items whose title already exists in the project, skip by default"),
+                atomic: z.boolean().optional().describe("All or nothing: when a work item fails, delete the ones this import created"),
+                concurrency: concurrencyParam,
+                dryRun: dryRunParam
+            },
+            outputSchema: {
+                preview: z.boolean(),
+                total: z.number().describe("Work items read from the file"),
+                duplicates: z.number().describe("Work items whose title already exists in the project"),
+                created: z.number(),
+                failed: z.number(),
+                rolledBack: z.boolean(),
+                items: z.array(importedItemSchema),
+                ...dryRunOutput
+            },
+            annotations: { destructiveHint: true }
+        },
+        async args => {
+            try {
+                const structuredContent = await importWorkItems(client, { ...args, files });
+                const { preview, total, duplicates, created, rolledBack } = structuredContent;
+                const problems = structuredContent.items.filter(item => item.error).map(item => `- #${item.index} ${item.title}: ${item.error}`);
+                let summary;
+                if (preview) {
+                    summary = `Preview: ${total - duplicates} of ${total} work item(s) would be created, ${duplicates} already exist.`;
+                } else if (structuredContent.dryRun) {
+                    summary = `Dry run: no changes were made in Plan. ${created} of ${total} work item(s) would be created with ${structuredContent.requests.length} write request(s).`;
+                } else {
+                    summary = `Imported ${created} of ${total} work item(s)${rolledBack ? ", then rolled back every one of them" : ""}; ${duplicates} already existed.`;
+                }
+                return {
+                    content: [{ type: 'text', text: [summary, ...problems].join('\n') + `\n${JSON.stringify(structuredContent.items)}` }],
+                    structuredContent
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error importing work items: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+}
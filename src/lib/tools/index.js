@@ -0,0 +1,44 @@
+import { FileAccess } from "../file-access.js";
+import { ToolPolicy } from "../tool-policy.js";
+import { registerAttachmentTools } from "./attachments.js";
+import { registerBulkTools } from "./bulk.js";
+import { registerCloneTools } from "./clone.js";
+import { registerCommentTools } from "./comments.js";
+import { registerExportTools } from "./export.js";
+import { registerHierarchyTools } from "./hierarchy.js";
+import { registerHistoryTools } from "./history.js";
+import { registerImportTools } from "./import.js";
+import { registerLinkTools } from "./links.js";
+import { registerMetadataTools } from "./metadata.js";
+import { registerPlanningTools } from "./planning.js";
+import { registerQueryTools } from "./query.js";
+import { registerSavedQueryTools } from "./saved-queries.js";
+import { registerUserTools } from "./users.js";
+import { registerWorkItemTools } from "./work-items.js";
+
+/**
+ * Register the Plan tools permitted by the policy on an MCP server
+ * @param {McpServer} server - Server to register the tools on
+ * @param {PlanClient} client - Client used to talk to Plan
+ * @param {ToolPolicy} [policy] - Mode and allow/deny list, every tool without confirmation by default
+ * @param {FileAccess} [files] - Local files the tools may read and write, any by default
+ */
+export function registerTools(server, client, policy = new ToolPolicy(), files = new FileAccess()) {
+    const guarded = policy.guard(server);
+    registerMetadataTools(guarded, client);
+    registerPlanningTools(guarded, client);
+    registerWorkItemTools(guarded, client);
+    registerQueryTools(guarded, client);
+    registerUserTools(guarded, client);
+    registerSavedQueryTools(guarded, client);
+    registerHistoryTools(guarded, client);
+    registerCommentTools(guarded, client);
+    registerAttachmentTools(guarded, client, files);
+    registerHierarchyTools(guarded, client);
+    registerLinkTools(guarded, client);
+    registerBulkTools(guarded, client);
+    registerImportTools(guarded, client, files);
+    registerExportTools(guarded, client, files);
+    registerCloneTools(guarded, client);
+    guarded.checkToolNames();
+}
@@ -0,0 +1,334 @@
+import { z } from "zod";
+import { buildCommitField, readWorkItem } from "../records.js";
+import { dryRunOutput, dryRunParam, dryRunResult, isDryRun } from "./dry-run.js";
+import { readRows } from "./paging.js";
+import { mapRows } from "./rows.js";
+
+/**
+ * Link types and the WorkItem reference list field holding them. A link is stored once:
+ * "A blocks B" is kept as B.BlockedBy containing A (reverse), the others on the source.
+ */
+export const LINK_TYPES = {
+    "blocks": { field: "BlockedBy", reverse: true },
+    "blocked-by": { field: "BlockedBy" },
+    "relates-to": { field: "RelatedTo" },
+    "duplicates": { field: "DuplicateOf" }
+};
+
+// How a link field reads from the work item holding it, and from the work item it points to
+const LINK_NAMES = {
+    BlockedBy: { outgoing: "blocked-by", incoming: "blocks" },
+    RelatedTo: { outgoing: "relates-to", incoming: "relates-to" },
+    DuplicateOf: { outgoing: "duplicates", incoming: "duplicated-by" }
+};
+
+// States in which a work item no longer blocks anything
+export const DONE_STATES = ["Resolved", "Closed"];
+
+// Columns of the link queries: query field path -> property of the row
+const LINK_COLUMNS = {
+    "dbid": "dbid",
+    "id": "id",
+    "Title": "title",
+    "State": "state",
+    "Owner": "owner",
+    "BlockedBy": "BlockedBy",
+    "RelatedTo": "RelatedTo",
+    "DuplicateOf": "DuplicateOf"
+};
+
+const linkedItemSchema = z.object({
+    dbid: z.string(),
+    id: z.string(),
+    title: z.string(),
+    state: z.string(),
+    owner: z.string()
+});
+
+// Work items matching a filter node, with their link fields as lists of display ids
+async function queryLinked(client, application, filterNode) {
+    const { rows } = await readRows(client, application, {
+        primaryEntityDefName: "WorkItem",
+        queryFieldDefs: Object.keys(LINK_COLUMNS).map(fieldPathName => ({ fieldPathName, isShown: true })),
+        filterNode
+    }, {
+        convertToLocalTime: true
+    }, {});
+    return mapRows(rows, Object.values(LINK_COLUMNS)).map(row => {
+        for (const field of Object.keys(LINK_NAMES)) {
+            row[field] = row[field].split('\n').filter(Boolean);
+        }
+        return row;
+    });
+}
+
+// Work items with one of the given display ids
+async function queryByIds(client, application, ids) {
+    if (ids.length === 0) {
+        return [];
+    }
+    return queryLinked(client, application, {
+        boolOp: "BOOL_OP_AND",
+        fieldFilters: [{ fieldPath: "id", compOp: "COMP_OP_IN", values: ids }]
+    });
+}
+
+const linkedItem = ({ dbid, id, title, state, owner }) => ({ dbid, id, title, state, owner });
+
+// Values of a reference list field of a record
+const listValue = (record, name) => record.fields?.find(field => field.name === name)?.valueAsList || [];
+
+/**
+ * Resolve the work item whose field stores a link between two work items
+ * @returns {Promise<Object>} {holder, field, value}: the record to edit, its field, and the display id to add or remove
+ */
+async function linkTarget(client, application, workItem, linkType, target) {
+    const source = await readWorkItem(client, application, workItem);
+    const other = await readWorkItem(client, application, target);
+    if (String(source.dbId) === String(other.dbId)) {
+        throw new Error("A work item cannot be linked to itself");
+    }
+    const { field, reverse } = LINK_TYPES[linkType];
+    const [holder, linked] = reverse ? [other, source] : [source, other];
+    if (!(holder.fields || []).some(candidate => candidate.name === field)) {
+        throw new Error(`Work item ${holder.displayName} has no ${field} field`);
+    }
+    return { source, other, holder, field, value: linked.displayName };
+}
+
+// Write the new value list of a link field with Modify + Edit + Commit
+function writeLinks(client, application, holder, field, values) {
+    const dbid = String(holder.dbId);
+    return client.withSession(async () => {
+        await client.runAction(application, "WorkItem", dbid, "Modify");
+        await client.editRecord(application, "WorkItem", dbid, [{ name: field, valueAsList: values }]);
+        await client.commitRecord(application, "WorkItem", dbid, {
+            dbId: dbid,
+            fields: [buildCommitField({ name: field, value: values.join('\n'), type: "REFERENCE_LIST", valueAsList: values })]
+        });
+    });
+}
+
+/**
+ * Register the dependency link tools
+ * @param {McpServer} server - Server to register the tools on
+ * @param {PlanClient} client - Client used to talk to Plan
+ */
+export function registerLinkTools(server, client) {
+    const linkInput = {
+        application: z.string().describe("Name of the application"),
+        workItem: z.string().describe("dbid or display id of the source work item"),
+        linkType: z.enum(Object.keys(LINK_TYPES)).describe("How the source relates to the target: blocks, blocked-by, relates-to or duplicates"),
+        target: z.string().describe("dbid or display id of the target work item"),
+        dryRun: dryRunParam
+    };
+    const linkOutput = {
+        source: z.string().describe("Display id of the source work item"),
+        linkType: z.string(),
+        target: z.string().describe("Display id of the target work item"),
+        changed: z.boolean().describe("False when the link already was in the requested state"),
+        ...dryRunOutput
+    };
+
+    // Tool to link two work items
+    server.registerTool(
+        "add_link",
+        {
+            description: "Links two work items: the source blocks, is blocked by, relates to or duplicates the target. Links are stored in the BlockedBy, RelatedTo and DuplicateOf reference list fields.",
+            inputSchema: linkInput,
+            outputSchema: linkOutput,
+            annotations: { destructiveHint: false }
+        },
+        async ({ application, workItem, linkType, target, dryRun }) => {
+            try {
+                const { source, other, holder, field, value } = await linkTarget(client, application, workItem, linkType, target);
+                const result = { source: source.displayName, linkType, target: other.displayName };
+                const values = listValue(holder, field);
+                if (values.includes(value)) {
+                    return {
+                        content: [{ type: 'text', text: `${result.source} already ${linkType} ${result.target}.` }],
+                        structuredContent: { ...result, changed: false }
+                    };
+                }
+
+                const link = () => writeLinks(client, application, holder, field, [...values, value]);
+                if (isDryRun(client, dryRun)) {
+                    const { requests } = await client.withDryRun(link);
+                    return dryRunResult("add_link", requests, { ...result, changed: true });
+                }
+
+                await link();
+                return {
+                    content: [{ type: 'text', text: `Link added: ${result.source} ${linkType} ${result.target}.` }],
+                    structuredContent: { ...result, changed: true }
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error adding link: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to remove a link between two work items
+    server.registerTool(
+        "remove_link",
+        {
+            description: "Removes a link between two work items, given as for add_link",
+            inputSchema: linkInput,
+            outputSchema: linkOutput,
+            annotations: { destructiveHint: false }
+        },
+        async ({ application, workItem, linkType, target, dryRun }) => {
+            try {
+                const { source, other, holder, field, value } = await linkTarget(client, application, workItem, linkType, target);
+                const result = { source: source.displayName, linkType, target: other.displayName };
+                const values = listValue(holder, field);
+                if (!values.includes(value)) {
+                    return {
+                        content: [{ type: 'text', text: `There is no "${linkType}" link from ${result.source} to ${result.target}.` }],
+                        structuredContent: { ...result, changed: false }
+                    };
+                }
+
+                const unlink = () => writeLinks(client, application, holder, field, values.filter(item => item !== value));
+                if (isDryRun(client, dryRun)) {
+                    const { requests } = await client.withDryRun(unlink);
+                    return dryRunResult("remove_link", requests, { ...result, changed: true });
+                }
+
+                await unlink();
+                return {
+                    content: [{ type: 'text', text: `Link removed: ${result.source} no longer ${linkType} ${result.target}.` }],
+                    structuredContent: { ...result, changed: true }
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error removing link: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to list the links of a work item in both directions
+    server.registerTool(
+        "list_links",
+        {
+            description: "Lists the links of a work item in both directions: what it blocks, what blocks it, related work items and duplicates",
+            inputSchema: {
+                application: z.string().describe("Name of the application"),
+                workItem: z.string().describe("dbid or display id of the work item")
+            },
+            outputSchema: {
+                dbid: z.string(),
+                id: z.string().describe("Display id"),
+                links: z.array(linkedItemSchema.extend({
+                    linkType: z.enum(["blocks", "blocked-by", "relates-to", "duplicates", "duplicated-by"]).describe("How this work item relates to the linked one")
+                }))
+            },
+            annotations: { readOnlyHint: true }
+        },
+        async ({ application, workItem }) => {
+            try {
+                const record = await readWorkItem(client, application, workItem);
+                const id = record.displayName;
+                const fields = Object.keys(LINK_NAMES);
+
+                const outgoing = fields.flatMap(field => listValue(record, field).map(linked => ({ field, linked })));
+                const details = new Map((await queryByIds(client, application, [...new Set(outgoing.map(link => link.linked))]))
+                    .map(row => [row.id, row]));
+                const incoming = await queryLinked(client, application, {
+                    boolOp: "BOOL_OP_OR",
+                    fieldFilters: fields.map(field => ({ fieldPath: field, compOp: "COMP_OP_EQ", values: [id] }))
+                });
+
+                const links = [];
+                const add = (linkType, row) => {
+                    if (row && !links.some(link => link.linkType === linkType && link.id === row.id)) {
+                        links.push({ linkType, ...linkedItem(row) });
+                    }
+                };
+                for (const { field, linked } of outgoing) {
+                    add(LINK_NAMES[field].outgoing, details.get(linked));
+                }
+                for (const row of incoming) {
+                    for (const field of fields.filter(candidate => row[candidate].includes(id))) {
+                        add(LINK_NAMES[field].incoming, row);
+                    }
+                }
+
+                const structuredContent = { dbid: String(record.dbId), id, links };
+                return {
+                    content: [{ type: 'text', text: `Links retrieved: ${JSON.stringify(structuredContent)}` }],
+                    structuredContent
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error listing links: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to report what is still blocking a work item or a sprint
+    server.registerTool(
+        "get_blockers",
+        {
+            description: `Reports the open work items (not ${DONE_STATES.join(' or ')}) blocking a work item, or any work item of a sprint. Give either workItem or sprint.`,
+            inputSchema: {
+                application: z.string().describe("Name of the application"),
+                workItem: z.string().optional().describe("dbid or display id of the blocked work item"),
+                sprint: z.string().optional().describe("Name of the sprint whose work items are checked")
+            },
+            outputSchema: {
+                blockers: z.array(linkedItemSchema.extend({
+                    blocks: z.array(z.string()).describe("Display ids of the checked work items it blocks")
+                }))
+            },
+            annotations: { readOnlyHint: true }
+        },
+        async ({ application, workItem, sprint }) => {
+            try {
+                if (Boolean(workItem) === Boolean(sprint)) {
+                    throw new Error("Give either workItem or sprint");
+                }
+                let blocked;
+                if (workItem) {
+                    const record = await readWorkItem(client, application, workItem);
+                    blocked = [{ id: record.displayName, BlockedBy: listValue(record, "BlockedBy") }];
+                } else {
+                    blocked = await queryLinked(client, application, {
+                        boolOp: "BOOL_OP_AND",
+                        fieldFilters: [{ fieldPath: "Sprint", compOp: "COMP_OP_EQ", values: [sprint] }]
+                    });
+                }
+
+                const blocks = new Map();
+                for (const item of blocked) {
+                    for (const blocker of item.BlockedBy) {
+                        blocks.set(blocker, [...(blocks.get(blocker) || []), item.id]);
+                    }
+                }
+                const blockers = (await queryByIds(client, application, [...blocks.keys()]))
+                    .filter(row => !DONE_STATES.includes(row.state))
+                    .map(row => ({ ...linkedItem(row), blocks: blocks.get(row.id) }));
+
+                const text = blockers.length > 0
+                    ? `Open blockers: ${JSON.stringify(blockers)}`
+                    : `No open blockers for ${workItem ? `work item ${blocked[0].id}` : `sprint ${sprint}`}.`;
+                return {
+                    content: [{ type: 'text', text }],
+                    structuredContent: { blockers }
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error retrieving blockers: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+}
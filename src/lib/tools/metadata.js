@@ -0,0 +1,324 @@
+import { z } from "zod";
+import { mapRows } from "./rows.js";
+
+// refresh argument shared by the cached metadata tools
+const refreshParam = z.boolean().optional().describe("Bypass the metadata cache and reload the data from Plan");
+
+/**
+ * Register the read-only tools describing the structure of a Plan teamspace
+ * (applications, projects, components, work item types and states)
+ * @param {McpServer} server - Server to register the tools on
+ * @param {PlanClient} client - Client used to talk to Plan
+ */
+export function registerMetadataTools(server, client) {
+    //Tool to retrieve all applications from Plan
+    server.registerTool(
+        "get_applications",
+        {
+            description: "Retrieves all applications from the Plan system",
+            inputSchema: {
+                refresh: refreshParam
+            },
+            outputSchema: {
+                applications: z.array(z.object({ dbid: z.string(), name: z.string() }))
+            },
+            annotations: { readOnlyHint: true }
+        },
+        async ({ refresh }) => {
+            try {
+                const data = await cachedMetadata(client, "", "applications", refresh, () => client.getDatabases());
+
+                if (data && Array.isArray(data)) {
+                    const applications = data.map(app => ({
+                        id: app.dbId,
+                        applicationName: app.name
+                    }));
+
+                    return {
+                        content: [
+                            { type: 'text', text: `Applications retrieved: ${JSON.stringify(applications)}` }
+                        ],
+                        structuredContent: {
+                            applications: data.map(app => ({ dbid: String(app.dbId), name: app.name }))
+                        }
+                    };
+                } else {
+                    throw new Error("Failed to retrieve applications");
+                }
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error retrieving applications: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to get projects from Plan
+    server.registerTool(
+        "get_available_projects",
+        {
+            description: "Get the list of projects in Plan for a given application",
+            inputSchema: {
+                application: z.string().describe("Name of the plan application"),
+                refresh: refreshParam
+            },
+            outputSchema: {
+                projects: z.array(z.object({ dbid: z.string(), name: z.string(), description: z.string() }))
+            },
+            annotations: { readOnlyHint: true }
+        },
+        async ({ application, refresh }) => {
+            try {
+                const projectsData = await cachedMetadata(client, application, "projects", refresh, () => client.query(application, {
+                    primaryEntityDefName: "Project",
+                    queryFieldDefs: [
+                        { fieldPathName: "dbid", isShown: true, sortType: "SORT_DESC" },
+                        { fieldPathName: "Name", isShown: true },
+                        { fieldPathName: "DescriptionPT", isShown: true }
+                    ],
+                    filterNode: {
+                        boolOp: "BOOL_OP_AND",
+                        fieldFilters: [],
+                        childFilterNodes: []
+                    }
+                }, {}, { pageNumber: 1 }));
+
+                if (projectsData && projectsData.rows) {
+                    const projectNames = projectsData.rows.map(row => row.displayName);
+                    const projectIds = projectsData.rows.map(row => row.values[0]);
+                    return {
+                        content: [{ type: 'text', text: `Projects retrieved: ${JSON.stringify(projectNames)} , ProjectIDs: ${JSON.stringify(projectIds)} ` } ],
+                        structuredContent: { projects: mapRows(projectsData.rows, ["dbid", "name", "description"]) }
+                    };
+                } else {
+                    throw new Error("Failed to retrieve projects");
+                }
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error retrieving projects: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to get available components for a project in Plan
+    server.registerTool(
+        "get_available_components",
+        {
+            description: "Get the list of components for a project in Plan for a given application",
+            inputSchema: {
+                application: z.string().describe("Name of the application"),
+                projectId: z.string().describe("ID of the project"),
+                refresh: refreshParam
+            },
+            outputSchema: {
+                components: z.array(z.object({ dbid: z.string(), name: z.string() }))
+            },
+            annotations: { readOnlyHint: true }
+        },
+        async ({ application, refresh }) => {
+            try {
+                const componentsData = await cachedMetadata(client, application, "components", refresh, () => client.query(application, {
+                    primaryEntityDefName: "Component",
+                    queryFieldDefs: [
+                        { fieldPathName: "Name", isShown: true, sortOrder: 0 },
+                        { fieldPathName: "dbid", isShown: true, sortOrder: 0 },
+                        { fieldPathName: "record_type", isShown: true, sortOrder: 0 }
+                    ],
+                    filterNode: {
+                        boolOp: "BOOL_OP_AND",
+                        fieldFilters: [],
+                        childFilterNodes: []
+                    }
+                }, {
+                    convertToLocalTime: false,
+                    maxResultSetRows: 10000,
+                    pageSize: 10000
+                }));
+
+                const componentNames = (componentsData?.rows || []).map(row => row.displayName);
+                const components = mapRows(componentsData?.rows, ["name", "dbid"]);
+                return {
+                    content: [{ type: 'text', text: `Components retrieved: ${JSON.stringify(componentNames)}` }],
+                    structuredContent: { components }
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Components retrieved: ${JSON.stringify("[]")}` }],
+                    structuredContent: { components: [] }
+                };
+            }
+        }
+    );
+
+    // Tool to get available work item types for a project in Plan
+    server.registerTool(
+        "get_available_workitem_types",
+        {
+            description: "Get the available workitem types for a project in Plan for a given application",
+            inputSchema: {
+                application: z.string().describe("Name of the application"),
+                projectId: z.string().describe("ID of the project"),
+                refresh: refreshParam
+            },
+            outputSchema: {
+                workItemTypes: z.array(z.string())
+            },
+            annotations: { readOnlyHint: true }
+        },
+        async ({ application, refresh }) => {
+            try {
+                const workItemTypesData = await cachedMetadata(client, application, "workitem_types", refresh, () => client.query(application, {
+                    primaryEntityDefName: "Project",
+                    queryFieldDefs: [
+                        { fieldPathName: "dbid", isShown: true, sortType: "SORT_DESC" },
+                        { fieldPathName: "Name", isShown: true },
+                        { fieldPathName: "WITypeList", isShown: true }
+                    ],
+                    filterNode: {
+                        boolOp: "BOOL_OP_AND",
+                        fieldFilters: [],
+                        childFilterNodes: []
+                    }
+                }, {}, { pageNumber: 1 }));
+
+                if (workItemTypesData && workItemTypesData.rows) {
+                    const workItemTypes = workItemTypesData.rows.map(row => {
+                        const typesString = row.values[2] || ""; // WITypeList is at index 2
+                        return typesString.split('\n').map(type => type.trim());
+                    }).flat();
+
+                    return {
+                        content: [{ type: 'text', text: `Available work item types: ${JSON.stringify(workItemTypes)}` }],
+                        structuredContent: { workItemTypes }
+                    };
+                } else {
+                    throw new Error("Failed to retrieve work item types");
+                }
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error retrieving work item types: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to get available state transitions for work items
+    server.registerTool(
+        "get_available_states",
+        {
+            description: "Gets the state transition matrix for work items in Plan for a given application, showing available transitions/actions",
+            inputSchema: {
+                application: z.string().describe("Name of the application"),
+                refresh: refreshParam
+            },
+            outputSchema: {
+                transitions: z.array(z.object({ fromState: z.string(), action: z.string(), toState: z.string() }))
+            },
+            annotations: { readOnlyHint: true }
+        },
+        async ({ application, refresh }) => {
+            try {
+                const data = await cachedMetadata(client, application, "states", refresh, () => client.getRecords(application, "WorkItem"));
+
+                // Format the response to make it more readable
+                let formattedResponse = "State Transition Matrix:\n\n";
+                const transitionList = [];
+
+                if (data && Array.isArray(data)) {
+                    const stateTransitions = extractStateTransitions(data);
+
+                    // Format the extracted transitions
+                    if (Object.keys(stateTransitions).length > 0) {
+                        for (const [fromState, transitions] of Object.entries(stateTransitions)) {
+                            formattedResponse += `From "${fromState}":\n`;
+                            transitions.forEach(transition => {
+                                formattedResponse += `  - Action: "${transition.action}" -> To: "${transition.toState}"\n`;
+                                transitionList.push({ fromState, ...transition });
+                            });
+                            formattedResponse += "\n";
+                        }
+                    } else {
+                        formattedResponse += "No state transitions found in the work items.\n";
+                    }
+                } else {
+                    formattedResponse += "Unexpected response format. Raw data:\n";
+                    formattedResponse += JSON.stringify(data, null, 2);
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `${formattedResponse}\n\nRaw data: ${JSON.stringify(data)}`
+                    }],
+                    structuredContent: { transitions: transitionList }
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error retrieving state transition matrix: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+}
+
+/**
+ * Read metadata through the client's cache, or straight from Plan when it has none.
+ * Shared with the other tool modules that read rarely changing definitions.
+ * @param {PlanClient} client - Client used to talk to Plan
+ * @param {string} application - Application the data belongs to, "" for teamspace-wide data
+ * @param {string} kind - What is cached (e.g. "projects")
+ * @param {boolean} [refresh] - Bypass the cached value and reload it
+ * @param {Function} load - Async function fetching the data from Plan
+ */
+export function cachedMetadata(client, application, kind, refresh, load) {
+    if (!client.cache) {
+        return load();
+    }
+    return client.cache.get(client.teamspaceID, application, kind, load, { refresh });
+}
+
+/**
+ * Extract state transitions from work items with _CHANGE_STATE actions
+ * @param {Array} workItems - Records returned by the records/WorkItem endpoint
+ * @returns {Object} Map of source state to [{action, toState}]
+ */
+function extractStateTransitions(workItems) {
+    const stateTransitions = {};
+
+    workItems.forEach(workItem => {
+        if (workItem.actions && Array.isArray(workItem.actions)) {
+            workItem.actions.forEach(action => {
+                if (action.actionType === "_CHANGE_STATE") {
+                    const actionName = action.name;
+                    const destState = action.actionDestStateName;
+                    const sourceStates = action.actionSourceStateNames || [];
+
+                    sourceStates.forEach(sourceState => {
+                        if (!stateTransitions[sourceState]) {
+                            stateTransitions[sourceState] = [];
+                        }
+
+                        // Avoid duplicates
+                        const existingTransition = stateTransitions[sourceState].find(
+                            t => t.action === actionName && t.toState === destState
+                        );
+
+                        if (!existingTransition) {
+                            stateTransitions[sourceState].push({
+                                action: actionName,
+                                toState: destState
+                            });
+                        }
+                    });
+                }
+            });
+        }
+    });
+
+    return stateTransitions;
+}
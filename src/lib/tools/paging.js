@@ -0,0 +1,88 @@
+import { z } from "zod";
+
+// Rows fetched per request when paging through a result set
+export const PAGE_SIZE = 300;
+
+// limit and cursor arguments shared by the tools returning query rows
+export const pagingParams = {
+    limit: z.number().int().positive().optional().describe("Return at most this many rows, and a nextCursor when there are more"),
+    cursor: z.string().optional().describe("nextCursor of a previous call, to continue where it stopped. The filters of that call apply.")
+};
+
+// Cursors are opaque to callers: the result set, the next row and, once known, the total row count
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (position.resultSetId && Number.isInteger(position.offset) && (position.total === undefined || Number.isInteger(position.total))) {
+            return position;
+        }
+    } catch {
+        // Reported below
+    }
+    throw new Error("Invalid cursor. Pass the nextCursor of a previous call unchanged.");
+}
+
+/**
+ * Read a window of rows from a query. Without a cursor the query is run; with one, the
+ * result set it points to is continued from the page holding its offset. Reading stops at
+ * the first page past the window, so the total is only known once the last page was read:
+ * Plan does not report the row count of a result set, and counting would mean reading every page.
+ * @param {PlanClient} client - Client used to talk to Plan
+ * @param {string} application - Name of the Plan application
+ * @param {Object} queryDef - Plan queryDef, used when there is no cursor
+ * @param {Object} resultSetOptions - Plan resultSetOptions, the page size is set here
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Rows to return, all when omitted
+ * @param {string} [options.cursor] - nextCursor of a previous call
+ * @param {Function} [options.onRows] - Async callback receiving the rows page by page instead of collecting them
+ * @returns {Promise<Object>} {columns, rows, total, nextCursor}; total is undefined when reading stopped before the last page
+ */
+export async function readRows(client, application, queryDef, resultSetOptions, { limit, cursor, onRows } = {}) {
+    let pages;
+    let resultSetId;
+    let offset = 0;
+    let total;
+    if (cursor) {
+        ({ resultSetId, offset, total } = decodeCursor(cursor));
+        pages = client.resultPages(application, resultSetId, { pageSize: PAGE_SIZE, firstPage: Math.floor(offset / PAGE_SIZE) + 1 });
+    } else {
+        pages = client.queryPages(application, queryDef, { ...resultSetOptions, pageSize: PAGE_SIZE });
+    }
+
+    const end = limit ? offset + limit : Infinity;
+    let position = Math.floor(offset / PAGE_SIZE) * PAGE_SIZE;
+    let columns;
+    const rows = [];
+    let stopped = false;
+    for await (const page of pages) {
+        resultSetId ??= page.resultSetId;
+        columns ??= page.columns;
+        const window = page.rows.slice(Math.max(offset - position, 0), Math.max(end - position, 0));
+        position += page.rows.length;
+
+        if (window.length > 0 && onRows) {
+            await onRows(window);
+        } else {
+            rows.push(...window);
+        }
+        // Rows past the window show there are more; a short page is the last one anyway
+        if (position >= end && page.rows.length === PAGE_SIZE && (position > end || total !== undefined)) {
+            stopped = true;
+            break;
+        }
+    }
+    if (!stopped) {
+        total = position;
+    }
+
+    return {
+        columns,
+        rows,
+        total,
+        nextCursor: total === undefined || end < total ? encodeCursor({ resultSetId, offset: end, total }) : undefined
+    };
+}
@@ -0,0 +1,374 @@
+import { z } from "zod";
+import { PlanSessionExpiredError } from "../plan-client.js";
+import { addToProjectList, buildCommitField, updateEntity } from "../records.js";
+import { dryRunOutput, dryRunParam, dryRunResult, isDryRun } from "./dry-run.js";
+import { mapRows } from "./rows.js";
+
+// Output of the sprint and release create/update tools
+const savedRecordOutput = {
+    dbid: z.string().optional().describe("dbid of the saved record, unknown in a dry run that creates one"),
+    operation: z.enum(["created", "updated"]),
+    projectID: z.string().optional().describe("Project the record was added to"),
+    ...dryRunOutput
+};
+
+/**
+ * Register the sprint and release tools
+ * @param {McpServer} server - Server to register the tools on
+ * @param {PlanClient} client - Client used to talk to Plan
+ */
+export function registerPlanningTools(server, client) {
+    // Tool to get sprints for an application in Plan
+    server.registerTool(
+        "get_sprints",
+        {
+            description: "Get the list of sprints in Plan for a given application",
+            inputSchema: {
+                application: z.string().describe("Name of the application")
+            },
+            outputSchema: {
+                sprints: z.array(z.object({ dbid: z.string(), name: z.string(), startDate: z.string(), endDate: z.string() }))
+            },
+            annotations: { readOnlyHint: true }
+        },
+        async ({ application }) => {
+            try {
+                const sprintsData = await client.query(application, {
+                    primaryEntityDefName: "Sprint",
+                    queryFieldDefs: [
+                        { fieldPathName: "Name", isShown: true, sortOrder: 0 },
+                        { fieldPathName: "StartDate", isShown: true, sortOrder: 0 },
+                        { fieldPathName: "EndDate", isShown: true, sortOrder: 0 },
+                        { fieldPathName: "dbid", isShown: true, sortOrder: 0 },
+                        { fieldPathName: "record_type", isShown: true, sortOrder: 0 }
+                    ],
+                    filterNode: {
+                        boolOp: "BOOL_OP_AND",
+                        fieldFilters: [],
+                        childFilterNodes: []
+                    }
+                }, {
+                    convertToLocalTime: false,
+                    maxResultSetRows: 10000,
+                    pageSize: 10000
+                });
+
+                if (sprintsData && sprintsData.rows) {
+                    return {
+                        content: [{ type: 'text', text: `Sprints retrieved: ${JSON.stringify(sprintsData)}` }],
+                        structuredContent: {
+                            sprints: mapRows(sprintsData.rows, ["name", "startDate", "endDate", "dbid"])
+                        }
+                    };
+                } else {
+                    throw new Error("Failed to retrieve sprints");
+                }
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error retrieving sprints: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to get releases for an application in Plan
+    server.registerTool(
+        "get_releases",
+        {
+            description: "Get the list of releases in Plan for a given application",
+            inputSchema: {
+                application: z.string().describe("Name of the application")
+            },
+            outputSchema: {
+                releases: z.array(z.object({ dbid: z.string(), name: z.string(), releaseType: z.string(), sprints: z.array(z.string()) }))
+            },
+            annotations: { readOnlyHint: true }
+        },
+        async ({ application }) => {
+            try {
+                const releasesData = await client.query(application, {
+                    primaryEntityDefName: "Release",
+                    queryFieldDefs: [
+                        { fieldPathName: "Name", isShown: true, sortOrder: 0 },
+                        { fieldPathName: "ReleaseType", isShown: true, sortOrder: 0 },
+                        { fieldPathName: "dbid", isShown: true, sortOrder: 0 },
+                        { fieldPathName: "record_type", isShown: true, sortOrder: 0 },
+                        { fieldPathName: "Sprints", isShown: true, sortOrder: 0 }
+                    ],
+                    filterNode: {
+                        boolOp: "BOOL_OP_AND",
+                        fieldFilters: [],
+                        childFilterNodes: []
+                    }
+                }, {
+                    convertToLocalTime: false,
+                    maxResultSetRows: 10000,
+                    pageSize: 10000
+                });
+
+                if (releasesData && releasesData.rows) {
+                    return {
+                        content: [{ type: 'text', text: `Releases retrieved: ${JSON.stringify(releasesData)}` }],
+                        structuredContent: {
+                            // Sprints is a reference list, returned as newline separated names
+                            releases: mapRows(releasesData.rows, ["name", "releaseType", "dbid", "recordType", "sprints"])
+                                .map(({ recordType, sprints, ...release }) => ({ ...release, sprints: sprints.split('\n').filter(Boolean) }))
+                        }
+                    };
+                } else {
+                    throw new Error("Failed to retrieve releases");
+                }
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error retrieving releases: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to create or update a sprint
+    server.registerTool(
+        "create_or_update_sprint",
+        {
+            description: "Creates a new sprint or updates an existing sprint in Plan. If sprintDbid is provided, updates the sprint; otherwise creates a new one. If projectID is provided, automatically adds the sprint to the project (atomic operation).",
+            inputSchema: {
+                application: z.string().describe("Name of the application"),
+                sprintDbid: z.string().optional().describe("The dbid of the sprint to update (optional - omit to create new sprint)"),
+                projectID: z.string().optional().describe("The dbid of the project to automatically add this sprint to (optional but recommended)"),
+                name: z.string().optional().describe("Name of the sprint (required for creation, optional for update)"),
+                startDate: z.string().optional().describe("Start date in YYYY-MM-DD format (optional)"),
+                endDate: z.string().optional().describe("End date in YYYY-MM-DD format (optional)"),
+                dryRun: dryRunParam
+            },
+            outputSchema: savedRecordOutput,
+            annotations: { destructiveHint: false }
+        },
+        async ({ application, sprintDbid, projectID, name, startDate, endDate, dryRun }) => {
+            try {
+                const isCreating = !sprintDbid;
+
+                // Creation and the Edit+Commit are replayed together if the session expires
+                const save = () => client.withSession(async () => {
+                    let targetDbid = sprintDbid;
+
+                    // CREATE MODE: Step 1 - POST to create empty Sprint
+                    if (isCreating) {
+                        if (!name) {
+                            throw new Error("Name is required when creating a new sprint");
+                        }
+
+                        const createData = await client.createRecord(application, "Sprint");
+                        targetDbid = createData.dbId;
+                    } else {
+                        // UPDATE MODE: Validate at least one field to update
+                        if (!name && !startDate && !endDate) {
+                            throw new Error("At least one of name, startDate, or endDate must be provided for update");
+                        }
+                    }
+
+                    // Step 2 and 3: Edit to set fields, then Commit with full field metadata
+                    const editFields = [];
+                    const commitFields = [];
+                    if (name) {
+                        editFields.push({ name: "Name", value: name });
+                        commitFields.push(buildCommitField({ name: "Name", value: name, requiredness: "MANDATORY" }));
+                    }
+                    if (startDate) {
+                        editFields.push({ name: "StartDate", value: startDate });
+                        commitFields.push(buildCommitField({ name: "StartDate", value: `${startDate} 00:00:00`, type: "DATE_TIME", requiredness: "MANDATORY" }));
+                    }
+                    if (endDate) {
+                        editFields.push({ name: "EndDate", value: endDate });
+                        commitFields.push(buildCommitField({ name: "EndDate", value: `${endDate} 00:00:00`, type: "DATE_TIME", requiredness: "MANDATORY" }));
+                    }
+
+                    return updateEntity(client, application, "Sprint", targetDbid, editFields, commitFields, { dbId: targetDbid });
+                });
+
+                // Step 4: If projectID is provided, add this sprint to the project
+                const addToProject = async () => {
+                    if (projectID && name) {
+                        try {
+                            await addToProjectList(client, application, projectID, "Sprints", name);
+                        } catch (projectError) {
+                            // Don't fail the whole operation if project update fails
+                            client.logger.warn(`Failed to add sprint ${name} to project ${projectID}`, { error: projectError });
+                        }
+                    }
+                };
+
+                if (isDryRun(client, dryRun)) {
+                    if (!isCreating) {
+                        // Fails when the sprint does not exist
+                        await client.getRecord(application, "Sprint", sprintDbid);
+                    }
+                    const { requests } = await client.withDryRun(async () => {
+                        await save();
+                        await addToProject();
+                    });
+                    return dryRunResult("create_or_update_sprint", requests, {
+                        ...(sprintDbid ? { dbid: sprintDbid } : {}),
+                        operation: isCreating ? "created" : "updated",
+                        ...(projectID ? { projectID } : {})
+                    });
+                }
+
+                const commitData = await save();
+                await addToProject();
+
+                const action = isCreating ? "created" : "updated";
+                const projectMessage = projectID ? ` and added to project ${projectID}` : "";
+                return {
+                    content: [{ type: 'text', text: `Sprint ${action} successfully${projectMessage}: ${JSON.stringify(commitData)}` }],
+                    structuredContent: {
+                        dbid: String(commitData?.dbId ?? sprintDbid),
+                        operation: action,
+                        ...(projectID ? { projectID } : {})
+                    }
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error ${sprintDbid ? 'updating' : 'creating'} sprint: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to create or update a release
+    server.registerTool(
+        "create_or_update_release",
+        {
+            description: "Creates a new release or updates an existing release in Plan. If releaseDbid is provided, updates the release; otherwise creates a new one. If projectID is provided, automatically adds the release to the project (atomic operation).",
+            inputSchema: {
+                application: z.string().describe("Name of the application"),
+                projectID: z.string().describe("The ID of the project to automatically add this release to"),
+                releaseDbid: z.string().optional().describe("The dbid of the release to update (optional - omit to create new release)"),
+                fields: z.array(z.object({
+                    name: z.string().describe("Field name (e.g., 'Name', 'ReleaseType', 'Description', 'Frozen', 'Sprints', etc.)"),
+                    value: z.string().describe("The new value for the field. IMPORTANT: For REFERENCE_LIST fields like 'Sprints', use NAMES not IDs - provide comma-separated sprint names (e.g., 'Sprint 1,Sprint 2,Sprint 3')."),
+                    type: z.string().optional().describe("Field type (e.g., 'SHORT_STRING', 'MULTILINE_STRING', 'REFERENCE_LIST', 'DATE_TIME'). Use 'REFERENCE_LIST' for fields like 'Sprints' that reference other entities. Defaults to 'SHORT_STRING'.")
+                })).describe("Array of fields to set/update. For creation, 'Name' is required. When setting Sprints, always use type='REFERENCE_LIST' and provide sprint names, not dbids."),
+                dryRun: dryRunParam
+            },
+            outputSchema: savedRecordOutput,
+            annotations: { destructiveHint: false }
+        },
+        async ({ application, releaseDbid, projectID, fields, dryRun }) => {
+            try {
+                const isCreating = !releaseDbid;
+
+                // Creation, the Edits and the Commit are replayed together if the session expires
+                const save = () => client.withSession(async () => {
+                    let targetDbid = releaseDbid;
+
+                    // CREATE MODE: Step 1 - POST to create empty Release
+                    if (isCreating) {
+                        const hasName = fields.some(f => f.name === "Name");
+                        if (!hasName) {
+                            throw new Error("Name field is required when creating a new release");
+                        }
+
+                        const createData = await client.createRecord(application, "Release");
+                        targetDbid = createData.dbId;
+                    } else {
+                        if (fields.length === 0) {
+                            throw new Error("At least one field must be provided for update");
+                        }
+                    }
+
+                    // Step 2: PATCH Edit to set fields (one call per field)
+                    for (const field of fields) {
+                        // For REFERENCE_LIST fields, we need to send valueAsList instead of value
+                        const fieldPayload = { name: field.name };
+                        if (field.type === "REFERENCE_LIST") {
+                            fieldPayload.valueAsList = field.value.split(',').map(v => v.trim());
+                        } else {
+                            fieldPayload.value = field.value;
+                        }
+
+                        try {
+                            await client.editRecord(application, "Release", targetDbid, [fieldPayload]);
+                        } catch (editError) {
+                            if (editError instanceof PlanSessionExpiredError) {
+                                throw editError;
+                            }
+                            throw new Error(`Edit operation failed for ${field.name}: ${editError.message}`);
+                        }
+                    }
+
+                    // Step 3: PATCH Commit with full field metadata
+                    const commitFields = fields.map(field => {
+                        const type = field.type || "SHORT_STRING";
+                        const requiredness = field.name === "Name" ? "MANDATORY" : "OPTIONAL";
+                        const maxLength = (field.type === "MULTILINE_STRING" || field.type === "REFERENCE_LIST") ? 0 : 254;
+
+                        // Handle REFERENCE_LIST type (like Sprints), joining values with newline for the value field
+                        if (field.type === "REFERENCE_LIST") {
+                            const valueAsList = field.value.split(',').map(v => v.trim());
+                            return buildCommitField({ name: field.name, value: valueAsList.join('\n'), type, requiredness, valueAsList, maxLength });
+                        }
+                        return buildCommitField({ name: field.name, value: field.value, type, requiredness, valueAsList: [field.value], maxLength });
+                    });
+
+                    return client.commitRecord(application, "Release", targetDbid, {
+                        dbId: targetDbid,
+                        fields: commitFields
+                    });
+                });
+
+                // Get the release name for adding to project
+                const releaseName = fields.find(f => f.name === "Name")?.value;
+
+                // Step 4: If projectID is provided, add this release to the project
+                const addToProject = async () => {
+                    if (projectID && releaseName) {
+                        try {
+                            await addToProjectList(client, application, projectID, "Releases", releaseName);
+                        } catch (projectError) {
+                            // Don't fail the whole operation if project update fails
+                            client.logger.warn(`Failed to add release ${releaseName} to project ${projectID}`, { error: projectError });
+                        }
+                    }
+                };
+
+                if (isDryRun(client, dryRun)) {
+                    if (!isCreating) {
+                        // Fails when the release does not exist
+                        await client.getRecord(application, "Release", releaseDbid);
+                    }
+                    const { requests } = await client.withDryRun(async () => {
+                        await save();
+                        await addToProject();
+                    });
+                    return dryRunResult("create_or_update_release", requests, {
+                        ...(releaseDbid ? { dbid: releaseDbid } : {}),
+                        operation: isCreating ? "created" : "updated",
+                        ...(projectID ? { projectID } : {})
+                    });
+                }
+
+                const commitData = await save();
+                await addToProject();
+
+                const action = isCreating ? "created" : "updated";
+                const projectMessage = projectID ? ` and added to project ${projectID}` : "";
+                return {
+                    content: [{ type: 'text', text: `Release ${action} successfully${projectMessage}: ${JSON.stringify(commitData)}` }],
+                    structuredContent: {
+                        dbid: String(commitData?.dbId ?? releaseDbid),
+                        operation: action,
+                        ...(projectID ? { projectID } : {})
+                    }
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error ${releaseDbid ? 'updating' : 'creating'} release: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+}
@@ -0,0 +1,84 @@
+import { z } from "zod";
+import { BOOL_OPS, COMP_OPS, checkFieldPaths, createFieldResolver, toFilterNode } from "../filters.js";
+import { cachedMetadata } from "./metadata.js";
+import { pagingParams, readRows } from "./paging.js";
+import { mapRows } from "./rows.js";
+
+// Entities query_records can run on
+export const QUERY_ENTITIES = ["WorkItem", "Sprint", "Release", "Project", "Component"];
+
+// A filter node: field filters and child nodes combined with AND or OR
+export const filterNodeSchema = z.lazy(() => z.object({
+    boolOp: z.enum(BOOL_OPS).optional().describe("How the filters and child nodes are combined, AND by default"),
+    fieldFilters: z.array(z.object({
+        fieldPath: z.string().describe("Field name, or a path through reference fields such as 'Owner.fullname'"),
+        compOp: z.enum(COMP_OPS).describe("EQ, NEQ, LIKE and GT/LT take one value, IN one or more, BETWEEN two (inclusive), IS_NULL none"),
+        values: z.array(z.string()).optional().describe("Values to compare with. '[CURRENT_USER]' stands for the authenticated user.")
+    })).optional(),
+    childFilterNodes: z.array(filterNodeSchema).optional().describe("Nested filter nodes")
+}));
+
+/**
+ * Resolver for field paths of an application, reading entity definitions through the metadata cache
+ * @param {PlanClient} client - Client used to talk to Plan
+ * @param {string} application - Name of the Plan application
+ * @returns {Function} Resolver for toFilterNode() and checkFieldPaths()
+ */
+export function applicationFieldResolver(client, application) {
+    return createFieldResolver(entity =>
+        cachedMetadata(client, application, `entitydef_${entity}`, false, () => client.getEntityDef(application, entity)));
+}
+
+/**
+ * Register the generic query tools
+ * @param {McpServer} server - Server to register the tools on
+ * @param {PlanClient} client - Client used to talk to Plan
+ */
+export function registerQueryTools(server, client) {
+    // Tool to query any entity with an arbitrary filter tree
+    server.registerTool(
+        "query_records",
+        {
+            description: "Queries records of any entity (WorkItem, Sprint, Release, Project, Component) with nested AND/OR filters. Fields and filters are checked against the entity's field definitions before the query runs.",
+            inputSchema: {
+                application: z.string().describe("Name of the application"),
+                entity: z.enum(QUERY_ENTITIES).describe("Entity to query"),
+                fields: z.array(z.string()).min(1).describe("Field paths to return, e.g. ['dbid', 'id', 'Title', 'Owner.fullname']"),
+                filter: filterNodeSchema.optional().describe("Filter tree, e.g. {boolOp: 'OR', fieldFilters: [{fieldPath: 'Priority', compOp: 'EQ', values: ['High']}], childFilterNodes: [...]}. All records when omitted."),
+                ...pagingParams
+            },
+            outputSchema: {
+                records: z.array(z.record(z.string())).describe("One object per record, keyed by the requested field paths"),
+                total: z.number().optional().describe("Number of records matching the filter; absent when reading stopped before the last page of the result set"),
+                nextCursor: z.string().optional().describe("Pass as cursor to get the next rows, absent on the last page")
+            },
+            annotations: { readOnlyHint: true }
+        },
+        async ({ application, entity, fields, filter, limit, cursor }) => {
+            try {
+                const resolveField = applicationFieldResolver(client, application);
+                await checkFieldPaths(fields, entity, resolveField);
+                const filterNode = await toFilterNode(filter, entity, resolveField);
+
+                const { rows, total, nextCursor } = await readRows(client, application, {
+                    primaryEntityDefName: entity,
+                    queryFieldDefs: fields.map(fieldPathName => ({ fieldPathName, isShown: true })),
+                    filterNode
+                }, {
+                    convertToLocalTime: false
+                }, { limit, cursor });
+
+                const records = mapRows(rows, fields);
+                return {
+                    content: [{ type: 'text', text: `Records retrieved: ${JSON.stringify({ records, total, ...(nextCursor ? { nextCursor } : {}) })}` }],
+                    structuredContent: { records, total, ...(nextCursor ? { nextCursor } : {}) }
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error querying records: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+}
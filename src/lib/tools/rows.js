@@ -0,0 +1,42 @@
+import { z } from "zod";
+
+// Columns of the work item queries: query field path -> property of the structured row
+export const WORK_ITEM_COLUMNS = {
+    "dbid": "dbid",
+    "State": "state",
+    "id": "id",
+    "Title": "title",
+    "Owner.fullname": "ownerFullName",
+    "Owner": "owner",
+    "Priority": "priority",
+    "Parent.Title": "parentTitle",
+    "Parent": "parent",
+    "Parent.record_type": "parentType",
+    "Tags": "tags",
+    "WIType": "type",
+    "Sprint": "sprint",
+    "PlannedRelease": "plannedRelease",
+    "FoundInRelease": "foundInRelease"
+};
+
+/**
+ * Map query result rows to objects, one property per queryFieldDef
+ * @param {Array} rows - Rows of a query result page, values in queryFieldDefs order
+ * @param {string[]} properties - Property name of each queryFieldDef
+ * @returns {Array<Object>} Rows with named properties; missing values become ""
+ */
+export function mapRows(rows = [], properties) {
+    return rows.map(row => Object.fromEntries(properties.map((property, index) => [property, String(row.values?.[index] ?? "")])));
+}
+
+/**
+ * Zod schema of a row returned by mapRows()
+ * @param {string[]} properties - Property names of the row
+ * @returns {ZodObject}
+ */
+export function rowSchema(properties) {
+    return z.object(Object.fromEntries(properties.map(property => [property, z.string()])));
+}
+
+// Structured work item row of get_work_items and the other work item queries
+export const workItemRowSchema = rowSchema(Object.values(WORK_ITEM_COLUMNS));
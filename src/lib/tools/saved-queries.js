@@ -0,0 +1,189 @@
+import { z } from "zod";
+import { pagingParams, readRows } from "./paging.js";
+import { WORK_ITEM_COLUMNS, mapRows } from "./rows.js";
+
+// Saved queries and folders are addressed by dbid or by their path in the query tree
+const isDbid = value => /^\d+$/.test(value);
+
+// Find a workspace folder or query by path (e.g. "Public Queries/Team/Open Bugs"), walking the tree from its root
+async function findByPath(client, application, path) {
+    const names = path.split('/').map(name => name.trim()).filter(Boolean);
+    if (names.length === 0) {
+        throw new Error("Empty query path");
+    }
+    let items = await client.getWorkspaceFolders(application);
+    let item;
+    for (const [index, name] of names.entries()) {
+        item = (items || []).find(candidate => candidate.name === name);
+        if (!item) {
+            const parent = index > 0 ? `"${names.slice(0, index).join('/')}"` : "the workspace root";
+            throw new Error(`No folder or query named "${name}" in ${parent}`);
+        }
+        if (index < names.length - 1) {
+            if (item.itemType === "QUERY") {
+                throw new Error(`"${names.slice(0, index + 1).join('/')}" is a query, not a folder`);
+            }
+            items = await client.getWorkspaceFolderItems(application, item.dbId);
+        }
+    }
+    return item;
+}
+
+// Workspace item as returned by the tools
+function toItem({ dbId, name, pathName, itemType = "FOLDER" }) {
+    return { dbid: String(dbId), name, path: pathName || name, type: itemType === "QUERY" ? "query" : "folder" };
+}
+
+/**
+ * Copy a saved filter tree, filling its dynamic filters (values asked at run time) from the parameters
+ * @param {Object} node - Plan filterNode of the saved query
+ * @param {Array} parameters - [{fieldPath, values}]
+ * @returns {Object} Filter node ready to run
+ * @throws {Error} When a dynamic filter has no parameter, or a parameter matches no dynamic filter
+ */
+function applyParameters(node, parameters = []) {
+    const used = new Set();
+    const missing = [];
+    const fill = current => ({
+        ...current,
+        fieldFilters: (current.fieldFilters || []).map(filter => {
+            if (!filter.isDynamic) {
+                return filter;
+            }
+            const parameter = parameters.find(candidate => candidate.fieldPath === filter.fieldPath);
+            if (!parameter) {
+                missing.push(filter.fieldPath);
+                return filter;
+            }
+            used.add(parameter);
+            return { ...filter, values: parameter.values };
+        }),
+        childFilterNodes: (current.childFilterNodes || []).map(fill)
+    });
+
+    const filled = fill(node || {});
+    const unknown = parameters.filter(parameter => !used.has(parameter)).map(parameter => parameter.fieldPath);
+    if (missing.length > 0 || unknown.length > 0) {
+        throw new Error([
+            missing.length > 0 ? `Missing runtime parameter(s): ${missing.join(', ')}` : "",
+            unknown.length > 0 ? `No runtime parameter named ${unknown.join(', ')} in this query` : ""
+        ].filter(Boolean).join('. '));
+    }
+    return filled;
+}
+
+/**
+ * Register the tools browsing and running the saved queries of the workspace
+ * @param {McpServer} server - Server to register the tools on
+ * @param {PlanClient} client - Client used to talk to Plan
+ */
+export function registerSavedQueryTools(server, client) {
+    // Tool to browse the workspace query tree
+    server.registerTool(
+        "list_saved_queries",
+        {
+            description: "Lists the folders and saved queries of the Plan workspace query tree (Public Queries, Personal Queries, ...). Without folder, lists the root folders.",
+            inputSchema: {
+                application: z.string().describe("Name of the application"),
+                folder: z.string().optional().describe("Path (e.g. 'Public Queries/Team') or dbid of the folder to list")
+            },
+            outputSchema: {
+                folder: z.string().optional().describe("Path of the listed folder, absent for the root"),
+                items: z.array(z.object({
+                    dbid: z.string(),
+                    name: z.string(),
+                    path: z.string(),
+                    type: z.enum(["folder", "query"])
+                }))
+            },
+            annotations: { readOnlyHint: true }
+        },
+        async ({ application, folder }) => {
+            try {
+                let items;
+                let folderPath;
+                if (!folder) {
+                    items = await client.getWorkspaceFolders(application);
+                } else {
+                    const found = isDbid(folder) ? { dbId: folder, pathName: folder } : await findByPath(client, application, folder);
+                    if (found.itemType === "QUERY") {
+                        throw new Error(`"${folder}" is a query, not a folder. Run it with run_saved_query.`);
+                    }
+                    items = await client.getWorkspaceFolderItems(application, found.dbId);
+                    folderPath = found.pathName;
+                }
+
+                const structuredContent = { ...(folderPath ? { folder: folderPath } : {}), items: (items || []).map(toItem) };
+                return {
+                    content: [{ type: 'text', text: `Saved queries retrieved: ${JSON.stringify(structuredContent)}` }],
+                    structuredContent
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error listing saved queries: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to run a saved query
+    server.registerTool(
+        "run_saved_query",
+        {
+            description: "Runs a saved query of the Plan workspace, addressed by path or dbid, with the same paging as get_work_items. Queries with runtime (dynamic) filters need a parameter for each of them.",
+            inputSchema: {
+                application: z.string().describe("Name of the application"),
+                query: z.string().describe("Path (e.g. 'Public Queries/Open Bugs') or dbid of the saved query"),
+                parameters: z.array(z.object({
+                    fieldPath: z.string().describe("Field of a runtime filter of the query"),
+                    values: z.array(z.string()).describe("Values for that filter")
+                })).optional().describe("Values of the query's runtime filters"),
+                ...pagingParams
+            },
+            outputSchema: {
+                query: z.object({ dbid: z.string(), name: z.string(), path: z.string(), entity: z.string() }),
+                records: z.array(z.record(z.string())).describe("One object per row. Work item columns use the get_work_items property names, other columns their field path."),
+                total: z.number().optional().describe("Number of rows in the result set, known once its last page has been read"),
+                nextCursor: z.string().optional().describe("Pass as cursor to get the next rows, absent on the last page")
+            },
+            annotations: { readOnlyHint: true }
+        },
+        async ({ application, query, parameters, limit, cursor }) => {
+            try {
+                const dbid = isDbid(query) ? query : (await findByPath(client, application, query)).dbId;
+                const saved = await client.getSavedQuery(application, dbid);
+                const fieldPaths = (saved.queryFieldDefs || []).map(def => def.fieldPathName);
+
+                // A cursor continues the result set of the first call, which already had its parameters
+                const filterNode = cursor ? saved.filterNode : applyParameters(saved.filterNode, parameters);
+                const { rows, total, nextCursor } = await readRows(client, application, {
+                    primaryEntityDefName: saved.primaryEntityDefName,
+                    queryFieldDefs: saved.queryFieldDefs,
+                    filterNode
+                }, {
+                    convertToLocalTime: true
+                }, { limit, cursor });
+
+                const properties = saved.primaryEntityDefName === "WorkItem"
+                    ? fieldPaths.map(fieldPath => WORK_ITEM_COLUMNS[fieldPath] || fieldPath)
+                    : fieldPaths;
+                const structuredContent = {
+                    query: { dbid: String(saved.dbId ?? dbid), name: saved.name, path: saved.pathName || saved.name, entity: saved.primaryEntityDefName },
+                    records: mapRows(rows, properties),
+                    total,
+                    ...(nextCursor ? { nextCursor } : {})
+                };
+                return {
+                    content: [{ type: 'text', text: `Saved query results: ${JSON.stringify(structuredContent)}` }],
+                    structuredContent
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error running saved query: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+}
@@ -0,0 +1,41 @@
+import { z } from "zod";
+import { findUsers } from "../users.js";
+
+/**
+ * Register the user directory tools
+ * @param {McpServer} server - Server to register the tools on
+ * @param {PlanClient} client - Client used to talk to Plan
+ */
+export function registerUserTools(server, client) {
+    // Tool to search the users and groups of an application
+    server.registerTool(
+        "find_users",
+        {
+            description: "Searches the users and groups of a Plan application by login name, full name, email or group name. Use the login name it returns to assign work items or filter them by owner.",
+            inputSchema: {
+                application: z.string().describe("Name of the application"),
+                search: z.string().optional().describe("Part of a login name, full name, email or group name, case insensitive. Lists everyone when omitted."),
+                limit: z.number().int().positive().optional().describe("Maximum number of users and of groups to return, 50 by default")
+            },
+            outputSchema: {
+                users: z.array(z.object({ login: z.string(), fullName: z.string(), email: z.string() })),
+                groups: z.array(z.object({ name: z.string(), members: z.array(z.string()).describe("Login names of the members") }))
+            },
+            annotations: { readOnlyHint: true }
+        },
+        async ({ application, search, limit }) => {
+            try {
+                const directory = await findUsers(client, application, search, { limit });
+                return {
+                    content: [{ type: 'text', text: `Users retrieved: ${JSON.stringify(directory.users)} , Groups: ${JSON.stringify(directory.groups)}` }],
+                    structuredContent: directory
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error searching users: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+}
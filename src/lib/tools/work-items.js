@@ -0,0 +1,472 @@
+import { z } from "zod";
+import { buildCommitField, createEntity, readWorkItem } from "../records.js";
+import { CURRENT_USER, resolveUser } from "../users.js";
+import { mapConcurrent } from "./concurrency.js";
+import { dryRunOutput, dryRunParam, dryRunResult, isDryRun } from "./dry-run.js";
+import { pagingParams, readRows } from "./paging.js";
+import { WORK_ITEM_COLUMNS, mapRows, workItemRowSchema } from "./rows.js";
+
+// Editable fields of these types may have a choice list; the reference ones can list a whole user directory
+const CHOICE_TYPES = ["SHORT_STRING", "INT"];
+const REFERENCE_TYPES = ["REFERENCE", "REFERENCE_LIST"];
+
+// Choice lists get_work_item reads at the same time
+const CHOICE_LIST_CONCURRENCY = 4;
+
+/**
+ * Set fields of a work item the way the web client does: Modify action, Edit, then Commit
+ * @param {PlanClient} client - Client used to talk to Plan
+ * @param {string} application - Name of the Plan application
+ * @param {string} dbid - dbid of the work item
+ * @param {Array} fields - Array of {name, value, type}; type defaults to SHORT_STRING
+ * @returns {Object} The committed record
+ */
+export function updateWorkItemFields(client, application, dbid, fields) {
+    return client.withSession(async () => {
+        // Step 1: Modify action + Edit operation with empty body (like UI does)
+        await client.runAction(application, "WorkItem", dbid, "Modify");
+
+        // Step 2: Edit operation with simple field structure (name and value only)
+        await client.editRecord(application, "WorkItem", dbid, fields.map(field => ({
+            name: field.name,
+            value: field.value
+        })));
+
+        // Step 3: Commit operation with full field structure
+        return client.commitRecord(application, "WorkItem", dbid, {
+            dbId: dbid,
+            fields: fields.map(field => buildCommitField({
+                name: field.name,
+                value: field.value,
+                type: field.type,
+                maxLength: field.type === "SHORT_STRING" ? 254 : 0
+            }))
+        });
+    });
+}
+
+/**
+ * Run a state change action on a work item: the movement request, then a commit with minimal body
+ * @param {PlanClient} client - Client used to talk to Plan
+ * @param {string} application - Name of the Plan application
+ * @param {string} dbid - dbid of the work item
+ * @param {string} action - State change action (e.g. "Resolve")
+ * @param {boolean} [wait=true] - Wait client.commitDelay before the commit; a dry run has nothing to wait for
+ * @returns {Object} The committed record
+ */
+export function changeWorkItemState(client, application, dbid, action, wait = true) {
+    // Movement and commit share the server-side edit, so they are replayed together if the session expires
+    return client.withSession(async () => {
+        // Step 1: Make the movement request with minimal body
+        const movementData = await client.runAction(application, "WorkItem", dbid, action);
+
+        // Wait 1 second before commit to allow database updates to complete
+        if (wait) {
+            await new Promise(resolve => setTimeout(resolve, client.commitDelay));
+        }
+
+        // Step 2: Commit the change with the same minimal body as the browser
+        return client.commitRecord(application, "WorkItem", dbid, {
+            dbId: movementData.dbId,
+            fields: []
+        });
+    });
+}
+
+/**
+ * Register the work item tools
+ * @param {McpServer} server - Server to register the tools on
+ * @param {PlanClient} client - Client used to talk to Plan
+ */
+export function registerWorkItemTools(server, client) {
+    // Tool to create a work item in Plan
+    server.registerTool(
+        "create_work_item",
+        {
+            description: "Creates a new work item in Plan",
+            inputSchema: {
+                component: z.string().optional().describe("An optional component name if any are available in the project, this is not required."),
+                title: z.string().describe("Title of the work item"),
+                description: z.string().describe("Description of the work item"),
+                workItemType: z.string().describe("Type of the work item from the list of available work item types"),
+                application: z.string().describe("Name of the application"),
+                projectName: z.string().describe("Name of the project"),
+                dryRun: dryRunParam
+            },
+            outputSchema: {
+                dbid: z.string().optional().describe("dbid of the new work item"),
+                url: z.string().optional().describe("Link to the work item in the Plan web client"),
+                ...dryRunOutput
+            },
+            annotations: { destructiveHint: false }
+        },
+        async ({ component, title, description, workItemType, application, projectName, dryRun }) => {
+            try {
+                const editFields = [
+                    { name: "Title", value: title },
+                    { name: "Description", value: description },
+                    { name: "WIType", value: workItemType },
+                    { name: "Project", value: projectName }
+                ];
+                if (component) {
+                    editFields.push({ name: "Component", value: component });
+                }
+                const create = () => createEntity(client, application, "WorkItem", editFields);
+
+                if (isDryRun(client, dryRun)) {
+                    const databases = await client.getDatabases();
+                    if (!databases?.some(db => db.name === application)) {
+                        throw new Error(`Application "${application}" not found`);
+                    }
+                    const { requests } = await client.withDryRun(create);
+                    return dryRunResult("create_work_item", requests);
+                }
+
+                const data = await create();
+                if (data.viewURL) {
+                    client.logger.info("Created work item", { dbId: data.dbId, application });
+                    return {
+                        content: [{ type: 'text', text: `Work item created successfully. dbId: ${data.dbId}. View it at: ${client.serverURL}/#${data.viewURL}` }],
+                        structuredContent: { dbid: String(data.dbId), url: `${client.serverURL}/#${data.viewURL}` }
+                    };
+                } else {
+                    throw new Error("Failed to create work item: " + JSON.stringify(data));
+                }
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error creating work item: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to retrieve all work items for a project
+    server.registerTool(
+        "get_work_items",
+        {
+            description: "Retrieves all work items for a given application, can filter by work item type and specific owner. Every page of the result set is read unless limit is given; then pass nextCursor back to get the following rows.",
+            inputSchema: {
+                applicationName: z.string().describe("Name of the application"),
+                projectName: z.string().describe("Name of the project"),
+                workitemType: z.string().optional().describe("Type of the work item to filter by, if any"),
+                owner: z.string().optional().describe("Filter the workitems by owner: a login name, full name or email, or '[CURRENT_USER]' for the authenticated user"),
+                ...pagingParams,
+                stream: z.boolean().optional().describe("Send the rows page by page as progress notifications instead of in the result. Needs a progressToken.")
+            },
+            outputSchema: {
+                workItems: z.array(workItemRowSchema),
+                total: z.number().optional().describe("Number of work items matching the filters; only given once the last page has been read"),
+                nextCursor: z.string().optional().describe("Pass as cursor to get the next rows, absent on the last page"),
+                streamed: z.number().optional().describe("Rows sent as progress notifications, in stream mode")
+            },
+            annotations: { readOnlyHint: true }
+        },
+        async ({ applicationName, projectName, workitemType, owner, limit, cursor, stream }, extra) => {
+            try {
+                const progressToken = extra?._meta?.progressToken;
+                if (stream && progressToken === undefined) {
+                    throw new Error("stream needs a progressToken in the request _meta to send the rows to");
+                }
+
+                // A cursor continues an existing result set, so the owner was resolved by the first call
+                const ownerLogin = owner && !cursor && owner !== CURRENT_USER
+                    ? (await resolveUser(client, applicationName, owner)).login
+                    : owner;
+
+                let streamed = 0;
+                const { columns, rows, total, nextCursor } = await readRows(client, applicationName, {
+                    primaryEntityDefName: "WorkItem",
+                    stateDriven: true,
+                    showWipLimits: true,
+                    backlogStateName: "Backlog",
+                    laneQueryDef: {
+                        pageCounterQueryField: "State",
+                        pageCounterQueryFieldPath: "State",
+                        wipLimitFilterQueryField: "Project"
+                    },
+                    queryFieldDefs: Object.keys(WORK_ITEM_COLUMNS).map(fieldPathName => ({ fieldPathName, isShown: true })),
+                    filterNode: {
+                        boolOp: "BOOL_OP_AND",
+                        fieldFilters: [
+                            { fieldPath: "Project", compOp: "COMP_OP_EQ", values: [projectName] },
+                            ...(ownerLogin ? [{ fieldPath: "Owner", compOp: "COMP_OP_EQ", values: [ownerLogin] }] : []),
+                            ...(workitemType ? [{ fieldPath: "WIType", compOp: "COMP_OP_EQ", values: [workitemType] }] : [])
+                        ]
+                    }
+                }, {
+                    convertToLocalTime: true
+                }, {
+                    limit,
+                    cursor,
+                    // In stream mode each page of rows goes out as a progress notification
+                    onRows: stream ? async window => {
+                        streamed += window.length;
+                        await extra.sendNotification({
+                            method: "notifications/progress",
+                            params: {
+                                progressToken,
+                                progress: streamed,
+                                message: JSON.stringify(mapRows(window, Object.values(WORK_ITEM_COLUMNS)))
+                            }
+                        });
+                    } : undefined
+                });
+
+                const structuredContent = {
+                    workItems: mapRows(rows, Object.values(WORK_ITEM_COLUMNS)),
+                    total,
+                    ...(nextCursor ? { nextCursor } : {}),
+                    ...(stream ? { streamed } : {})
+                };
+                const text = stream
+                    ? `Work items streamed: ${streamed}${total !== undefined ? ` of ${total}` : ""} sent as progress notifications${nextCursor ? `, nextCursor: ${nextCursor}` : ""}`
+                    : `Work items retrieved: ${JSON.stringify({ columns, rows, total, ...(nextCursor ? { nextCursor } : {}) })}`;
+                return {
+                    content: [{ type: 'text', text }],
+                    structuredContent
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error retrieving work items: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to read one work item with its field metadata
+    server.registerTool(
+        "get_work_item",
+        {
+            description: "Reads one work item by dbid or display id (e.g. WI00000011): every field with its type, requiredness and allowed values, the current state, the actions available from it and a link to the web client",
+            inputSchema: {
+                application: z.string().describe("Name of the application"),
+                workItem: z.string().describe("dbid or display id of the work item"),
+                includeChoices: z.enum(["none", "lists", "all"]).optional().describe("Which choice lists to read: none; lists (default) for editable string and number fields; all to add reference fields such as Owner, whose list can hold every user")
+            },
+            outputSchema: {
+                dbid: z.string(),
+                id: z.string().describe("Display id"),
+                state: z.string(),
+                legalActions: z.array(z.string()).describe("Actions that can be run now, e.g. with change_work_item_state"),
+                viewURL: z.string().describe("Link to the work item in the Plan web client"),
+                fields: z.array(z.object({
+                    name: z.string(),
+                    value: z.string(),
+                    valueAsList: z.array(z.string()),
+                    type: z.string().describe("Plan field type, e.g. SHORT_STRING, REFERENCE, DATE_TIME"),
+                    requiredness: z.string().describe("MANDATORY, OPTIONAL or READONLY for the current user"),
+                    choices: z.array(z.string()).optional().describe("Values the field accepts, when it has a choice list")
+                }))
+            },
+            annotations: { readOnlyHint: true }
+        },
+        async ({ application, workItem, includeChoices = "lists" }) => {
+            try {
+                const record = await readWorkItem(client, application, workItem);
+                const dbid = String(record.dbId);
+                const choiceTypes = { none: [], lists: CHOICE_TYPES, all: [...CHOICE_TYPES, ...REFERENCE_TYPES] }[includeChoices];
+
+                const fields = await mapConcurrent(record.fields || [], CHOICE_LIST_CONCURRENCY, async field => {
+                    const requiredness = field.requirednessForUser || field.requiredness;
+                    const entry = {
+                        name: field.name,
+                        value: field.value ?? "",
+                        valueAsList: field.valueAsList || [],
+                        type: field.type,
+                        requiredness
+                    };
+                    if (requiredness !== "READONLY" && choiceTypes.includes(field.type)) {
+                        const choices = await client.getFieldChoiceList(application, "WorkItem", dbid, field.name);
+                        if (choices?.length > 0) {
+                            entry.choices = choices;
+                        }
+                    }
+                    return entry;
+                });
+
+                const value = name => fields.find(field => field.name === name)?.value ?? "";
+                const structuredContent = {
+                    dbid,
+                    id: record.displayName || value("id"),
+                    state: value("State"),
+                    legalActions: (record.legalActions || []).map(action => action.actionName),
+                    viewURL: `${client.serverURL}/#${record.viewURL}`,
+                    fields
+                };
+                return {
+                    content: [{ type: 'text', text: `Work item retrieved: ${JSON.stringify(structuredContent)}` }],
+                    structuredContent
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error retrieving work item: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to delete a work item
+    server.registerTool(
+        "delete_work_item",
+        {
+            description: "Deletes a work item in Plan",
+            inputSchema: {
+                dbid: z.string().describe("The dbid field from the workitem to identify it, this is the first field returned for each workitem in the get_work_items tool."),
+                application: z.string().describe("Name of the application"),
+                dryRun: dryRunParam
+            },
+            outputSchema: {
+                dbid: z.string(),
+                deleted: z.boolean(),
+                ...dryRunOutput
+            },
+            annotations: { destructiveHint: true }
+        },
+        async ({ dbid, application, dryRun }) => {
+            try {
+                if (isDryRun(client, dryRun)) {
+                    // Fails when the work item does not exist
+                    await client.getRecord(application, "WorkItem", dbid);
+                    const { requests } = await client.withDryRun(() => client.deleteRecord(application, "WorkItem", dbid));
+                    return dryRunResult("delete_work_item", requests, { dbid, deleted: false });
+                }
+
+                await client.deleteRecord(application, "WorkItem", dbid);
+                return {
+                    content: [{ type: 'text', text: `Work item ${dbid} deleted successfully` }],
+                    structuredContent: { dbid, deleted: true }
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error deleting work item: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to update a work item
+    server.registerTool(
+        "update_work_item",
+        {
+            description: "Updates fields of an existing work item. Provide the fields you want to update with their new values. IMPORTANT: When assigning a Sprint to a work item, the work item MUST first have the corresponding Release assigned to its PlannedRelease field. You cannot assign a sprint to a work item unless that work item is already part of the release that owns the sprint. Always update PlannedRelease before updating Sprint field.",
+            inputSchema: {
+                dbid: z.string().describe("The dbid field from the workitem to identify it"),
+                application: z.string().describe("Name of the application"),
+                fields: z.array(z.object({
+                    name: z.string().describe("Field name (e.g., 'Description', 'Owner', 'Component', 'Sprint', 'PlannedRelease', 'StoryPoints', 'BusinessValue', etc.)"),
+                    value: z.string().describe("The new value for the field. For 'Sprint' field, use the exact sprint name (e.g., 'Sprint 1 - Planning & Foundation'). For 'PlannedRelease' field, use the exact release name (e.g., 'Release 2')."),
+                    type: z.string().optional().describe("Field type (e.g., 'SHORT_STRING', 'MULTILINE_STRING', 'INT', 'REFERENCE', 'DATE_TIME'). Use 'REFERENCE' for Sprint and PlannedRelease fields. Defaults to 'SHORT_STRING'."),
+                })).describe("Array of fields to update. CRITICAL: To assign a Sprint, first ensure PlannedRelease is set to the release that contains that sprint, otherwise the Sprint assignment will fail."),
+                dryRun: dryRunParam
+            },
+            outputSchema: {
+                dbid: z.string(),
+                updatedFields: z.array(z.object({ name: z.string(), value: z.string() })),
+                ...dryRunOutput
+            },
+            annotations: { destructiveHint: false }
+        },
+        async ({ dbid, application, fields, dryRun }) => {
+            try {
+                const update = () => updateWorkItemFields(client, application, dbid, fields);
+
+                if (isDryRun(client, dryRun)) {
+                    // The work item must exist and have every field being set
+                    const record = await client.getRecord(application, "WorkItem", dbid);
+                    const knownFields = new Set((record?.fields || []).map(field => field.name));
+                    const unknownFields = fields.filter(field => knownFields.size > 0 && !knownFields.has(field.name));
+                    if (unknownFields.length > 0) {
+                        throw new Error(`Unknown field(s) on work item ${dbid}: ${unknownFields.map(field => field.name).join(', ')}`);
+                    }
+                    const { requests } = await client.withDryRun(update);
+                    return dryRunResult("update_work_item", requests, { dbid, updatedFields: fields.map(({ name, value }) => ({ name, value })) });
+                }
+
+                await update();
+
+                const updatedFields = fields.map(f => `- ${f.name}: ${f.value}`).join('\n');
+                return {
+                    content: [{ type: 'text', text: `Work item ${dbid} updated successfully.\n\nUpdated fields:\n${updatedFields}` }],
+                    structuredContent: { dbid, updatedFields: fields.map(({ name, value }) => ({ name, value })) }
+                };
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error updating work item: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to change work item state
+    server.registerTool(
+        "change_work_item_state",
+        {
+            description: "Changes the state of a work item in Plan using a two-step process (movement request + commit)",
+            inputSchema: {
+                dbid: z.string().describe("The dbid field from the workitem to identify it, this is the first field returned for each workitem in the get_work_items tool, or from the create_work_item tool as the dbId field."),
+                application: z.string().describe("Name of the application"),
+                targetState: z.string().describe("The target state to transition the work item to (e.g., 'Resolve', 'Close', 'Reopen', etc.)"),
+                dryRun: dryRunParam
+            },
+            outputSchema: {
+                dbid: z.string(),
+                action: z.string().describe("State change action that was run"),
+                ...dryRunOutput
+            },
+            annotations: { destructiveHint: false }
+        },
+        async ({ dbid, application, targetState, dryRun }) => {
+            try {
+                const dry = isDryRun(client, dryRun);
+
+                // First, make sure the work item exists
+                const record = await client.getRecord(application, "WorkItem", dbid);
+
+                const changeState = () => changeWorkItemState(client, application, dbid, targetState, !dry);
+
+                if (dry) {
+                    const legalActions = record?.legalActions?.map(action => action.actionName);
+                    if (legalActions && !legalActions.includes(targetState)) {
+                        throw new Error(`'${targetState}' is not an available action for work item ${dbid}. Available actions: ${legalActions.join(', ')}`);
+                    }
+                    const { requests } = await client.withDryRun(changeState);
+                    return dryRunResult("change_work_item_state", requests, { dbid, action: targetState });
+                }
+
+                await changeState();
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `Work item ${dbid} state successfully changed to '${targetState}'. Both movement and commit operations completed successfully.`
+                    }],
+                    structuredContent: { dbid, action: targetState }
+                };
+            } catch (e) {
+                // Handle specific state transition errors
+                if (e.status === 400 || e.status === 422) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `State transition error: The transition from current state to '${targetState}' may not be valid for work item ${dbid}. Error: ${e.message}`
+                        }],
+                        isError: true
+                    };
+                } else {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Error changing work item state: ${e.message}`
+                        }],
+                        isError: true
+                    };
+                }
+            }
+        }
+    );
+}
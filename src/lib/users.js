@@ -0,0 +1,80 @@
+// Stands for the authenticated user in query filters
+export const CURRENT_USER = "[CURRENT_USER]";
+
+// User fields returned by the directory queries, in query column order
+const USER_FIELDS = ["login_name", "fullname", "email"];
+
+// Query the users entity with the given filter node
+async function queryUsers(client, application, filterNode, pageSize) {
+    const page = await client.query(application, {
+        primaryEntityDefName: "users",
+        queryFieldDefs: USER_FIELDS.map(fieldPathName => ({ fieldPathName, isShown: true })),
+        filterNode
+    }, { pageSize, convertToLocalTime: false }, { pageNumber: 1 });
+    return (page?.rows || []).map(row => ({ login: row.values[0], fullName: row.values[1] || "", email: row.values[2] || "" }));
+}
+
+/**
+ * Search the users and groups of an application. Users match on login name, full name or
+ * email, groups on their name; the search is a case-insensitive substring match.
+ * @param {PlanClient} client - Client used to talk to Plan
+ * @param {string} application - Name of the Plan application
+ * @param {string} [search] - Text to look for, everyone when omitted
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - Maximum number of users and of groups returned
+ * @returns {Promise<Object>} {users: [{login, fullName, email}], groups: [{name, members}]}
+ */
+export async function findUsers(client, application, search, { limit = 50 } = {}) {
+    const like = fieldPath => ({ fieldPath, compOp: "COMP_OP_LIKE", values: [search] });
+    const users = await queryUsers(client, application, {
+        boolOp: search ? "BOOL_OP_OR" : "BOOL_OP_AND",
+        fieldFilters: search ? USER_FIELDS.map(like) : [],
+        childFilterNodes: []
+    }, limit);
+
+    const groupsPage = await client.query(application, {
+        primaryEntityDefName: "groups",
+        queryFieldDefs: [
+            { fieldPathName: "name", isShown: true },
+            { fieldPathName: "users", isShown: true }
+        ],
+        filterNode: {
+            boolOp: "BOOL_OP_AND",
+            fieldFilters: search ? [like("name")] : [],
+            childFilterNodes: []
+        }
+    }, { pageSize: limit, convertToLocalTime: false }, { pageNumber: 1 });
+    const groups = (groupsPage?.rows || []).map(row => ({
+        name: row.values[0],
+        // users is a reference list, returned as newline separated login names
+        members: (row.values[1] || "").split('\n').filter(Boolean)
+    }));
+
+    return { users: users.slice(0, limit), groups: groups.slice(0, limit) };
+}
+
+/**
+ * Resolve a login name, full name or email to the Plan user it belongs to
+ * @param {PlanClient} client - Client used to talk to Plan
+ * @param {string} application - Name of the Plan application
+ * @param {string} name - Login name, full name or email
+ * @returns {Promise<Object>} {login, fullName, email}
+ * @throws {Error} When no user or more than one user matches
+ */
+export async function resolveUser(client, application, name) {
+    const exact = fieldPath => ({ fieldPath, compOp: "COMP_OP_EQ", values: [name] });
+    const matches = await queryUsers(client, application, {
+        boolOp: "BOOL_OP_OR",
+        fieldFilters: USER_FIELDS.map(exact),
+        childFilterNodes: []
+    }, 10);
+
+    if (matches.length === 0) {
+        throw new Error(`No Plan user matches "${name}" by login name, full name or email. Use find_users to search for the user.`);
+    }
+    if (matches.length > 1) {
+        const candidates = matches.map(user => `${user.login} (${user.fullName})`).join(', ');
+        throw new Error(`"${name}" matches more than one Plan user: ${candidates}. Use the login name instead.`);
+    }
+    return matches[0];
+}
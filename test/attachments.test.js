@@ -0,0 +1,94 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, mkdtempSync, rmSync, symlinkSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { FileAccess, createFileAccess } from "../src/lib/index.js";
+import { MockPlanServer } from "./mock-plan-server.js";
+import { createMockClient, connectTools, callStructured } from "./helpers.js";
+
+const mock = new MockPlanServer();
+const dir = mkdtempSync(join(tmpdir(), 'plan-attachments-'));
+let client;
+let bug;
+
+before(async () => {
+    await mock.start();
+    bug = mock.seedDemo().workItems[2];
+    client = await connectTools(createMockClient(mock));
+});
+
+after(async () => {
+    await client.close();
+    await mock.stop();
+    rmSync(dir, { recursive: true, force: true });
+});
+
+test("uploads from a local file or base64 content, then lists and downloads", async () => {
+    const logPath = join(dir, "server.log");
+    writeFileSync(logPath, "ERROR session expired\n");
+    const fromFile = await callStructured(client, "upload_attachment", { application: "Demo", workItem: bug.fields.id, filePath: logPath, description: "Server log" });
+    assert.deepEqual(fromFile, {
+        dbid: bug.dbid,
+        field: "Attachments",
+        attachment: { attachmentId: "1", fileName: "server.log", fileSize: 22, description: "Server log", mimeType: "text/plain" }
+    });
+
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47]).toString('base64');
+    await callStructured(client, "upload_attachment", { application: "Demo", workItem: bug.dbid, content: png, fileName: "screen.png" });
+
+    const { attachments } = await callStructured(client, "list_attachments", { application: "Demo", workItem: bug.dbid });
+    assert.deepEqual(attachments.map(attachment => [attachment.fileName, attachment.fileSize, attachment.mimeType]), [
+        ["server.log", 22, "text/plain"],
+        ["screen.png", 4, "image/png"]
+    ]);
+
+    const download = await client.callTool({ name: "download_attachment", arguments: { application: "Demo", workItem: bug.dbid, attachmentId: "2" } });
+    assert.equal(download.isError, undefined);
+    const resource = download.content.find(item => item.type === "resource").resource;
+    assert.equal(resource.mimeType, "image/png");
+    assert.equal(resource.blob, png);
+    assert.equal(resource.uri, download.structuredContent.uri);
+    assert.equal(download.structuredContent.attachment.fileName, "screen.png");
+
+    // The attachment field of the record lists the file names
+    const { fields } = await callStructured(client, "get_work_item", { application: "Demo", workItem: bug.dbid });
+    assert.deepEqual(fields.find(field => field.name === "Attachments").valueAsList, ["server.log", "screen.png"]);
+});
+
+test("checks the source and the attachment field", async () => {
+    const call = async args => (await client.callTool({ name: "upload_attachment", arguments: { application: "Demo", workItem: bug.dbid, ...args } })).content[0].text;
+    assert.equal(await call({}), "Error uploading attachment: Give either filePath or content");
+    assert.equal(await call({ content: "AAAA" }), "Error uploading attachment: fileName is required with content");
+    assert.equal(await call({ content: "AAAA", fileName: "a.bin", field: "Description" }),
+        "Error uploading attachment: Description is not an attachment field of work item " + bug.dbid + ". Attachment fields: Attachments");
+    assert.match(await call({ filePath: join(dir, "missing.txt") }), /^Error uploading attachment: ENOENT/);
+
+    const since = mock.requests.length;
+    const dryRun = await callStructured(client, "upload_attachment", { application: "Demo", workItem: bug.dbid, content: "AAAA", fileName: "a.bin", dryRun: true });
+    assert.equal(dryRun.dryRun, true);
+    assert.equal(dryRun.requests[0].body.fileName, "a.bin");
+    assert.ok(mock.requests.slice(since).every(request => request.method === "GET"));
+});
+
+test("confines filePath to the file root", async () => {
+    const root = join(dir, "uploads");
+    mkdirSync(root);
+    writeFileSync(join(root, "notes.txt"), "notes\n");
+    writeFileSync(join(dir, ".env"), "PLAN_ACCESS_TOKEN=secret\n");
+    symlinkSync(join(dir, ".env"), join(root, "env-link"));
+
+    const confined = await connectTools(createMockClient(mock), undefined, new FileAccess({ root }));
+    const call = async filePath => (await confined.callTool({ name: "upload_attachment", arguments: { application: "Demo", workItem: bug.dbid, filePath, dryRun: true } })).content[0].text;
+    assert.match(await call("notes.txt"), /^Dry run/);
+    for (const filePath of ["../.env", join(dir, ".env"), "env-link", "/proc/self/environ"]) {
+        assert.equal(await call(filePath), `Error uploading attachment: ${filePath} is outside the file root ${root}`);
+    }
+    await confined.close();
+
+    // Without a root, HTTP servers take no file paths at all
+    assert.equal(createFileAccess({}, "stdio").enabled, true);
+    assert.equal(createFileAccess({}, "http").enabled, false);
+    await assert.rejects(createFileAccess({}, "http").resolve("notes.txt"), /^Error: filePath is disabled on this server/);
+    assert.equal(createFileAccess({ PLAN_FILE_ROOT: root }, "http").root, root);
+});
@@ -0,0 +1,154 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { MockPlanServer } from "./mock-plan-server.js";
+import { createMockClient, connectTools, callStructured, callText } from "./helpers.js";
+
+const mock = new MockPlanServer();
+let client;
+let demo;
+
+before(async () => {
+    await mock.start();
+    demo = mock.seedDemo();
+    client = await connectTools(createMockClient(mock));
+});
+
+after(async () => {
+    await client.close();
+    await mock.stop();
+});
+
+const workItemTitles = () => mock.findRecords("Demo", "WorkItem").map(record => record.fields.Title);
+
+test("creates a backlog with parents, owners, planning and custom fields", async () => {
+    const result = await callStructured(client, "create_work_items_bulk", {
+        application: "Demo",
+        projectName: "Web Portal",
+        concurrency: 2,
+        items: [
+            { key: "epic", title: "Checkout", type: "Epic", owner: "Alice Smith" },
+            { key: "cart", title: "Cart page", type: "Story", parent: "epic", release: "Release 1", sprint: "Sprint 2", fields: [{ name: "StoryPoints", value: "5" }] },
+            { title: "Cart API", type: "Task", parent: "cart", component: "Backend", priority: "High" },
+            { title: "Cart icon", type: "Task", parent: "cart", component: "Frontend" },
+            { title: "Payment bug", type: "Bug", parent: demo.workItems[0].fields.id }
+        ]
+    });
+
+    assert.equal(result.created, 5);
+    assert.equal(result.failed, 0);
+    assert.equal(result.rolledBack, false);
+    assert.deepEqual(result.items.map(item => item.status), ["created", "created", "created", "created", "created"]);
+
+    const [epic, cart, api] = result.items.map(item => mock.getRecord("Demo", item.dbid));
+    assert.equal(epic.fields.Owner, "alice");
+    assert.equal(cart.fields.Parent, epic.fields.id);
+    assert.equal(cart.fields.Sprint, "Sprint 2");
+    assert.equal(cart.fields.StoryPoints, "5");
+    assert.equal(api.fields.Parent, cart.fields.id);
+    assert.equal(api.fields.Priority, "High");
+    assert.equal(result.items[0].id, epic.fields.id);
+    assert.match(result.items[0].url, new RegExp(`/#/Demo/WorkItem/${epic.dbid}$`));
+});
+
+test("reports each failing item and keeps the others", async () => {
+    const result = await callStructured(client, "create_work_items_bulk", {
+        application: "Demo",
+        projectName: "Web Portal",
+        items: [
+            { key: "story", title: "Wishlist", type: "Story", sprint: "Sprint 9" },
+            { title: "Wishlist API", type: "Task", parent: "story" },
+            { title: "Search", type: "Story", owner: "nobody" },
+            { title: "Filters", type: "Story", parent: demo.workItems[1].fields.id },
+            { title: "Sorting", type: "Story" }
+        ]
+    });
+
+    assert.equal(result.created, 1);
+    assert.equal(result.failed, 4);
+    assert.deepEqual(result.items.map(item => item.status), ["failed", "failed", "failed", "failed", "created"]);
+    assert.match(result.items[0].error, /Sprint 9/);
+    assert.equal(result.items[1].error, 'Parent "story" was not created');
+    assert.match(result.items[2].error, /No Plan user matches "nobody"/);
+    assert.equal(result.items[3].error, `Story work items can only be children of: Epic. ${demo.workItems[1].fields.id} is of type Story.`);
+    assert.ok(workItemTitles().includes("Sorting"));
+});
+
+test("atomic mode deletes the created work items when one fails", async () => {
+    const before = mock.findRecords("Demo", "WorkItem").length;
+    const result = await callStructured(client, "create_work_items_bulk", {
+        application: "Demo",
+        projectName: "Web Portal",
+        atomic: true,
+        concurrency: 1,
+        items: [
+            { key: "epic", title: "Loyalty", type: "Epic" },
+            { title: "Points", type: "Story", parent: "epic" },
+            { title: "Broken", type: "Story", component: "Nowhere" },
+            { title: "Never started", type: "Story" }
+        ]
+    });
+
+    assert.equal(result.rolledBack, true);
+    assert.equal(result.created, 0);
+    assert.deepEqual(result.items.map(item => item.status), ["rolled-back", "skipped", "failed", "skipped"]);
+    assert.equal(mock.findRecords("Demo", "WorkItem").length, before);
+});
+
+test("rejects duplicate keys and parent cycles before creating anything", async () => {
+    const call = async items => (await client.callTool({ name: "create_work_items_bulk", arguments: { application: "Demo", projectName: "Web Portal", items } })).content[0].text;
+    assert.equal(await call([{ key: "a", title: "A", type: "Story" }, { key: "a", title: "B", type: "Story" }]), 'Error creating work items: Duplicate key "a"');
+    assert.equal(await call([{ key: "a", title: "A", type: "Feature", parent: "b" }, { key: "b", title: "B", type: "Feature", parent: "a" }]),
+        "Error creating work items: Items #0, #1 form a parent cycle");
+});
+
+test("bulk_update_work_items sets fields, skips unchanged work items and reports progress", async () => {
+    const [, story, bug] = demo.workItems;
+    const progress = [];
+    const args = { application: "Demo", workItems: [story.dbid, bug.fields.id, "WI99999999"], fields: [{ name: "Priority", value: "Low" }], concurrency: 1 };
+    const result = await client.callTool({ name: "bulk_update_work_items", arguments: args }, undefined, {
+        onprogress: ({ progress: done, total, message }) => progress.push({ done, total, message })
+    });
+
+    assert.deepEqual(result.structuredContent.items.map(item => item.status), ["succeeded", "succeeded", "failed"]);
+    assert.deepEqual([result.structuredContent.succeeded, result.structuredContent.skipped, result.structuredContent.failed], [2, 0, 1]);
+    assert.equal(mock.getRecord("Demo", story.dbid).fields.Priority, "Low");
+    assert.equal(mock.getRecord("Demo", bug.dbid).fields.Priority, "Low");
+    assert.deepEqual(progress.map(({ done, total }) => [done, total]), [[1, 3], [2, 3], [3, 3]]);
+    assert.equal(progress[0].message, `${story.fields.id}: succeeded`);
+    assert.match(result.content[0].text, /^2 of 3 work item\(s\) updated; 0 skipped, 1 failed\.\n\n\| Work item \| Status \| Detail \|/);
+
+    const again = await callStructured(client, "bulk_update_work_items", { ...args, workItems: [story.dbid] });
+    assert.deepEqual(again.items, [{ workItem: story.dbid, id: story.fields.id, status: "skipped", reason: "Already has these values" }]);
+
+    const unknown = await callStructured(client, "bulk_update_work_items", { ...args, workItems: [story.dbid], fields: [{ name: "Colour", value: "Red" }] });
+    assert.equal(unknown.items[0].error, "Unknown field(s): Colour");
+});
+
+test("bulk_change_state runs an action on the work items of a filter and skips illegal transitions", async () => {
+    const [, story, bug] = demo.workItems;
+    const resolved = await callStructured(client, "bulk_change_state", {
+        application: "Demo",
+        filter: { fieldFilters: [{ fieldPath: "Owner", compOp: "EQ", values: ["bob"] }] },
+        targetState: "Resolve"
+    });
+    assert.deepEqual(resolved.items, [{ workItem: bug.dbid, id: bug.fields.id, status: "succeeded" }]);
+    assert.equal(mock.getRecord("Demo", bug.dbid).fields.State, "Resolved");
+
+    const closed = await callStructured(client, "bulk_change_state", { application: "Demo", workItems: [story.dbid, bug.dbid], targetState: "Close" });
+    assert.deepEqual(closed.items.map(item => item.status), ["skipped", "succeeded"]);
+    assert.equal(closed.items[0].reason, "'Close' is not available in state New. Available actions: Modify, Activate, Resolve, Delete");
+    assert.equal(mock.getRecord("Demo", story.dbid).fields.State, "New");
+    assert.equal(mock.getRecord("Demo", bug.dbid).fields.State, "Closed");
+});
+
+test("bulk changes need one selection and send nothing in a dry run", async () => {
+    const [, story] = demo.workItems;
+    assert.equal(await callText(client, "bulk_change_state", { application: "Demo", targetState: "Resolve" }),
+        "Error changing work item states: Give either workItems or filter");
+
+    const result = await callStructured(client, "bulk_change_state", { application: "Demo", workItems: [story.dbid], targetState: "Resolve", dryRun: true });
+    assert.equal(result.dryRun, true);
+    assert.equal(result.succeeded, 1);
+    assert.deepEqual(result.requests.map(request => request.operation), ["Resolve action", "Commit operation"]);
+    assert.equal(mock.getRecord("Demo", story.dbid).fields.State, "New");
+});
@@ -0,0 +1,131 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { MockPlanServer, SCHEMA } from "./mock-plan-server.js";
+import { createMockClient, connectTools, callStructured, callText } from "./helpers.js";
+
+const mock = new MockPlanServer();
+let client;
+let demo;
+let task;
+
+before(async () => {
+    await mock.start();
+    demo = mock.seedDemo();
+    mock.addRecord(demo.application, "Project", { Name: "Mobile App" });
+    const [, story, bug] = demo.workItems;
+    task = mock.addRecord(demo.application, "WorkItem", { Title: "Login form validation", WIType: "Task", Project: "Web Portal", Parent: story.fields.id, StoryPoints: "2" });
+    Object.assign(mock.getRecord("Demo", story.dbid).fields, { Description: "Template story", BlockedBy: [bug.fields.id], Notes_Log: "==== State: New by: admin on 2026-01-05 10:00:00 ====\nSeen" });
+    client = await connectTools(createMockClient(mock));
+});
+
+after(async () => {
+    await client.close();
+    await mock.stop();
+});
+
+const workItemCount = () => mock.findRecords("Demo", "WorkItem").length;
+
+test("deep clones the child hierarchy under the new work item", async () => {
+    const [epic, story] = demo.workItems;
+    const result = await callStructured(client, "clone_work_item", {
+        application: "Demo",
+        workItem: epic.dbid,
+        withChildren: true,
+        overrides: [{ name: "PlannedRelease", value: "Release 1" }, { name: "Sprint", value: "Sprint 2" }]
+    });
+
+    assert.deepEqual(result.clones.map(clone => clone.dbid), [epic.dbid, story.dbid, task.dbid]);
+    const cloneOf = dbid => mock.getRecord("Demo", result.dbidMap[dbid]).fields;
+    assert.equal(cloneOf(epic.dbid).Parent ?? "", "");
+    assert.equal(cloneOf(story.dbid).Parent, cloneOf(epic.dbid).id);
+    assert.equal(cloneOf(task.dbid).Parent, cloneOf(story.dbid).id);
+    assert.equal(cloneOf(task.dbid).StoryPoints, "2");
+    assert.equal(cloneOf(task.dbid).Sprint, "Sprint 2");
+    assert.equal(mock.getRecord("Demo", task.dbid).fields.Parent, story.fields.id);
+});
+
+test("clones the editable fields of a work item, with overrides", async () => {
+    const [epic, story] = demo.workItems;
+    const result = await callStructured(client, "clone_work_item", {
+        application: "Demo",
+        workItem: story.fields.id,
+        overrides: [{ name: "Owner", value: "Bob Jones" }, { name: "Description", value: "" }]
+    });
+
+    assert.equal(result.source, story.fields.id);
+    assert.deepEqual(Object.keys(result.dbidMap), [story.dbid]);
+    const clone = mock.getRecord("Demo", result.dbidMap[story.dbid]).fields;
+    assert.equal(result.clone, clone.id);
+    assert.deepEqual(
+        [clone.Title, clone.WIType, clone.Project, clone.Component, clone.Parent, clone.PlannedRelease, clone.Sprint, clone.Owner],
+        ["Login page", "Story", "Web Portal", "Frontend", epic.fields.id, "Release 1", "Sprint 1", "bob"]);
+    assert.equal(clone.Description ?? "", "");
+    assert.deepEqual(clone.BlockedBy ?? [], []);
+    assert.equal(clone.Notes_Log ?? "", "");
+});
+
+test("leaves out attachments even where the attachment field is editable", async () => {
+    const [, , bug] = demo.workItems;
+    await callStructured(client, "upload_attachment", { application: "Demo", workItem: bug.dbid, content: "AAAA", fileName: "trace.log" });
+    SCHEMA.WorkItem.fields.Attachments.readonly = false;
+    try {
+        const since = mock.requests.length;
+        const result = await callStructured(client, "clone_work_item", { application: "Demo", workItem: bug.dbid });
+        // Commits carry every field of the record; only Title and the other copied fields have a value
+        const sent = mock.requests.slice(since).flatMap(request => request.body?.fields || []).filter(field => field.value).map(field => field.name);
+        assert.ok(sent.includes("Title"));
+        assert.ok(!sent.includes("Attachments"));
+        const { fields } = await callStructured(client, "get_work_item", { application: "Demo", workItem: result.clone, includeChoices: "none" });
+        assert.deepEqual(fields.find(field => field.name === "Attachments").valueAsList, []);
+    } finally {
+        SCHEMA.WorkItem.fields.Attachments.readonly = true;
+    }
+});
+
+test("copies every value of a reference list", async () => {
+    const [, , bug] = demo.workItems;
+    SCHEMA.WorkItem.fields.Watchers = { type: "REFERENCE_LIST", reference: "users" };
+    try {
+        mock.getRecord("Demo", bug.dbid).fields.Watchers = ["alice", "bob"];
+        const result = await callStructured(client, "clone_work_item", { application: "Demo", workItem: bug.dbid });
+        assert.deepEqual(mock.getRecord("Demo", result.dbidMap[bug.dbid]).fields.Watchers, ["alice", "bob"]);
+
+        const overridden = await callStructured(client, "clone_work_item", { application: "Demo", workItem: bug.dbid, overrides: [{ name: "Watchers", value: "admin, bob" }] });
+        assert.deepEqual(mock.getRecord("Demo", overridden.dbidMap[bug.dbid]).fields.Watchers, ["admin", "bob"]);
+    } finally {
+        delete SCHEMA.WorkItem.fields.Watchers;
+    }
+});
+
+test("drops project fields and the parent when cloning into another project", async () => {
+    const [, story] = demo.workItems;
+    const result = await callStructured(client, "clone_work_item", { application: "Demo", workItem: story.dbid, targetProject: "Mobile App" });
+    const clone = mock.getRecord("Demo", result.dbidMap[story.dbid]).fields;
+    assert.equal(clone.Project, "Mobile App");
+    assert.deepEqual([clone.Component ?? "", clone.Sprint ?? "", clone.PlannedRelease ?? "", clone.Parent ?? ""], ["", "", "", ""]);
+    assert.equal(clone.Owner, "alice");
+});
+
+test("deletes every clone when one of them fails", async () => {
+    const before = workItemCount();
+    const text = await callText(client, "clone_work_item", {
+        application: "Demo",
+        workItem: demo.workItems[0].dbid,
+        withChildren: true,
+        overrides: [{ name: "StoryPoints", value: "many" }, { name: "WIType", value: "Story" }],
+        concurrency: 1
+    });
+    assert.match(text, /^Error cloning work item: .*Story work items can only be children of: Epic\..*The clones already created were deleted\.$/);
+    assert.equal(workItemCount(), before);
+
+    assert.equal(await callText(client, "clone_work_item", { application: "Demo", workItem: demo.workItems[1].dbid, overrides: [{ name: "Project", value: "Mobile App" }] }),
+        "Error cloning work item: Project cannot be overridden; use targetProject, or set_parent on the clone");
+});
+
+test("a dry run clones nothing", async () => {
+    const before = workItemCount();
+    const result = await callStructured(client, "clone_work_item", { application: "Demo", workItem: demo.workItems[1].dbid, withChildren: true, dryRun: true });
+    assert.equal(result.dryRun, true);
+    assert.deepEqual(result.clones.map(clone => clone.id), [demo.workItems[1].fields.id, task.fields.id]);
+    assert.equal(workItemCount(), before);
+});
@@ -0,0 +1,59 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { MockPlanServer } from "./mock-plan-server.js";
+import { createMockClient, connectTools, callStructured } from "./helpers.js";
+import { parseNotesLog } from "../src/lib/tools/comments.js";
+
+const mock = new MockPlanServer();
+let client;
+let bug;
+
+before(async () => {
+    await mock.start();
+    bug = mock.seedDemo().workItems[2];
+    bug.fields.Description = "Users are logged out after 5 minutes";
+    client = await connectTools(createMockClient(mock));
+});
+
+after(async () => {
+    await client.close();
+    await mock.stop();
+});
+
+test("appends comments with author and time, keeping the other fields", async () => {
+    mock.now = () => new Date("2026-03-02T08:15:00Z");
+    const first = await callStructured(client, "add_comment", { application: "Demo", workItem: bug.fields.id, text: "Reproduced on staging." });
+    assert.deepEqual(first, {
+        dbid: bug.dbid,
+        comment: { author: "admin", timestamp: "2026-03-02 08:15:00", state: "Active", text: "Reproduced on staging." }
+    });
+
+    mock.now = () => new Date("2026-03-03T11:00:00Z");
+    mock.currentUser = "bob";
+    await callStructured(client, "add_comment", { application: "Demo", workItem: bug.dbid, text: "Moved to Sprint 2 because\nthe fix needs the new session store." });
+    mock.currentUser = "admin";
+
+    const { comments } = await callStructured(client, "list_comments", { application: "Demo", workItem: bug.dbid });
+    assert.deepEqual(comments, [
+        { author: "admin", timestamp: "2026-03-02 08:15:00", state: "Active", text: "Reproduced on staging." },
+        { author: "bob", timestamp: "2026-03-03 11:00:00", state: "Active", text: "Moved to Sprint 2 because\nthe fix needs the new session store." }
+    ]);
+    assert.equal(mock.getRecord("Demo", bug.dbid).fields.Description, "Users are logged out after 5 minutes");
+});
+
+test("a dry run sends nothing", async () => {
+    const since = mock.requests.length;
+    const result = await callStructured(client, "add_comment", { application: "Demo", workItem: bug.dbid, text: "Not sent", dryRun: true });
+    assert.equal(result.dryRun, true);
+    assert.deepEqual(result.requests.map(request => request.method), ["PATCH", "PATCH", "PATCH"]);
+    assert.ok(mock.requests.slice(since).every(request => request.method === "GET"));
+});
+
+test("parseNotesLog keeps text written before the first header", () => {
+    const log = "Imported from the old tracker\n==== State: New by: alice on 2026-01-05 09:00:00 ====\n\nFirst note\n";
+    assert.deepEqual(parseNotesLog(log), [
+        { author: "", timestamp: "", state: "", text: "Imported from the old tracker" },
+        { author: "alice", timestamp: "2026-01-05 09:00:00", state: "New", text: "First note" }
+    ]);
+    assert.deepEqual(parseNotesLog(""), []);
+});
@@ -0,0 +1,175 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { PlanClient, ToolPolicy, DRY_RUN_DBID } from "../src/lib/index.js";
+import { registerTools } from "../src/lib/tools/index.js";
+
+// Fake fetch answering the read endpoints; any write reaching it is a bug in dry-run mode
+function createPlanClient(options = {}) {
+    const requests = [];
+    const client = new PlanClient({
+        serverURL: "https://plan.example.com/plan",
+        teamspaceID: "ts1",
+        token: "dG9rZW4=",
+        ...options,
+        fetch: async (url, init) => {
+            const method = init.method || 'GET';
+            requests.push({ method, url });
+            let body = { dbId: "100" };
+            if (url.endsWith('/databases')) {
+                body = [{ dbId: "1", name: "App" }];
+            } else if (url.includes('/records/WorkItem/')) {
+                body = { dbId: "33554505", fields: [{ name: "Title" }, { name: "Owner" }], legalActions: [{ actionName: "Resolve" }] };
+            } else if (url.includes('/records/Project/')) {
+                body = { dbId: "42", fields: [{ name: "Sprints", valueAsList: ["Sprint 1"] }] };
+            }
+            return new Response(JSON.stringify(body), {
+                headers: { 'Content-Type': 'application/json', 'Set-Cookie': 'JSESSIONID=s1; Path=/' }
+            });
+        }
+    });
+    const writes = () => requests.filter(request => request.method !== 'GET');
+    return { client, requests, writes };
+}
+
+async function connect(planClient, policy) {
+    const server = new McpServer({ name: "test", version: "1.0.0" });
+    registerTools(server, planClient, policy);
+    const client = new Client({ name: "test-client", version: "1.0.0" });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+    return client;
+}
+
+// The recorded writes are the JSON array at the end of a dry-run result
+function recordedWrites(result) {
+    const text = result.content[0].text;
+    assert.match(text, /^Dry run: no changes were made in Plan/);
+    return JSON.parse(text.slice(text.indexOf('\n') + 1));
+}
+
+test("withDryRun records writes and still sends reads", async () => {
+    const { client, requests } = createPlanClient();
+
+    const { result, requests: recorded } = await client.withDryRun(async () => {
+        await client.getRecord("App", "WorkItem", "33554505");
+        const created = await client.createRecord("App", "WorkItem");
+        return client.commitRecord("App", "WorkItem", created.dbId, { dbId: created.dbId, fields: [] });
+    });
+
+    assert.equal(result.dbId, DRY_RUN_DBID);
+    assert.deepEqual(recorded.map(request => [request.method, request.operation]), [
+        ['POST', "Create operation"],
+        ['PATCH', "Commit operation"]
+    ]);
+    assert.equal(recorded[1].path, `/repos/ts1/databases/App/records/WorkItem/${DRY_RUN_DBID}?operation=Commit&useDbid=true`);
+    assert.deepEqual(requests.map(request => request.method), ['GET', 'GET']);
+});
+
+test("create_work_item dry run returns the Create, Edit and Commit payloads", async () => {
+    const { client: planClient, writes } = createPlanClient();
+    const client = await connect(planClient);
+
+    const result = await client.callTool({
+        name: "create_work_item",
+        arguments: { title: "Login page", description: "Build it", workItemType: "Task", application: "App", projectName: "Web", dryRun: true }
+    });
+    const recorded = recordedWrites(result);
+
+    assert.deepEqual(recorded.map(request => request.operation), ["Create operation", "Edit operation", "Commit operation"]);
+    assert.deepEqual(recorded[1].body.fields.map(field => field.name), ["Title", "Description", "WIType", "Project"]);
+    assert.deepEqual(recorded[2].body.fields[0].valueAsList, ["Login page"]);
+    assert.equal(result.structuredContent.dryRun, true);
+    assert.deepEqual(result.structuredContent.requests.map(request => request.path), recorded.map(request => request.path));
+    assert.deepEqual(writes(), []);
+    await client.close();
+});
+
+test("create_work_item dry run rejects unknown applications", async () => {
+    const { client: planClient, writes } = createPlanClient();
+    const client = await connect(planClient);
+
+    const result = await client.callTool({
+        name: "create_work_item",
+        arguments: { title: "x", description: "x", workItemType: "Task", application: "Nope", projectName: "Web", dryRun: true }
+    });
+
+    assert.equal(result.content[0].text, 'Error creating work item: Application "Nope" not found');
+    assert.deepEqual(writes(), []);
+    await client.close();
+});
+
+test("update_work_item dry run validates field names", async () => {
+    const { client: planClient, writes } = createPlanClient();
+    const client = await connect(planClient);
+
+    const valid = await client.callTool({
+        name: "update_work_item",
+        arguments: { dbid: "33554505", application: "App", fields: [{ name: "Owner", value: "alice" }], dryRun: true }
+    });
+    assert.deepEqual(recordedWrites(valid).map(request => request.operation), ["Modify action", "Edit operation", "Commit operation"]);
+
+    const invalid = await client.callTool({
+        name: "update_work_item",
+        arguments: { dbid: "33554505", application: "App", fields: [{ name: "Ownr", value: "alice" }], dryRun: true }
+    });
+    assert.equal(invalid.content[0].text, "Error updating work item: Unknown field(s) on work item 33554505: Ownr");
+    assert.deepEqual(writes(), []);
+    await client.close();
+});
+
+test("change_work_item_state dry run checks the action and skips the commit delay", async () => {
+    const { client: planClient, writes } = createPlanClient({ commitDelay: 60000 });
+    const client = await connect(planClient);
+
+    const valid = await client.callTool({
+        name: "change_work_item_state",
+        arguments: { dbid: "33554505", application: "App", targetState: "Resolve", dryRun: true }
+    });
+    assert.deepEqual(recordedWrites(valid).map(request => request.operation), ["Resolve action", "Commit operation"]);
+
+    const invalid = await client.callTool({
+        name: "change_work_item_state",
+        arguments: { dbid: "33554505", application: "App", targetState: "Close", dryRun: true }
+    });
+    assert.match(invalid.content[0].text, /'Close' is not an available action for work item 33554505. Available actions: Resolve/);
+    assert.deepEqual(writes(), []);
+    await client.close();
+});
+
+test("PLAN_DRY_RUN applies to every mutating tool, even without the flag", async () => {
+    const { client: planClient, writes } = createPlanClient({ dryRun: true });
+    const client = await connect(planClient);
+
+    const deleted = await client.callTool({ name: "delete_work_item", arguments: { dbid: "33554505", application: "App" } });
+    assert.deepEqual(recordedWrites(deleted).map(request => request.method), ['DELETE']);
+
+    const sprint = await client.callTool({
+        name: "create_or_update_sprint",
+        arguments: { application: "App", projectID: "42", name: "Sprint 2", startDate: "2026-01-05" }
+    });
+    const recorded = recordedWrites(sprint);
+    assert.deepEqual(recorded.map(request => request.operation), ["Create operation", "Edit operation", "Commit operation", "Commit operation"]);
+    assert.deepEqual(recorded[3].body.fields[0].valueAsList, ["Sprint 1", "Sprint 2"]);
+
+    const release = await client.callTool({
+        name: "create_or_update_release",
+        arguments: { application: "App", projectID: "42", releaseDbid: "7", fields: [{ name: "Description", value: "Q1" }] }
+    });
+    assert.deepEqual(recordedWrites(release).map(request => request.operation), ["Edit operation", "Commit operation"]);
+    assert.deepEqual(writes(), []);
+    await client.close();
+});
+
+test("dry runs skip the confirmation step of safe mode", async () => {
+    const { client: planClient, writes } = createPlanClient();
+    const client = await connect(planClient, new ToolPolicy({ mode: "safe" }));
+
+    const result = await client.callTool({ name: "delete_work_item", arguments: { dbid: "33554505", application: "App", dryRun: true } });
+
+    assert.deepEqual(recordedWrites(result).map(request => request.method), ['DELETE']);
+    assert.deepEqual(writes(), []);
+    await client.close();
+});
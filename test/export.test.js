@@ -0,0 +1,92 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { formatDate, formatExport } from "../src/lib/exporter.js";
+import { FileAccess } from "../src/lib/file-access.js";
+import { MockPlanServer } from "./mock-plan-server.js";
+import { createMockClient, connectTools, callStructured, callText } from "./helpers.js";
+
+const mock = new MockPlanServer();
+const dir = mkdtempSync(join(tmpdir(), 'plan-export-'));
+let client;
+
+before(async () => {
+    await mock.start();
+    const demo = mock.seedDemo();
+    mock.addRecord(demo.application, "WorkItem", { Title: '=HYPERLINK("x") | "quoted", text', WIType: "Task", Project: "Web Portal", Parent: demo.workItems[1].fields.id, StoryPoints: "-3" });
+    client = await connectTools(createMockClient(mock));
+});
+
+after(async () => {
+    await client.close();
+    await mock.stop();
+    rmSync(dir, { recursive: true, force: true });
+});
+
+test("formats dates and rows in every export format", () => {
+    assert.equal(formatDate("2026-01-05 13:30:00", "iso"), "2026-01-05T13:30:00");
+    assert.equal(formatDate("2026-01-05 13:30:00", "DD/MM/YYYY HH:mm"), "05/01/2026 13:30");
+    assert.equal(formatDate("", "iso"), "");
+
+    const rows = [{ id: "WI1", Title: 'Say "hi", twice\nplease' }, { id: "WI2", Title: "=1+1" }];
+    assert.equal(formatExport(rows, ["id", "Title"], "csv"), 'id,Title\nWI1,"Say ""hi"", twice\nplease"\nWI2,=1+1\n');
+    assert.equal(formatExport(rows, ["id", "Title"], "excel"), '\uFEFFid,Title\r\nWI1,"Say ""hi"", twice\nplease"\r\nWI2,\'=1+1\r\n');
+    assert.equal(formatExport(rows, ["id", "Title"], "jsonl"), '{"id":"WI1","Title":"Say \\"hi\\", twice\\nplease"}\n{"id":"WI2","Title":"=1+1"}\n');
+    assert.equal(formatExport(rows, ["id", "Title"], "markdown"), '| id | Title |\n|---|---|\n| WI1 | Say "hi", twice<br>please |\n| WI2 | =1+1 |\n');
+    assert.throws(() => formatExport(rows, ["id"], "xlsx"), /Unknown export format "xlsx"/);
+});
+
+test("exports a filtered query with flattened references and formatted dates to a file", async () => {
+    const file = join(dir, "sprint.csv");
+    const result = await callStructured(client, "export_work_items", {
+        application: "Demo",
+        filter: { fieldFilters: [{ fieldPath: "Sprint", compOp: "EQ", values: ["Sprint 1"] }] },
+        columns: ["id", { field: "Owner.fullname", header: "Owner" }, "Parent.Title", { field: "Sprint.StartDate", header: "Sprint start" }],
+        format: "csv",
+        dateFormat: "DD.MM.YYYY",
+        filePath: file
+    });
+    assert.deepEqual(result, { format: "csv", columns: ["id", "Owner", "Parent.Title", "Sprint start"], rowCount: 1, filePath: file });
+    const [header, row] = readFileSync(file, 'utf8').trim().split('\n');
+    assert.equal(header, "id,Owner,Parent.Title,Sprint start");
+    assert.match(row, /^WI\d+,Alice Smith,Customer login,05\.01\.2026$/);
+});
+
+test("writes inside the file root only, and replaces files only with overwrite", async () => {
+    const root = join(dir, "exports");
+    mkdirSync(root);
+    writeFileSync(join(root, "backlog.md"), "keep me\n");
+    const confined = await connectTools(createMockClient(mock), undefined, new FileAccess({ root }));
+    const exportTo = args => callText(confined, "export_work_items", { application: "Demo", columns: ["id", "Title"], format: "markdown", ...args });
+
+    assert.equal(await exportTo({ filePath: join(dir, ".env") }), `Error exporting work items: ${join(dir, ".env")} is outside the file root ${root}`);
+    assert.equal(await exportTo({ filePath: "../../.ssh/authorized_keys" }), `Error exporting work items: ../../.ssh/authorized_keys is outside the file root ${root}`);
+    assert.equal(await exportTo({ filePath: "backlog.md" }), "Error exporting work items: backlog.md already exists; set overwrite to replace it");
+    assert.equal(readFileSync(join(root, "backlog.md"), 'utf8'), "keep me\n");
+
+    assert.equal(await exportTo({ filePath: "backlog.md", overwrite: true }), `Exported ${mock.findRecords("Demo", "WorkItem").length} work item(s) to ${join(root, "backlog.md")}`);
+    assert.match(readFileSync(join(root, "backlog.md"), 'utf8'), /^\| id \| Title \|/);
+    await confined.close();
+});
+
+test("returns the export as an embedded resource and neutralizes formulas for Excel", async () => {
+    const result = await client.callTool({
+        name: "export_work_items",
+        arguments: { application: "Demo", columns: ["Title", "StoryPoints"], format: "excel", filter: { fieldFilters: [{ fieldPath: "WIType", compOp: "EQ", values: ["Task"] }] } }
+    });
+    assert.equal(result.content[0].text, "Exported 1 work item(s) as excel");
+    const { resource } = result.content[1];
+    assert.equal(resource.uri, "plan-export://Demo/work-items.csv");
+    assert.equal(resource.mimeType, "text/csv");
+    assert.equal(resource.text, '\uFEFFTitle,StoryPoints\r\n"\'=HYPERLINK(""x"") | ""quoted"", text",-3\r\n');
+
+    const markdown = await client.callTool({ name: "export_work_items", arguments: { application: "Demo", columns: ["Title"], format: "markdown" } });
+    assert.match(markdown.content[1].resource.text, /\| =HYPERLINK\("x"\) \\\| "quoted", text \|/);
+});
+
+test("rejects unknown columns before querying", async () => {
+    assert.equal(await callText(client, "export_work_items", { application: "Demo", columns: ["Title", "Owner.shoeSize"], format: "jsonl" }),
+        'Error exporting work items: Invalid fields: users has no field "shoeSize"');
+});
@@ -0,0 +1,78 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readdirSync, readFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createRecordingFetch, createReplayFetch, loadFixtures } from "../src/lib/index.js";
+import { MockPlanServer } from "./mock-plan-server.js";
+import { createMockClient, connectTools, callText } from "./helpers.js";
+
+const dir = mkdtempSync(join(tmpdir(), 'plan-fixtures-'));
+let serverURL;
+let demo;
+const recorded = {};
+
+// Scenario shared by the recording and the replay
+async function runScenario(client) {
+    const [, story] = demo.workItems;
+    return {
+        created: await callText(client, "create_work_item", {
+            title: "Recorded item", description: "From a fixture", workItemType: "Task", application: "Demo", projectName: "Web Portal"
+        }),
+        updated: await callText(client, "update_work_item", {
+            dbid: story.dbid, application: "Demo", fields: [{ name: "Priority", value: "Low" }]
+        }),
+        listed: await callText(client, "get_work_items", { applicationName: "Demo", projectName: "Web Portal", workitemType: "Task" })
+    };
+}
+
+before(async () => {
+    const mock = new MockPlanServer();
+    serverURL = await mock.start();
+    demo = mock.seedDemo();
+
+    const client = await connectTools(createMockClient(mock, { fetch: createRecordingFetch(dir) }));
+    Object.assign(recorded, await runScenario(client));
+    await client.close();
+    await mock.stop();
+});
+
+test("records request/response pairs in order with secrets scrubbed", () => {
+    const files = readdirSync(dir);
+    assert.match(files[0], /^0001-GET-analytics-serverurl\.json$/);
+    assert.ok(files.some(file => /^\d{4}-PATCH-records-WorkItem-\d+\.json$/.test(file)));
+
+    const raw = files.map(file => readFileSync(join(dir, file), 'utf8')).join('\n');
+    assert.ok(!raw.includes("dG9rZW4="), "access token leaked into a fixture");
+    assert.ok(!/JSESSIONID=mock/.test(raw), "session cookie leaked into a fixture");
+
+    const [session] = loadFixtures(dir);
+    assert.deepEqual(session.response.headers['set-cookie'], ["JSESSIONID=[REDACTED]; Path=/; HttpOnly"]);
+
+    const commit = loadFixtures(dir).find(fixture => fixture.request.path.includes('operation=Commit'));
+    assert.equal(commit.request.method, 'PATCH');
+    assert.equal(commit.response.status, 200);
+    assert.ok(commit.request.body.fields.every(field => 'valueStatus' in field && 'requiredness' in field));
+});
+
+test("replays the fixtures offline with identical results", async () => {
+    // The mock server is stopped, so every answer comes from the fixtures
+    const client = await connectTools(createMockClient({ serverURL, teamspaceID: "ts1" }, { fetch: createReplayFetch(dir) }));
+    const replayed = await runScenario(client);
+    await client.close();
+
+    assert.deepEqual(replayed, recorded);
+    assert.match(replayed.created, /^Work item created successfully/);
+});
+
+test("rejects requests whose payload differs from the recording", async () => {
+    const client = await connectTools(createMockClient({ serverURL, teamspaceID: "ts1" }, { fetch: createReplayFetch(dir) }));
+    const [, story] = demo.workItems;
+
+    const text = await callText(client, "update_work_item", {
+        dbid: story.dbid, application: "Demo", fields: [{ name: "Priority", value: "High" }]
+    });
+    await client.close();
+
+    assert.match(text, new RegExp(`^Error updating work item: No recorded response for PATCH /repos/ts1/databases/Demo/records/WorkItem/${story.dbid}\\?operation=Edit&useDbid=true: the request body differs`));
+});
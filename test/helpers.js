@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { PlanClient } from "../src/lib/index.js";
+import { registerTools } from "../src/lib/tools/index.js";
+
+/**
+ * Create a PlanClient talking to a started MockPlanServer
+ * @param {MockPlanServer} mock - Started mock server
+ * @param {Object} [options] - Extra PlanClient options
+ */
+export function createMockClient(mock, options = {}) {
+    return new PlanClient({
+        serverURL: mock.serverURL,
+        teamspaceID: mock.teamspaceID,
+        token: "dG9rZW4=",
+        commitDelay: 0,
+        ...options
+    });
+}
+
+/**
+ * Connect an MCP client to a server exposing the Plan tools
+ * @param {PlanClient} planClient - Client the tools use
+ * @param {ToolPolicy} [policy] - Tool policy, every tool by default
+ * @param {FileAccess} [files] - Local files the tools may use, any by default
+ * @returns {Client} Connected MCP client; close it when done
+ */
+export async function connectTools(planClient, policy, files) {
+    const server = new McpServer({ name: "test", version: "1.0.0" }, { capabilities: { logging: {} } });
+    registerTools(server, planClient, policy, files);
+    const client = new Client({ name: "test-client", version: "1.0.0" });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+    return client;
+}
+
+// Call a tool and return the text of its first content item
+export async function callText(client, name, args = {}) {
+    const result = await client.callTool({ name, arguments: args });
+    return result.content[0].text;
+}
+
+// Call a tool and return its structured content
+export async function callStructured(client, name, args = {}) {
+    const result = await client.callTool({ name, arguments: args });
+    assert.ok(!result.isError, result.content[0].text);
+    return result.structuredContent;
+}
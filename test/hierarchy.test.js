@@ -0,0 +1,95 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { MockPlanServer } from "./mock-plan-server.js";
+import { createMockClient, connectTools, callStructured } from "./helpers.js";
+
+const mock = new MockPlanServer();
+let client;
+let epic, story, bug, task;
+
+before(async () => {
+    await mock.start();
+    [epic, story, bug] = mock.seedDemo().workItems;
+    epic.fields.StoryPoints = "8";
+    story.fields.StoryPoints = "5";
+    bug.fields.StoryPoints = "2";
+    task = mock.addRecord("Demo", "WorkItem", { Title: "Login form", WIType: "Task", Project: "Web Portal", Parent: story.fields.id, State: "Resolved", StoryPoints: "3" });
+    client = await connectTools(createMockClient(mock));
+});
+
+after(async () => {
+    await client.close();
+    await mock.stop();
+});
+
+// Error text of a set_parent call
+async function setParentError(workItem, parent) {
+    const result = await client.callTool({ name: "set_parent", arguments: { application: "Demo", workItem, parent } });
+    assert.equal(result.isError, true);
+    return result.content[0].text;
+}
+
+test("set_parent links a work item under an allowed parent", async () => {
+    const result = await callStructured(client, "set_parent", { application: "Demo", workItem: bug.fields.id, parent: story.dbid });
+    assert.deepEqual(result, { dbid: bug.dbid, parent: story.fields.id, previousParent: "" });
+    assert.equal(mock.getRecord("Demo", bug.dbid).fields.Parent, story.fields.id);
+
+    const { children } = await callStructured(client, "get_children", { application: "Demo", workItem: story.fields.id });
+    assert.deepEqual(children.map(child => [child.title, child.type, child.storyPoints]), [["Session timeout bug", "Bug", 2], ["Login form", "Task", 3]]);
+});
+
+test("get_work_item_tree rolls up states and story points", async () => {
+    const { trees, rollup } = await callStructured(client, "get_work_item_tree", { application: "Demo", projectName: "Web Portal" });
+    assert.equal(trees.length, 1);
+    const [root] = trees;
+    assert.equal(root.title, "Customer login");
+    assert.deepEqual(root.rollup, { count: 4, states: { New: 2, Active: 1, Resolved: 1 }, storyPoints: 18 });
+    assert.deepEqual(root.children[0].rollup, { count: 3, states: { New: 1, Active: 1, Resolved: 1 }, storyPoints: 10 });
+    assert.deepEqual(root.children[0].children.map(child => child.title), ["Session timeout bug", "Login form"]);
+    assert.deepEqual(rollup, root.rollup);
+
+    const subtree = await callStructured(client, "get_work_item_tree", { application: "Demo", projectName: "Web Portal", root: bug.fields.id });
+    assert.deepEqual(subtree.trees.map(tree => [tree.title, tree.children.length]), [["Session timeout bug", 0]]);
+});
+
+test("get_work_item_tree returns parent loops as flagged trees of their own", async () => {
+    mock.addRecord("Demo", "Project", { Name: "Legacy" });
+    const first = mock.addRecord("Demo", "WorkItem", { Title: "Old search", WIType: "Story", Project: "Legacy", State: "New", StoryPoints: "2" });
+    const second = mock.addRecord("Demo", "WorkItem", { Title: "Old filters", WIType: "Story", Project: "Legacy", Parent: first.fields.id, State: "Active", StoryPoints: "1" });
+    first.fields.Parent = second.fields.id;
+    mock.addRecord("Demo", "WorkItem", { Title: "Filter task", WIType: "Task", Project: "Legacy", Parent: second.fields.id, State: "New", StoryPoints: "1" });
+
+    const { trees, rollup } = await callStructured(client, "get_work_item_tree", { application: "Demo", projectName: "Legacy" });
+    assert.deepEqual(trees.map(tree => [tree.title, tree.cycle, tree.children.map(child => child.title)]), [["Old search", true, ["Old filters"]]]);
+    assert.deepEqual(trees[0].children[0].children.map(child => child.title), ["Filter task"]);
+    assert.deepEqual(rollup, { count: 3, states: { New: 2, Active: 1 }, storyPoints: 4 });
+
+    const subtree = await callStructured(client, "get_work_item_tree", { application: "Demo", projectName: "Legacy", root: second.fields.id });
+    assert.deepEqual(subtree.trees.map(tree => [tree.title, tree.cycle, tree.children.map(child => child.title)]),
+        [["Old filters", true, ["Old search", "Filter task"]]]);
+    assert.equal(subtree.rollup.count, 3);
+});
+
+test("set_parent refuses type rule violations, other projects and cycles", async () => {
+    assert.equal(await setParentError(epic.dbid, story.dbid), "Error setting parent: Epic work items are top level and cannot have a parent");
+    assert.equal(await setParentError(task.dbid, epic.dbid),
+        `Error setting parent: Task work items can only be children of: Story, Bug. ${epic.fields.id} is of type Epic.`);
+
+    mock.addRecord("Demo", "Project", { Name: "Mobile" });
+    const mobileEpic = mock.addRecord("Demo", "WorkItem", { Title: "Offline mode", WIType: "Epic", Project: "Mobile" });
+    assert.equal(await setParentError(story.dbid, mobileEpic.dbid),
+        `Error setting parent: ${mobileEpic.fields.id} belongs to project Mobile, not Web Portal`);
+
+    // Custom types have no type rule, but still cannot form a cycle
+    const first = mock.addRecord("Demo", "WorkItem", { Title: "Theme", WIType: "Feature", Project: "Web Portal" });
+    const second = mock.addRecord("Demo", "WorkItem", { Title: "Sub theme", WIType: "Feature", Project: "Web Portal", Parent: first.fields.id });
+    assert.equal(await setParentError(first.dbid, second.dbid),
+        `Error setting parent: ${second.fields.id} is ${first.fields.id} or one of its descendants, which would create a cycle`);
+    assert.equal(mock.getRecord("Demo", first.dbid).fields.Parent, undefined);
+});
+
+test("set_parent without parent removes the link", async () => {
+    const result = await callStructured(client, "set_parent", { application: "Demo", workItem: bug.dbid });
+    assert.deepEqual(result, { dbid: bug.dbid, parent: "", previousParent: story.fields.id });
+    assert.equal(mock.getRecord("Demo", bug.dbid).fields.Parent, "");
+});
@@ -0,0 +1,84 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { MockPlanServer } from "./mock-plan-server.js";
+import { createMockClient, connectTools, callStructured } from "./helpers.js";
+
+const mock = new MockPlanServer();
+let client;
+let story;
+
+// Run the next changes at a fixed time, as a given user
+function at(timestamp, user = "admin") {
+    mock.now = () => new Date(timestamp);
+    mock.currentUser = user;
+}
+
+before(async () => {
+    await mock.start();
+    at("2026-01-05T09:00:00Z");
+    story = mock.seedDemo().workItems[1];
+    client = await connectTools(createMockClient(mock));
+
+    at("2026-02-01T10:00:00Z");
+    await callStructured(client, "update_work_item", {
+        application: "Demo", dbid: story.dbid, fields: [{ name: "Priority", value: "High" }, { name: "Owner", value: "bob", type: "REFERENCE" }]
+    });
+    at("2026-02-10T16:30:00Z", "alice");
+    await callStructured(client, "change_work_item_state", { application: "Demo", dbid: story.dbid, targetState: "Activate" });
+    at("2026-02-10T16:30:00Z");
+});
+
+after(async () => {
+    await client.close();
+    await mock.stop();
+});
+
+test("returns every action with its user, time, states and field changes", async () => {
+    const history = await callStructured(client, "get_work_item_history", { application: "Demo", workItem: story.fields.id });
+    assert.equal(history.dbid, story.dbid);
+    assert.equal(history.id, story.fields.id);
+    assert.deepEqual(history.entries.map(entry => [entry.action, entry.user, entry.timestamp, entry.oldState, entry.newState]), [
+        ["Submit", "admin", "2026-01-05T09:00:00.000Z", "", "New"],
+        ["Modify", "admin", "2026-02-01T10:00:00.000Z", "New", "New"],
+        ["Activate", "alice", "2026-02-10T16:30:00.000Z", "New", "Active"]
+    ]);
+    assert.deepEqual(history.entries[1].changes, [
+        { field: "Owner", oldValue: "alice", newValue: "bob" },
+        { field: "Priority", oldValue: "", newValue: "High" }
+    ]);
+    assert.deepEqual(history.entries[2].changes, []);
+});
+
+test("filters by date range and user", async () => {
+    const actions = async filters => (await callStructured(client, "get_work_item_history", { application: "Demo", workItem: story.dbid, ...filters }))
+        .entries.map(entry => entry.action);
+
+    assert.deepEqual(await actions({ since: "2026-02-01" }), ["Modify", "Activate"]);
+    assert.deepEqual(await actions({ until: "2026-02-01" }), ["Submit", "Modify"]);
+    assert.deepEqual(await actions({ since: "2026-02-02", until: "2026-02-10" }), ["Activate"]);
+    assert.deepEqual(await actions({ user: "Alice Smith" }), ["Activate"]);
+    assert.deepEqual(await actions({ user: "admin", since: "2026-02-01T12:00:00Z" }), []);
+});
+
+test("keeps entries without a readable timestamp only when no date range is given", async () => {
+    const [other] = mock.findRecords("Demo", "WorkItem").filter(record => record.dbid !== story.dbid);
+    other.history = [
+        { actionName: "Submit", userName: "admin", actionTimestamp: "2026-01-05T09:00:00.000Z", fieldChanges: [] },
+        { actionName: "Import", userName: "admin", actionTimestamp: "", fieldChanges: [] }
+    ];
+    const actions = async filters => (await callStructured(client, "get_work_item_history", { application: "Demo", workItem: other.dbid, ...filters }))
+        .entries.map(entry => entry.action);
+
+    assert.deepEqual(await actions({}), ["Submit", "Import"]);
+    assert.deepEqual(await actions({ user: "admin" }), ["Submit", "Import"]);
+    assert.deepEqual(await actions({ until: "2026-12-31" }), ["Submit"]);
+});
+
+test("reports invalid dates and unknown users", async () => {
+    const badDate = await client.callTool({ name: "get_work_item_history", arguments: { application: "Demo", workItem: story.dbid, since: "last week" } });
+    assert.equal(badDate.isError, true);
+    assert.equal(badDate.content[0].text, 'Error retrieving work item history: Invalid since date "last week", use YYYY-MM-DD or an ISO 8601 date and time');
+
+    const unknownUser = await client.callTool({ name: "get_work_item_history", arguments: { application: "Demo", workItem: story.dbid, user: "carol" } });
+    assert.match(unknownUser.content[0].text, /^Error retrieving work item history: No Plan user matches "carol"/);
+});
@@ -0,0 +1,152 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { SSEClientTransport } from "@modelcontextprotocol/sdk/client/sse.js";
+import { LoggingMessageNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import { startHttpServer } from "../src/lib/http-server.js";
+import { Logger } from "../src/lib/logger.js";
+
+const AUTH_TOKEN = "team-secret";
+let httpServer;
+let baseURL;
+
+// One logger for every session, as in server.js
+const logger = new Logger({ level: "info", file: join(mkdtempSync(join(tmpdir(), 'plan-log-')), 'server.log') });
+
+// Each session exposes a tool echoing (and logging) the Plan credentials it was opened with
+function createSession(credentials) {
+    if (!credentials.token) {
+        throw new Error("Plan access token is required. Send it in the X-Plan-Token header.");
+    }
+    const server = new McpServer({ name: "test", version: "1.0.0" }, { capabilities: { logging: {} } });
+    server.tool("whoami", "Returns the session credentials", {}, async () => {
+        logger.info("Called whoami", { teamspace: credentials.teamspaceID });
+        return { content: [{ type: 'text', text: `${credentials.token}@${credentials.teamspaceID}` }] };
+    });
+    logger.attach(server);
+    return server;
+}
+
+before(async () => {
+    httpServer = await startHttpServer({ port: 0, authToken: AUTH_TOKEN, createSession, closeSession: server => logger.detach(server) });
+    baseURL = `http://127.0.0.1:${httpServer.address().port}`;
+});
+
+after(() => new Promise(resolve => httpServer.close(resolve)));
+
+function planHeaders(token, teamspace) {
+    return {
+        'Authorization': `Bearer ${AUTH_TOKEN}`,
+        'X-Plan-Token': token,
+        'X-Plan-Teamspace-Id': teamspace
+    };
+}
+
+async function callWhoami(transport) {
+    const client = new Client({ name: "test-client", version: "1.0.0" });
+    await client.connect(transport);
+    const result = await client.callTool({ name: "whoami", arguments: {} });
+    await client.close();
+    return result.content[0].text;
+}
+
+test("serves tools over Streamable HTTP with per-session Plan credentials", async () => {
+    const alice = await callWhoami(new StreamableHTTPClientTransport(new URL(`${baseURL}/mcp`), {
+        requestInit: { headers: planHeaders("alice-token", "ts-a") }
+    }));
+    const bob = await callWhoami(new StreamableHTTPClientTransport(new URL(`${baseURL}/mcp`), {
+        requestInit: { headers: planHeaders("bob-token", "ts-b") }
+    }));
+
+    assert.equal(alice, "alice-token@ts-a");
+    assert.equal(bob, "bob-token@ts-b");
+});
+
+test("sends log notifications only to the session that logged them", async () => {
+    const connect = async (token, teamspace) => {
+        const client = new Client({ name: "test-client", version: "1.0.0" });
+        const received = [];
+        client.setNotificationHandler(LoggingMessageNotificationSchema, notification => {
+            received.push(notification.params.data.data.teamspace);
+        });
+        await client.connect(new StreamableHTTPClientTransport(new URL(`${baseURL}/mcp`), {
+            requestInit: { headers: planHeaders(token, teamspace) }
+        }));
+        await client.setLoggingLevel("info");
+        return { client, received };
+    };
+    const alice = await connect("alice-token", "ts-a");
+    const bob = await connect("bob-token", "ts-b");
+
+    await alice.client.callTool({ name: "whoami", arguments: {} });
+    assert.deepEqual(alice.received, ["ts-a"]);
+    assert.deepEqual(bob.received, []);
+
+    await bob.client.callTool({ name: "whoami", arguments: {} });
+    assert.deepEqual(alice.received, ["ts-a"]);
+    assert.deepEqual(bob.received, ["ts-b"]);
+    await Promise.all([alice.client.close(), bob.client.close()]);
+});
+
+test("falls back to the HTTP+SSE transport for older clients", async () => {
+    const headers = planHeaders("carol-token", "ts-c");
+    const result = await callWhoami(new SSEClientTransport(new URL(`${baseURL}/sse`), {
+        eventSourceInit: {
+            fetch: (url, init) => fetch(url, { ...init, headers: { ...init?.headers, ...headers } })
+        },
+        requestInit: { headers }
+    }));
+
+    assert.equal(result, "carol-token@ts-c");
+});
+
+test("rejects requests without the shared secret", async () => {
+    const response = await fetch(`${baseURL}/mcp`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer wrong' },
+        body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "initialize", params: {} })
+    });
+
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).error.message, "Unauthorized");
+});
+
+test("rejects sessions that cannot be given Plan credentials", async () => {
+    const transport = new StreamableHTTPClientTransport(new URL(`${baseURL}/mcp`), {
+        requestInit: { headers: { 'Authorization': `Bearer ${AUTH_TOKEN}` } }
+    });
+    const client = new Client({ name: "test-client", version: "1.0.0" });
+
+    await assert.rejects(client.connect(transport), /X-Plan-Token/);
+});
+
+test("answers bodies over the size limit with 413", async () => {
+    const response = await fetch(`${baseURL}/mcp`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${AUTH_TOKEN}` },
+        body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "initialize", params: { padding: "x".repeat(5 * 1024 * 1024) } })
+    });
+
+    assert.equal(response.status, 413);
+    assert.match((await response.json()).error.message, /^Request body too large/);
+});
+
+test("answers unknown sessions with 404", async () => {
+    const response = await fetch(`${baseURL}/mcp`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json, text/event-stream',
+            'Authorization': `Bearer ${AUTH_TOKEN}`,
+            'Mcp-Session-Id': 'missing'
+        },
+        body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "tools/list", params: {} })
+    });
+
+    assert.equal(response.status, 404);
+});
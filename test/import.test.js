@@ -0,0 +1,163 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { promisify } from "util";
+import { FileAccess } from "../src/lib/file-access.js";
+import { parseWorkItems, importFormatOf } from "../src/lib/importer.js";
+import { ToolPolicy } from "../src/lib/tool-policy.js";
+import { MockPlanServer } from "./mock-plan-server.js";
+import { createMockClient, connectTools, callStructured, callText } from "./helpers.js";
+
+const mock = new MockPlanServer();
+const dir = mkdtempSync(join(tmpdir(), 'plan-import-'));
+let client;
+
+before(async () => {
+    await mock.start();
+    mock.seedDemo();
+    client = await connectTools(createMockClient(mock));
+});
+
+after(async () => {
+    await client.close();
+    await mock.stop();
+    rmSync(dir, { recursive: true, force: true });
+});
+
+const titlesInPlan = () => mock.findRecords("Demo", "WorkItem").map(record => record.fields.Title);
+
+test("parses CSV rows with quoted fields and mapped columns", () => {
+    const csv = 'Key,Summary,Type,Parent,Points,Description\r\n' +
+        'checkout,Checkout,Epic,,,\r\n' +
+        ',"Cart page, with ""save for later""",Story,checkout,5,"two\nlines"\r\n' +
+        '\r\n';
+    assert.deepEqual(parseWorkItems(csv, "csv", { columns: { Summary: "title", Points: "StoryPoints", Description: null } }), [
+        { key: "checkout", title: "Checkout", type: "Epic" },
+        { title: 'Cart page, with "save for later"', type: "Story", parent: "checkout", fields: [{ name: "StoryPoints", value: "5" }] }
+    ]);
+    assert.deepEqual(parseWorkItems("Title;Owner\nA;alice\n", "csv", { delimiter: ";", defaults: { type: "Task", Priority: "Low" } }), [
+        { title: "A", owner: "alice", type: "Task", fields: [{ name: "Priority", value: "Low" }] }
+    ]);
+});
+
+test("parses a Markdown outline into a hierarchy typed by depth", () => {
+    const markdown = [
+        "# Checkout",
+        "Everything about paying.",
+        "## Cart page",
+        "Owner: alice",
+        "Points: 3",
+        "- Cart API",
+        "  - [ ] Schema migration",
+        "- Cart icon",
+        "## Payment",
+        "Note: talk to finance"
+    ].join('\n');
+    assert.deepEqual(parseWorkItems(markdown, "markdown", { levels: ["Epic", "Story", "Task"], columns: { Points: "StoryPoints" } }), [
+        { title: "Checkout", description: "Everything about paying.", type: "Epic", key: "#1" },
+        { title: "Cart page", owner: "alice", type: "Story", fields: [{ name: "StoryPoints", value: "3" }], key: "#2", parent: "#1" },
+        { title: "Cart API", type: "Task", key: "#3", parent: "#2" },
+        { title: "Schema migration", type: "Task", parent: "#3" },
+        { title: "Cart icon", type: "Task", parent: "#2" },
+        { title: "Payment", description: "Note: talk to finance", type: "Story", parent: "#1" }
+    ]);
+});
+
+test("parses nested JSON and reports rows it cannot import", () => {
+    const json = JSON.stringify({ items: [{ title: "Search", type: "Epic", children: [{ title: "Filters", Tags: ["ui", "search"] }] }] });
+    assert.deepEqual(parseWorkItems(json, "json", { levels: ["Epic", "Story"], columns: { Tags: "Tags" } }), [
+        { title: "Search", type: "Epic", key: "#1" },
+        { title: "Filters", type: "Story", parent: "#1", fields: [{ name: "Tags", value: "ui\nsearch" }] }
+    ]);
+    assert.throws(() => parseWorkItems('[{"title": "A"}, {"type": "Story"}]', "json"),
+        { message: "Cannot import: row 1 has no type; map a type column, or give levels or a default type; row 2 has no title" });
+    assert.throws(() => parseWorkItems('Title\n"open', "csv"), { message: "CSV ends inside a quoted field" });
+    assert.equal(importFormatOf("backlog.MD"), "markdown");
+    assert.throws(() => importFormatOf("backlog.xlsx"), /Cannot tell the format of backlog.xlsx/);
+});
+
+test("previews an import and reports titles already in the project", async () => {
+    const result = await callStructured(client, "import_work_items", {
+        application: "Demo",
+        projectName: "Web Portal",
+        format: "markdown",
+        content: "# Customer login\n## Remember me\n## Password reset",
+        mapping: { levels: ["Epic", "Story"] },
+        preview: true
+    });
+    assert.equal(result.total, 3);
+    assert.equal(result.duplicates, 1);
+    assert.deepEqual(result.items.map(item => [item.title, item.status]), [["Customer login", "duplicate"], ["Remember me", "new"], ["Password reset", "new"]]);
+    assert.equal(result.items[0].id, mock.findRecords("Demo", "WorkItem").find(record => record.fields.Title === "Customer login").fields.id);
+    assert.ok(!titlesInPlan().includes("Remember me"));
+});
+
+test("imports a file, putting children of duplicates under the existing work item", async () => {
+    const file = join(dir, "backlog.md");
+    writeFileSync(file, "# customer LOGIN\n## Remember me\n- Cookie storage\n## Broken\nSprint: Sprint 9");
+    const epic = mock.findRecords("Demo", "WorkItem").find(record => record.fields.Title === "Customer login");
+
+    const result = await callStructured(client, "import_work_items", {
+        application: "Demo",
+        projectName: "Web Portal",
+        filePath: file,
+        mapping: { levels: ["Epic", "Story", "Task"] }
+    });
+    assert.deepEqual([result.created, result.failed, result.duplicates], [2, 1, 1]);
+    assert.deepEqual(result.items.map(item => item.status), ["duplicate", "created", "created", "failed"]);
+    assert.equal(mock.getRecord("Demo", result.items[1].dbid).fields.Parent, epic.fields.id);
+    assert.equal(mock.getRecord("Demo", result.items[2].dbid).fields.Parent, result.items[1].id);
+
+    const again = await callText(client, "import_work_items", { application: "Demo", projectName: "Web Portal", filePath: file, mapping: { levels: ["Epic", "Story", "Task"] }, preview: true });
+    assert.match(again, /^Preview: 1 of 4 work item\(s\) would be created, 3 already exist\./);
+});
+
+test("reads files from the file root only", async () => {
+    const root = join(dir, "backlogs");
+    mkdirSync(root);
+    writeFileSync(join(root, "ideas.csv"), "title,type\nDark mode,Story\n");
+    writeFileSync(join(dir, "secrets.csv"), "title\nPLAN_ACCESS_TOKEN=secret\n");
+    const confined = await connectTools(createMockClient(mock), undefined, new FileAccess({ root }));
+    const preview = args => callText(confined, "import_work_items", { application: "Demo", projectName: "Web Portal", preview: true, ...args });
+
+    assert.match(await preview({ filePath: "ideas.csv" }), /^Preview: 1 of 1 work item\(s\) would be created/);
+    assert.equal(await preview({ filePath: "../secrets.csv" }), `Error importing work items: ../secrets.csv is outside the file root ${root}`);
+    await confined.close();
+});
+
+test("safe mode confirms an import, but not its preview", async () => {
+    const safe = await connectTools(createMockClient(mock), new ToolPolicy({ mode: "safe" }));
+    const args = { application: "Demo", projectName: "Web Portal", format: "csv", content: "title,type\nOffline mode,Story\n" };
+
+    assert.equal((await callStructured(safe, "import_work_items", { ...args, preview: true })).total, 1);
+    const first = await callStructured(safe, "import_work_items", args);
+    assert.equal(first.confirmationRequired, true);
+    assert.ok(!titlesInPlan().includes("Offline mode"));
+
+    const confirmed = await callStructured(safe, "import_work_items", { ...args, confirm: first.confirmationToken });
+    assert.equal(confirmed.created, 1);
+    assert.ok(titlesInPlan().includes("Offline mode"));
+    await safe.close();
+});
+
+test("plan-import creates the work items of a CSV file from the command line", async () => {
+    const file = join(dir, "backlog.csv");
+    const mapping = join(dir, "mapping.json");
+    writeFileSync(file, "Summary,Kind\nExport button,Story\nExport API,Story\n");
+    writeFileSync(mapping, JSON.stringify({ columns: { Summary: "title", Kind: "type" } }));
+    const env = { ...process.env, PLAN_SERVER_URL: mock.serverURL, PLAN_TEAMSPACE_ID: mock.teamspaceID, PLAN_ACCESS_TOKEN: "dG9rZW4=" };
+    const run = args => promisify(execFile)(process.execPath, ["src/lib/import-cli.js", ...args], { env, timeout: 30000 });
+
+    const preview = await run([file, "--application", "Demo", "--project", "Web Portal", "--mapping", mapping, "--preview"]);
+    assert.match(preview.stdout, /#0 {2}new {2}.*Story {2}Export button/);
+    assert.ok(!titlesInPlan().includes("Export button"));
+
+    const { stdout } = await run([file, "--application", "Demo", "--project", "Web Portal", "--mapping", mapping, "--json"]);
+    assert.equal(JSON.parse(stdout).created, 2);
+    assert.ok(titlesInPlan().includes("Export API"));
+
+    await assert.rejects(run([file, "--application", "Demo"]), error => error.code === 1 && /A file, --application and --project are required/.test(error.stderr));
+});
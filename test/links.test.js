@@ -0,0 +1,68 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { MockPlanServer } from "./mock-plan-server.js";
+import { createMockClient, connectTools, callStructured } from "./helpers.js";
+
+const mock = new MockPlanServer();
+let client;
+let epic, story, bug, api, docs;
+
+before(async () => {
+    await mock.start();
+    [epic, story, bug] = mock.seedDemo().workItems;
+    api = mock.addRecord("Demo", "WorkItem", { Title: "Auth API", WIType: "Story", Project: "Web Portal", Owner: "bob", Sprint: "Sprint 2" });
+    docs = mock.addRecord("Demo", "WorkItem", { Title: "Login docs", WIType: "Task", Project: "Web Portal", State: "Closed" });
+    client = await connectTools(createMockClient(mock));
+});
+
+after(async () => {
+    await client.close();
+    await mock.stop();
+});
+
+const link = (workItem, linkType, target, tool = "add_link") => callStructured(client, tool, { application: "Demo", workItem, linkType, target });
+
+test("add_link stores each link once, on the blocked or linking work item", async () => {
+    assert.deepEqual(await link(api.fields.id, "blocks", story.dbid), { source: api.fields.id, linkType: "blocks", target: story.fields.id, changed: true });
+    await link(story.dbid, "blocked-by", docs.dbid);
+    await link(bug.dbid, "relates-to", story.dbid);
+    await link(bug.dbid, "duplicates", epic.dbid);
+
+    assert.deepEqual(mock.getRecord("Demo", story.dbid).fields.BlockedBy, [api.fields.id, docs.fields.id]);
+    assert.deepEqual(mock.getRecord("Demo", bug.dbid).fields.RelatedTo, [story.fields.id]);
+    assert.equal((await link(story.dbid, "blocked-by", api.dbid)).changed, false);
+
+    const self = await client.callTool({ name: "add_link", arguments: { application: "Demo", workItem: story.dbid, linkType: "blocks", target: story.fields.id } });
+    assert.equal(self.content[0].text, "Error adding link: A work item cannot be linked to itself");
+});
+
+test("list_links reads the links in both directions", async () => {
+    const { links } = await callStructured(client, "list_links", { application: "Demo", workItem: story.dbid });
+    assert.deepEqual(links.map(item => [item.linkType, item.title]), [
+        ["blocked-by", "Auth API"],
+        ["blocked-by", "Login docs"],
+        ["relates-to", "Session timeout bug"]
+    ]);
+    const fromEpic = await callStructured(client, "list_links", { application: "Demo", workItem: epic.fields.id });
+    assert.deepEqual(fromEpic.links.map(item => [item.linkType, item.id]), [["duplicated-by", bug.fields.id]]);
+});
+
+test("get_blockers reports the open blockers of a work item or a sprint", async () => {
+    const { blockers } = await callStructured(client, "get_blockers", { application: "Demo", workItem: story.fields.id });
+    assert.deepEqual(blockers, [{ dbid: api.dbid, id: api.fields.id, title: "Auth API", state: "New", owner: "bob", blocks: [story.fields.id] }]);
+
+    const sprint1 = await callStructured(client, "get_blockers", { application: "Demo", sprint: "Sprint 1" });
+    assert.deepEqual(sprint1.blockers.map(blocker => blocker.id), [api.fields.id]);
+    const sprint2 = await client.callTool({ name: "get_blockers", arguments: { application: "Demo", sprint: "Sprint 2" } });
+    assert.deepEqual(sprint2.structuredContent, { blockers: [] });
+    assert.equal(sprint2.content[0].text, "No open blockers for sprint Sprint 2.");
+});
+
+test("remove_link deletes the stored link", async () => {
+    assert.equal((await link(story.dbid, "blocks", api.dbid, "remove_link")).changed, false);
+    assert.equal((await link(api.dbid, "blocks", story.dbid, "remove_link")).changed, true);
+    assert.deepEqual(mock.getRecord("Demo", story.dbid).fields.BlockedBy, [docs.fields.id]);
+
+    const { blockers } = await callStructured(client, "get_blockers", { application: "Demo", workItem: story.dbid });
+    assert.deepEqual(blockers, []);
+});
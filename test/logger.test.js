@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { LoggingMessageNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import { Logger, createLogger, redact } from "../src/lib/index.js";
+
+function readLines(file) {
+    return readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+test("redacts authorization headers, cookies and tokens", () => {
+    const redacted = redact({
+        headers: { 'Authorization': 'Basic dG9rZW4=', 'Cookie': 'JSESSIONID=abc' },
+        token: "secret",
+        message: "Sent Basic dG9rZW4= with JSESSIONID=abc123; route=r1",
+        nested: [{ cookies: "x=1" }]
+    });
+
+    assert.deepEqual(redacted, {
+        headers: { 'Authorization': '[REDACTED]', 'Cookie': '[REDACTED]' },
+        token: "[REDACTED]",
+        message: "Sent Basic [REDACTED] with JSESSIONID=[REDACTED]; route=r1",
+        nested: [{ cookies: "[REDACTED]" }]
+    });
+});
+
+test("writes JSON lines at or above the configured level to the log file", () => {
+    const file = join(mkdtempSync(join(tmpdir(), 'plan-log-')), 'server.log');
+    const logger = createLogger({ PLAN_LOG_LEVEL: "WARN", PLAN_LOG_FILE: file });
+
+    logger.debug("hidden");
+    logger.info("hidden");
+    logger.warn("Session expired", { cookie: "JSESSIONID=abc" });
+    logger.error("Commit failed", { error: new Error("Commit operation failed with status 500") });
+
+    const lines = readLines(file);
+    assert.deepEqual(lines.map(line => [line.level, line.message]), [["warn", "Session expired"], ["error", "Commit failed"]]);
+    assert.equal(lines[0].data.cookie, "[REDACTED]");
+    assert.equal(lines[1].data.error.message, "Commit operation failed with status 500");
+    assert.ok(lines.every(line => !Number.isNaN(Date.parse(line.time))));
+});
+
+test("rejects unknown levels", () => {
+    assert.throws(() => new Logger({ level: "verbose" }), /Invalid log level/);
+});
+
+test("forwards entries logged while handling a request to the MCP client", async () => {
+    const file = join(mkdtempSync(join(tmpdir(), 'plan-log-')), 'server.log');
+    const logger = new Logger({ level: "debug", file });
+    const server = new McpServer({ name: "test", version: "1.0.0" }, { capabilities: { logging: {} } });
+    server.tool("renew", "Logs a session renewal", {}, async () => {
+        logger.debug("too verbose for the client");
+        logger.warn("Plan session expired", { headers: { Authorization: "Basic abc" } });
+        return { content: [{ type: 'text', text: "renewed" }] };
+    });
+    logger.attach(server);
+
+    const client = new Client({ name: "test-client", version: "1.0.0" });
+    const received = [];
+    client.setNotificationHandler(LoggingMessageNotificationSchema, notification => {
+        received.push(notification.params);
+    });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+
+    await client.setLoggingLevel("info");
+    await client.callTool({ name: "renew", arguments: {} });
+    logger.warn("Outside of any request");
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(received, [{
+        level: "warning",
+        logger: "mcp-devops-plan",
+        data: { message: "Plan session expired", data: { headers: { Authorization: "[REDACTED]" } } }
+    }]);
+    assert.equal(readLines(file).length, 3);
+    await client.close();
+});
@@ -0,0 +1,127 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { MetadataCache, createMetadataCache } from "../src/lib/index.js";
+import { MockPlanServer } from "./mock-plan-server.js";
+import { createMockClient, connectTools, callText } from "./helpers.js";
+
+function counter(value) {
+    const load = async () => {
+        load.calls++;
+        return typeof value === 'function' ? value(load.calls) : value;
+    };
+    load.calls = 0;
+    return load;
+}
+
+test("serves entries until they expire, per teamspace and application", async () => {
+    let now = 0;
+    const cache = new MetadataCache({ ttl: 1000, now: () => now });
+    const load = counter(calls => [`project ${calls}`]);
+
+    assert.deepEqual(await cache.get("ts1", "App", "projects", load), ["project 1"]);
+    assert.deepEqual(await cache.get("ts1", "App", "projects", load), ["project 1"]);
+    assert.deepEqual(await cache.get("ts1", "Other", "projects", load), ["project 2"]);
+    assert.deepEqual(await cache.get("ts2", "App", "projects", load), ["project 3"]);
+
+    now = 1000;
+    assert.deepEqual(await cache.get("ts1", "App", "projects", load), ["project 4"]);
+});
+
+test("refresh bypasses the cached value and stores the new one", async () => {
+    const cache = new MetadataCache();
+    const load = counter(calls => calls);
+
+    assert.equal(await cache.get("ts1", "App", "states", load), 1);
+    assert.equal(await cache.get("ts1", "App", "states", load, { refresh: true }), 2);
+    assert.equal(await cache.get("ts1", "App", "states", load), 2);
+});
+
+test("shares one load between concurrent callers", async () => {
+    const cache = new MetadataCache();
+    const load = counter("value");
+
+    const results = await Promise.all([1, 2, 3].map(() => cache.get("ts1", "App", "projects", load)));
+
+    assert.deepEqual(results, ["value", "value", "value"]);
+    assert.equal(load.calls, 1);
+});
+
+test("invalidates an application, or some kinds of it", async () => {
+    const cache = new MetadataCache();
+    const load = counter(calls => calls);
+    await cache.get("ts1", "App", "projects", load);
+    await cache.get("ts1", "App", "states", load);
+    await cache.get("ts1", "Other", "projects", load);
+
+    cache.invalidate("ts1", "App", ["projects"]);
+    assert.equal(await cache.get("ts1", "App", "projects", load), 4);
+    assert.equal(await cache.get("ts1", "App", "states", load), 2);
+
+    cache.invalidate("ts1", "App");
+    assert.equal(await cache.get("ts1", "App", "states", load), 5);
+    assert.equal(await cache.get("ts1", "Other", "projects", load), 3);
+});
+
+test("a TTL of 0 disables caching", async () => {
+    const cache = createMetadataCache({ PLAN_CACHE_TTL: "0" });
+    const load = counter(calls => calls);
+
+    await cache.get("ts1", "App", "projects", load);
+    assert.equal(await cache.get("ts1", "App", "projects", load), 2);
+});
+
+test("persists unexpired entries to disk", async () => {
+    const file = join(mkdtempSync(join(tmpdir(), 'plan-cache-')), 'nested', 'metadata.json');
+    let now = 0;
+    const first = new MetadataCache({ ttl: 1000, file, now: () => now });
+    await first.get("ts1", "App", "projects", counter(["Web Portal"]));
+    now = 500;
+    await first.get("ts1", "App", "states", counter(["New"]));
+
+    now = 1200;
+    const second = new MetadataCache({ ttl: 1000, file, now: () => now });
+    const load = counter(["reloaded"]);
+    assert.deepEqual(await second.get("ts1", "App", "states", load), ["New"]);
+    assert.deepEqual(await second.get("ts1", "App", "projects", load), ["reloaded"]);
+    assert.equal(load.calls, 1);
+});
+
+test("starts empty when the cache file is unreadable", async () => {
+    const file = join(mkdtempSync(join(tmpdir(), 'plan-cache-')), 'metadata.json');
+    writeFileSync(file, "{not json");
+    const warnings = [];
+    const logger = { error() {}, info() {}, debug() {}, warn: message => warnings.push(message) };
+
+    const cache = new MetadataCache({ file, logger });
+
+    assert.equal(await cache.get("ts1", "App", "projects", counter("fresh")), "fresh");
+    assert.deepEqual(warnings, ["Ignoring unreadable metadata cache file"]);
+});
+
+test("metadata tools read through the cache until a project changes", async () => {
+    const mock = new MockPlanServer();
+    await mock.start();
+    const demo = mock.seedDemo();
+    const client = await connectTools(createMockClient(mock, { cache: new MetadataCache() }));
+    const queries = () => mock.requests.filter(request => request.path.endsWith('/query')).length;
+    const args = { application: "Demo", projectId: demo.project.dbid };
+
+    const first = await callText(client, "get_available_workitem_types", args);
+    const before = queries();
+    assert.equal(await callText(client, "get_available_workitem_types", args), first);
+    assert.equal(queries(), before);
+
+    await callText(client, "get_available_workitem_types", { ...args, refresh: true });
+    assert.equal(queries(), before + 1);
+
+    // Adding a sprint to the project invalidates the application's metadata
+    mock.getRecord("Demo", demo.project.dbid).fields.WITypeList = "Epic\nStory";
+    await callText(client, "create_or_update_sprint", { application: "Demo", projectID: demo.project.dbid, name: "Sprint 9" });
+    assert.equal(await callText(client, "get_available_workitem_types", args), 'Available work item types: ["Epic","Story"]');
+
+    await client.close();
+    await mock.stop();
+});
@@ -0,0 +1,865 @@
+import http from "http";
+
+// In-memory stand-in for the DevOps Plan /ccmweb/rest endpoints the tools use:
+// sessions, databases, entity definitions, the workspace query tree, queries with paged
+// result sets, records with Edit/Commit and their history, field choice lists, attachments,
+// actions (state changes) and Delete.
+
+const ref = reference => ({ type: "REFERENCE", reference });
+const refList = reference => ({ type: "REFERENCE_LIST", reference });
+
+// Fields every record has, managed by the server
+const SYSTEM_FIELDS = {
+    dbid: { type: "DBID" },
+    record_type: { type: "RECORDTYPE" }
+};
+
+/**
+ * Entity types known to the mock. displayField is the field used as displayName
+ * and as the value other records reference it by.
+ */
+export const SCHEMA = {
+    WorkItem: {
+        displayField: "id",
+        mandatory: ["Title", "WIType", "Project"],
+        fields: {
+            id: { type: "SHORT_STRING", readonly: true },
+            State: { type: "STATE", readonly: true },
+            Title: { type: "SHORT_STRING" },
+            Description: { type: "MULTILINE_STRING" },
+            WIType: { type: "SHORT_STRING" },
+            Project: ref("Project"),
+            Component: ref("Component"),
+            Owner: ref("users"),
+            Priority: { type: "SHORT_STRING", choices: ["High", "Medium", "Low"] },
+            Parent: ref("WorkItem"),
+            Tags: { type: "MULTILINE_STRING" },
+            Sprint: ref("Sprint"),
+            PlannedRelease: ref("Release"),
+            FoundInRelease: ref("Release"),
+            StoryPoints: { type: "INT" },
+            BusinessValue: { type: "INT" },
+            BlockedBy: refList("WorkItem"),
+            RelatedTo: refList("WorkItem"),
+            DuplicateOf: refList("WorkItem"),
+            // A note typed in Notes_Entry is moved to the end of Notes_Log on commit, under a header
+            Notes_Entry: { type: "MULTILINE_STRING" },
+            Notes_Log: { type: "MULTILINE_STRING", readonly: true },
+            Attachments: { type: "ATTACHMENT_LIST", readonly: true }
+        }
+    },
+    Project: {
+        displayField: "Name",
+        mandatory: ["Name"],
+        fields: {
+            Name: { type: "SHORT_STRING" },
+            DescriptionPT: { type: "MULTILINE_STRING" },
+            WITypeList: { type: "MULTILINE_STRING" },
+            Sprints: refList("Sprint"),
+            Releases: refList("Release")
+        }
+    },
+    Component: {
+        displayField: "Name",
+        mandatory: ["Name"],
+        fields: {
+            Name: { type: "SHORT_STRING" },
+            Project: ref("Project")
+        }
+    },
+    Sprint: {
+        displayField: "Name",
+        mandatory: ["Name"],
+        fields: {
+            Name: { type: "SHORT_STRING" },
+            StartDate: { type: "DATE_TIME" },
+            EndDate: { type: "DATE_TIME" }
+        }
+    },
+    Release: {
+        displayField: "Name",
+        mandatory: ["Name"],
+        fields: {
+            Name: { type: "SHORT_STRING" },
+            ReleaseType: { type: "SHORT_STRING" },
+            Description: { type: "MULTILINE_STRING" },
+            Frozen: { type: "SHORT_STRING" },
+            Sprints: refList("Sprint")
+        }
+    },
+    users: {
+        displayField: "login_name",
+        mandatory: ["login_name"],
+        fields: {
+            login_name: { type: "SHORT_STRING" },
+            fullname: { type: "SHORT_STRING" },
+            email: { type: "SHORT_STRING" }
+        }
+    },
+    groups: {
+        displayField: "name",
+        mandatory: ["name"],
+        fields: {
+            name: { type: "SHORT_STRING" },
+            users: refList("users")
+        }
+    }
+};
+
+// Work item lifecycle, in the format of the records/WorkItem action definitions
+export const WORK_ITEM_ACTIONS = [
+    { name: "Submit", actionType: "SUBMIT" },
+    { name: "Modify", actionType: "MODIFY" },
+    { name: "Activate", actionType: "_CHANGE_STATE", actionSourceStateNames: ["New"], actionDestStateName: "Active" },
+    { name: "Resolve", actionType: "_CHANGE_STATE", actionSourceStateNames: ["New", "Active"], actionDestStateName: "Resolved" },
+    { name: "Close", actionType: "_CHANGE_STATE", actionSourceStateNames: ["Resolved"], actionDestStateName: "Closed" },
+    { name: "Reopen", actionType: "_CHANGE_STATE", actionSourceStateNames: ["Resolved", "Closed"], actionDestStateName: "Active" },
+    { name: "Delete", actionType: "DELETE" }
+];
+
+const FIRST_DBID = 33554433;
+// Workspace folders and saved queries are numbered separately, so seeding them shifts no record dbids
+const FIRST_WORKSPACE_DBID = 16777217;
+const PREFIX = "/plan/ccmweb/rest";
+
+class MockError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function fieldDef(type, name) {
+    return SCHEMA[type].fields[name] || SYSTEM_FIELDS[name];
+}
+
+function toList(value) {
+    if (Array.isArray(value)) {
+        return value.map(String);
+    }
+    return value === undefined || value === null || value === "" ? [] : [String(value)];
+}
+
+function compare(a, b) {
+    const numeric = a !== "" && b !== "" && !Number.isNaN(Number(a)) && !Number.isNaN(Number(b));
+    return numeric ? Number(a) - Number(b) : String(a).localeCompare(String(b));
+}
+
+/**
+ * Mock Plan server. Start it, point a PlanClient at its serverURL, and seed records
+ * with addRecord() or seedDemo().
+ */
+export class MockPlanServer {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.teamspaceID="ts1"] - Teamspace the client must address
+     * @param {string} [options.currentUser="admin"] - Login name that [CURRENT_USER] resolves to
+     */
+    constructor({ teamspaceID = "ts1", currentUser = "admin" } = {}) {
+        this.teamspaceID = teamspaceID;
+        this.currentUser = currentUser;
+        this.applications = new Map();
+        this.resultSets = new Map();
+        this.nextDbid = FIRST_DBID;
+        this.nextWorkspaceDbid = FIRST_WORKSPACE_DBID;
+        this.nextResultSet = 1;
+        // Clock of the history entries; tests replace it to date their changes
+        this.now = () => new Date();
+        this.sessionId = 0;
+        this.requests = [];
+        this.failures = [];
+        this.server = null;
+        this.serverURL = null;
+    }
+
+    // Listen on a random local port; resolves to the Plan server URL
+    async start() {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.serverURL = `http://127.0.0.1:${this.server.address().port}/plan`;
+        return this.serverURL;
+    }
+
+    async stop() {
+        this.server.closeAllConnections?.();
+        await new Promise(resolve => this.server.close(resolve));
+    }
+
+    // Create an application (database) if it does not exist yet
+    addApplication(name) {
+        if (!this.applications.has(name)) {
+            this.applications.set(name, { dbId: String(this.applications.size + 1), name, records: new Map(), workspace: new Map() });
+        }
+        return this.applications.get(name);
+    }
+
+    /**
+     * Add a workspace folder, and its missing parent folders
+     * @param {string} application - Application name, created when missing
+     * @param {string} path - Folder path, e.g. "Public Queries/Team"
+     * @returns {Object} The folder ({dbId, name, pathName, itemType})
+     */
+    addQueryFolder(application, path) {
+        const app = this.addApplication(application);
+        const existing = [...app.workspace.values()].find(item => item.itemType === "FOLDER" && item.pathName === path);
+        if (existing) {
+            return existing;
+        }
+        const names = path.split('/');
+        const parent = names.length > 1 ? this.addQueryFolder(application, names.slice(0, -1).join('/')) : null;
+        const folder = { dbId: String(this.nextWorkspaceDbid++), name: names.at(-1), pathName: path, itemType: "FOLDER", parent: parent?.dbId ?? null };
+        app.workspace.set(folder.dbId, folder);
+        return folder;
+    }
+
+    /**
+     * Save a query in the workspace. Field filters with isDynamic set take their values at run time.
+     * @param {string} application - Application name, created when missing
+     * @param {string} path - Query path, e.g. "Public Queries/Open Bugs"
+     * @param {Object} queryDef - Plan queryDef (primaryEntityDefName, queryFieldDefs, filterNode)
+     * @returns {Object} The saved query ({dbId, name, pathName, itemType, queryDef})
+     */
+    addSavedQuery(application, path, queryDef) {
+        const app = this.addApplication(application);
+        const names = path.split('/');
+        const parent = this.addQueryFolder(application, names.slice(0, -1).join('/'));
+        const query = { dbId: String(this.nextWorkspaceDbid++), name: names.at(-1), pathName: path, itemType: "QUERY", parent: parent.dbId, queryDef };
+        app.workspace.set(query.dbId, query);
+        return query;
+    }
+
+    /**
+     * Add a committed record directly, bypassing the REST API
+     * @param {string} application - Application name, created when missing
+     * @param {string} type - Entity type from SCHEMA
+     * @param {Object} fields - Field values; lists for REFERENCE_LIST fields
+     * @returns {Object} The stored record ({dbid, type, fields, history})
+     */
+    addRecord(application, type, fields = {}) {
+        const app = this.addApplication(application);
+        const dbid = String(this.nextDbid++);
+        const record = { dbid, type, fields: { ...fields }, pending: null, history: [] };
+        if (type === "WorkItem") {
+            record.fields.id ??= `WI${String(Number(dbid) - FIRST_DBID + 1).padStart(8, '0')}`;
+            record.fields.State ??= "New";
+        }
+        this.addHistory(record, "Submit", {}, record.fields);
+        app.records.set(dbid, record);
+        return record;
+    }
+
+    // Committed record by dbid, or undefined
+    getRecord(application, dbid) {
+        const record = this.applications.get(application)?.records.get(String(dbid));
+        return record && !record.isNew ? record : undefined;
+    }
+
+    // Committed records of a type, optionally filtered by field values
+    findRecords(application, type, fields = {}) {
+        const app = this.applications.get(application);
+        if (!app) {
+            return [];
+        }
+        return [...app.records.values()].filter(record => record.type === type && !record.isNew &&
+            Object.entries(fields).every(([name, value]) => record.fields[name] === value));
+    }
+
+    // Invalidate the current session cookie; pending edits are lost with it, as on a real server
+    expireSessions() {
+        this.sessionId++;
+        for (const app of this.applications.values()) {
+            for (const [dbid, record] of app.records) {
+                if (record.isNew) {
+                    app.records.delete(dbid);
+                } else {
+                    record.pending = null;
+                }
+            }
+        }
+    }
+
+    /**
+     * Make the next matching request fail
+     * @param {Object} failure
+     * @param {string} [failure.method] - HTTP method to match, any when omitted
+     * @param {RegExp} failure.path - Matched against the path below /ccmweb/rest, including the query string
+     * @param {number} [failure.status=500] - Status to answer with
+     * @param {string} [failure.body="Internal error"] - Body to answer with
+     */
+    failNext({ method, path, status = 500, body = "Internal error" }) {
+        this.failures.push({ method, path, status, body });
+    }
+
+    // Writes (non GET requests other than queries) received so far
+    writes() {
+        return this.requests.filter(request => request.method !== 'GET' && !request.path.endsWith('/query'));
+    }
+
+    /**
+     * Seed a small teamspace: application "Demo" with one project, two components,
+     * users and a group, a release with two sprints, three work items and saved queries.
+     * @returns {Object} The created records by role
+     */
+    seedDemo() {
+        const app = "Demo";
+        const users = {
+            admin: this.addRecord(app, "users", { login_name: "admin", fullname: "Admin User", email: "admin@example.com" }),
+            alice: this.addRecord(app, "users", { login_name: "alice", fullname: "Alice Smith", email: "alice@example.com" }),
+            bob: this.addRecord(app, "users", { login_name: "bob", fullname: "Bob Jones", email: "bob@example.com" })
+        };
+        const sprints = [
+            this.addRecord(app, "Sprint", { Name: "Sprint 1", StartDate: "2026-01-05 00:00:00", EndDate: "2026-01-16 00:00:00" }),
+            this.addRecord(app, "Sprint", { Name: "Sprint 2", StartDate: "2026-01-19 00:00:00", EndDate: "2026-01-30 00:00:00" })
+        ];
+        const release = this.addRecord(app, "Release", { Name: "Release 1", ReleaseType: "Major", Sprints: ["Sprint 1", "Sprint 2"] });
+        const project = this.addRecord(app, "Project", {
+            Name: "Web Portal",
+            DescriptionPT: "Customer facing portal",
+            WITypeList: "Epic\nStory\nTask\nBug",
+            Sprints: ["Sprint 1", "Sprint 2"],
+            Releases: ["Release 1"]
+        });
+        const components = [
+            this.addRecord(app, "Component", { Name: "Frontend", Project: "Web Portal" }),
+            this.addRecord(app, "Component", { Name: "Backend", Project: "Web Portal" })
+        ];
+        const epic = this.addRecord(app, "WorkItem", { Title: "Customer login", WIType: "Epic", Project: "Web Portal", Owner: "admin", Priority: "High" });
+        const workItems = [
+            epic,
+            this.addRecord(app, "WorkItem", { Title: "Login page", WIType: "Story", Project: "Web Portal", Component: "Frontend", Owner: "alice", Parent: epic.fields.id, PlannedRelease: "Release 1", Sprint: "Sprint 1" }),
+            this.addRecord(app, "WorkItem", { Title: "Session timeout bug", WIType: "Bug", Project: "Web Portal", Component: "Backend", Owner: "bob", State: "Active" })
+        ];
+        const groups = [this.addRecord(app, "groups", { name: "Developers", users: ["alice", "bob"] })];
+        const queries = {
+            openBugs: this.addSavedQuery(app, "Public Queries/Open Bugs", {
+                primaryEntityDefName: "WorkItem",
+                queryFieldDefs: ["dbid", "id", "Title", "State", "Owner"].map(fieldPathName => ({ fieldPathName, isShown: true })),
+                filterNode: {
+                    boolOp: "BOOL_OP_AND",
+                    fieldFilters: [
+                        { fieldPath: "WIType", compOp: "COMP_OP_EQ", values: ["Bug"] },
+                        { fieldPath: "State", compOp: "COMP_OP_NEQ", values: ["Closed"] }
+                    ]
+                }
+            }),
+            ownedBy: this.addSavedQuery(app, "Public Queries/Team/Owned By", {
+                primaryEntityDefName: "WorkItem",
+                queryFieldDefs: ["id", "Title", "Owner"].map(fieldPathName => ({ fieldPathName, isShown: true })),
+                filterNode: {
+                    boolOp: "BOOL_OP_AND",
+                    fieldFilters: [{ fieldPath: "Owner", compOp: "COMP_OP_EQ", values: [], isDynamic: true }]
+                }
+            })
+        };
+        this.addQueryFolder(app, "Personal Queries");
+        return { application: app, users, groups, sprints, release, project, components, workItems, queries };
+    }
+
+    // --- request handling ---
+
+    handle(req, res) {
+        let text = "";
+        req.on('data', chunk => { text += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const path = url.pathname.startsWith(PREFIX) ? url.pathname.slice(PREFIX.length) : url.pathname;
+            let body;
+            try {
+                body = text ? JSON.parse(text) : undefined;
+            } catch {
+                body = text;
+            }
+            this.requests.push({ method: req.method, path, query: Object.fromEntries(url.searchParams), body });
+
+            const send = (status, payload, headers = {}) => {
+                res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+                res.end(payload === undefined ? "" : typeof payload === 'string' ? payload : JSON.stringify(payload));
+            };
+
+            const failureIndex = this.failures.findIndex(failure =>
+                (!failure.method || failure.method === req.method) && failure.path.test(path + url.search));
+            if (failureIndex >= 0) {
+                const [failure] = this.failures.splice(failureIndex, 1);
+                return send(failure.status, failure.body);
+            }
+
+            try {
+                if (path === '/analytics/serverurl') {
+                    this.sessionId++;
+                    return send(200, { url: this.serverURL }, { 'Set-Cookie': [`JSESSIONID=mock${this.sessionId}; Path=/; HttpOnly`] });
+                }
+                if (!/^Basic\s+\S+/.test(req.headers.authorization || '')) {
+                    return send(401, "Missing credentials");
+                }
+                if (!(req.headers.cookie || '').includes(`JSESSIONID=mock${this.sessionId}`)) {
+                    return send(401, "Session expired");
+                }
+                const result = this.route(req.method, path, url.searchParams, body);
+                return send(200, result === null ? undefined : result);
+            } catch (error) {
+                if (error instanceof MockError) {
+                    return send(error.status, error.message);
+                }
+                return send(500, error.stack);
+            }
+        });
+    }
+
+    route(method, path, params, body) {
+        const teamspacePrefix = `/repos/${this.teamspaceID}/databases`;
+        if (!path.startsWith(teamspacePrefix)) {
+            throw new MockError(404, `Unknown teamspace or path: ${path}`);
+        }
+        if (path === teamspacePrefix && method === 'GET') {
+            return [...this.applications.values()].map(({ dbId, name }) => ({ dbId, name }));
+        }
+
+        const [appName, ...rest] = path.slice(teamspacePrefix.length + 1).split('/');
+        const app = this.applications.get(decodeURIComponent(appName));
+        if (!app) {
+            throw new MockError(404, `Database ${decodeURIComponent(appName)} not found`);
+        }
+
+        if (rest[0] === 'query' && rest.length === 1 && method === 'POST') {
+            return this.runQuery(app, body.queryDef, body.resultSetOptions || {});
+        }
+        if (rest[0] === 'query' && rest.length === 2 && method === 'GET') {
+            return this.getResultPage(rest[1], Number(params.get('pageNumber') || 1));
+        }
+        if (rest[0] === 'workspace' && method === 'GET') {
+            return this.workspaceRoute(app, rest.slice(1));
+        }
+        if (rest[0] === 'entitydefs' && rest.length === 2 && method === 'GET') {
+            return this.entityDef(decodeURIComponent(rest[1]));
+        }
+        if (rest[0] === 'records' && SCHEMA[rest[1]]) {
+            const type = rest[1];
+            const dbid = rest[2];
+            if (!dbid && method === 'GET') {
+                return this.listRecords(app, type);
+            }
+            if (!dbid && method === 'POST' && params.get('operation') === 'Edit') {
+                return this.createRecord(app, type, body?.fields || []);
+            }
+            // Without useDbid the path names the record by its display name
+            const record = params.get('useDbid') === 'true'
+                ? app.records.get(dbid)
+                : [...app.records.values()].find(candidate => candidate.type === type && candidate.fields[SCHEMA[type].displayField] === decodeURIComponent(dbid));
+            if (!record || record.type !== type) {
+                throw new MockError(404, `${type} record ${decodeURIComponent(dbid)} not found`);
+            }
+            if (rest[3] === 'attachments') {
+                return this.attachmentRoute(app, record, method, decodeURIComponent(rest[4]), rest[5], body);
+            }
+            if (rest[3] === 'history' && method === 'GET') {
+                return record.history;
+            }
+            if (rest[3] === 'fields' && rest[5] === 'choiceList' && method === 'GET') {
+                return this.choiceList(app, record, decodeURIComponent(rest[4]));
+            }
+            if (method === 'GET') {
+                return this.recordView(app, record);
+            }
+            if (method === 'DELETE' && params.get('actionName') === 'Delete') {
+                app.records.delete(dbid);
+                return null;
+            }
+            if (method === 'PATCH' && params.get('actionName')) {
+                return this.startAction(app, record, params.get('actionName'));
+            }
+            if (method === 'PATCH' && params.get('operation') === 'Edit') {
+                return this.editRecord(app, record, body?.fields || []);
+            }
+            if (method === 'PATCH' && params.get('operation') === 'Commit') {
+                return this.commitRecord(app, record, body?.fields || []);
+            }
+        }
+        throw new MockError(404, `No mock route for ${method} ${path}`);
+    }
+
+    // --- workspace ---
+
+    workspaceRoute(app, rest) {
+        const summary = ({ dbId, name, pathName, itemType }) => ({ dbId, name, pathName, itemType });
+        if (rest[0] === 'folders' && rest.length === 1) {
+            return [...app.workspace.values()].filter(item => item.parent === null).map(summary);
+        }
+        const item = app.workspace.get(rest[1]);
+        if (rest[0] === 'folders' && rest[2] === 'items' && item?.itemType === "FOLDER") {
+            return [...app.workspace.values()].filter(child => child.parent === item.dbId).map(summary);
+        }
+        if (rest[0] === 'queryDefs' && rest.length === 2 && item?.itemType === "QUERY") {
+            return { dbId: item.dbId, name: item.name, pathName: item.pathName, ...item.queryDef };
+        }
+        throw new MockError(404, `Workspace item ${rest[1]} not found`);
+    }
+
+    // --- queries ---
+
+    entityDef(type) {
+        const schema = SCHEMA[type];
+        if (!schema) {
+            throw new MockError(404, `Entity ${type} not found`);
+        }
+        return {
+            name: type,
+            fieldDefs: Object.entries({ ...SYSTEM_FIELDS, ...schema.fields }).map(([name, def]) => ({
+                name,
+                fieldType: def.type,
+                ...(def.reference ? { referencedEntityDefName: def.reference } : {})
+            }))
+        };
+    }
+
+    resolveReference(app, def, value) {
+        const targetType = SCHEMA[def.reference];
+        return [...app.records.values()].find(record =>
+            record.type === def.reference && !record.isNew && record.fields[targetType.displayField] === value);
+    }
+
+    // Value of a field path such as "Owner.fullname", as a list of strings
+    fieldPathValues(app, record, fieldPath) {
+        const [name, ...restPath] = fieldPath.split('.');
+        if (name === 'dbid') {
+            return [record.dbid];
+        }
+        if (name === 'record_type') {
+            return [record.type];
+        }
+        const values = toList(record.fields[name]);
+        if (restPath.length === 0) {
+            return values;
+        }
+        const def = fieldDef(record.type, name);
+        if (!def?.reference) {
+            return [];
+        }
+        return values.flatMap(value => {
+            const target = this.resolveReference(app, def, value);
+            return target ? this.fieldPathValues(app, target, restPath.join('.')) : [];
+        });
+    }
+
+    matchesFilter(app, record, filter) {
+        const values = this.fieldPathValues(app, record, filter.fieldPath);
+        const expected = (filter.values || []).map(value => value === "[CURRENT_USER]" ? this.currentUser : String(value));
+        const first = values[0] ?? "";
+        switch (filter.compOp) {
+            case "COMP_OP_EQ":
+                return values.some(value => value === expected[0]);
+            case "COMP_OP_NEQ":
+                return !values.some(value => value === expected[0]);
+            case "COMP_OP_IN":
+                return values.some(value => expected.includes(value));
+            case "COMP_OP_NOT_IN":
+                return !values.some(value => expected.includes(value));
+            case "COMP_OP_LIKE":
+                return values.some(value => value.toLowerCase().includes(expected[0].toLowerCase()));
+            case "COMP_OP_NOT_LIKE":
+                return !values.some(value => value.toLowerCase().includes(expected[0].toLowerCase()));
+            case "COMP_OP_IS_NULL":
+                return values.length === 0;
+            case "COMP_OP_IS_NOT_NULL":
+                return values.length > 0;
+            case "COMP_OP_GT":
+                return values.length > 0 && compare(first, expected[0]) > 0;
+            case "COMP_OP_GTE":
+                return values.length > 0 && compare(first, expected[0]) >= 0;
+            case "COMP_OP_LT":
+                return values.length > 0 && compare(first, expected[0]) < 0;
+            case "COMP_OP_LTE":
+                return values.length > 0 && compare(first, expected[0]) <= 0;
+            case "COMP_OP_BETWEEN":
+                return values.length > 0 && compare(first, expected[0]) >= 0 && compare(first, expected[1]) <= 0;
+            default:
+                throw new MockError(400, `Unsupported compOp ${filter.compOp}`);
+        }
+    }
+
+    matchesNode(app, record, node) {
+        if (!node) {
+            return true;
+        }
+        const results = [
+            ...(node.fieldFilters || []).map(filter => this.matchesFilter(app, record, filter)),
+            ...(node.childFilterNodes || []).map(child => this.matchesNode(app, record, child))
+        ];
+        if (results.length === 0) {
+            return true;
+        }
+        return node.boolOp === "BOOL_OP_OR" ? results.some(Boolean) : results.every(Boolean);
+    }
+
+    runQuery(app, queryDef, resultSetOptions) {
+        const schema = SCHEMA[queryDef?.primaryEntityDefName];
+        if (!schema) {
+            throw new MockError(400, `Unknown entity ${queryDef?.primaryEntityDefName}`);
+        }
+        const fieldDefs = queryDef.queryFieldDefs || [];
+        for (const { fieldPathName } of fieldDefs) {
+            const name = fieldPathName.split('.')[0];
+            if (!fieldDef(queryDef.primaryEntityDefName, name)) {
+                throw new MockError(400, `Field ${fieldPathName} does not exist on ${queryDef.primaryEntityDefName}`);
+            }
+        }
+
+        let records = [...app.records.values()]
+            .filter(record => record.type === queryDef.primaryEntityDefName && !record.isNew)
+            .filter(record => this.matchesNode(app, record, queryDef.filterNode));
+
+        const sortField = fieldDefs.find(def => def.sortType === "SORT_ASC" || def.sortType === "SORT_DESC");
+        if (sortField) {
+            const direction = sortField.sortType === "SORT_DESC" ? -1 : 1;
+            records = records.sort((a, b) => direction * compare(
+                this.fieldPathValues(app, a, sortField.fieldPathName).join('\n'),
+                this.fieldPathValues(app, b, sortField.fieldPathName).join('\n')));
+        }
+        if (resultSetOptions.maxResultSetRows) {
+            records = records.slice(0, resultSetOptions.maxResultSetRows);
+        }
+
+        const rows = records.map(record => ({
+            displayName: record.fields[schema.displayField],
+            values: fieldDefs.map(def => this.fieldPathValues(app, record, def.fieldPathName).join('\n'))
+        }));
+        const id = String(this.nextResultSet++);
+        this.resultSets.set(id, {
+            columns: fieldDefs.map(def => ({ fieldPathName: def.fieldPathName })),
+            rows,
+            pageSize: resultSetOptions.pageSize || 25
+        });
+        return { result_set_id: id };
+    }
+
+    getResultPage(id, pageNumber) {
+        const resultSet = this.resultSets.get(id);
+        if (!resultSet) {
+            throw new MockError(404, `Result set ${id} not found`);
+        }
+        const start = (pageNumber - 1) * resultSet.pageSize;
+        return {
+            columns: resultSet.columns,
+            rows: resultSet.rows.slice(start, start + resultSet.pageSize)
+        };
+    }
+
+    // --- records ---
+
+    // Current values of a record, including the edit in progress
+    currentFields(record) {
+        return { ...record.fields, ...(record.pending?.fields || {}) };
+    }
+
+    recordView(app, record) {
+        const schema = SCHEMA[record.type];
+        const values = this.currentFields(record);
+        const fieldNames = ["dbid", "record_type", ...Object.keys(schema.fields)];
+        const fields = fieldNames.map(name => {
+            const def = fieldDef(record.type, name);
+            const valueAsList = name === 'dbid' ? [record.dbid] : name === 'record_type' ? [record.type]
+                : def.type === "ATTACHMENT_LIST" ? this.attachments(record, name).map(attachment => attachment.fileName) : toList(values[name]);
+            const requiredness = def.readonly || SYSTEM_FIELDS[name] ? "READONLY" : schema.mandatory.includes(name) ? "MANDATORY" : "OPTIONAL";
+            return {
+                name,
+                value: valueAsList.join('\n'),
+                valueStatus: valueAsList.length > 0 ? "HAS_VALUE" : "HAS_NO_VALUE",
+                validationStatus: "_KNOWN_VALID",
+                requiredness,
+                requirednessForUser: requiredness,
+                type: def.type,
+                valueAsList,
+                messageText: "",
+                maxLength: def.type === "SHORT_STRING" ? 254 : 0
+            };
+        });
+
+        const view = {
+            dbId: record.dbid,
+            displayName: values[schema.displayField] || "",
+            entityDefName: record.type,
+            fields,
+            isEditable: true,
+            viewURL: `/${encodeURIComponent(app.name)}/${record.type}/${record.dbid}`
+        };
+        if (record.type === "WorkItem") {
+            view.legalActions = this.legalActions(record).map(action => ({ actionName: action.name, formDefName: `WorkItem_${action.name}` }));
+        }
+        return view;
+    }
+
+    // Attachments stored in an attachment list field, with their base64 content
+    attachments(record, name) {
+        record.attachments ??= {};
+        record.attachments[name] ??= [];
+        return record.attachments[name];
+    }
+
+    attachmentRoute(app, record, method, name, attachmentId, body) {
+        if (SCHEMA[record.type].fields[name]?.type !== "ATTACHMENT_LIST") {
+            throw new MockError(400, `${name} is not an attachment field of ${record.type}`);
+        }
+        const attachments = this.attachments(record, name);
+        const summary = ({ content, ...attachment }) => attachment;
+        if (method === 'GET' && !attachmentId) {
+            return attachments.map(summary);
+        }
+        if (method === 'GET') {
+            const attachment = attachments.find(candidate => candidate.attachmentId === attachmentId);
+            if (!attachment) {
+                throw new MockError(404, `Attachment ${attachmentId} not found`);
+            }
+            return attachment;
+        }
+        if (method === 'POST' && !attachmentId) {
+            if (!body?.fileName || typeof body.content !== 'string') {
+                throw new MockError(400, "fileName and content are required");
+            }
+            const attachment = {
+                attachmentId: String(attachments.length + 1),
+                fileName: body.fileName,
+                fileSize: Buffer.from(body.content, 'base64').length,
+                description: body.description || "",
+                uploadedOn: this.now().toISOString(),
+                content: body.content
+            };
+            attachments.push(attachment);
+            return summary(attachment);
+        }
+        throw new MockError(404, `No mock route for ${method} attachments`);
+    }
+
+    // Values a field may take: its choices, or the display names of the records a reference can point to
+    choiceList(app, record, name) {
+        const def = SCHEMA[record.type].fields[name];
+        if (!def) {
+            throw new MockError(404, `Field ${name} does not exist on ${record.type}`);
+        }
+        if (def.reference) {
+            const target = SCHEMA[def.reference];
+            return [...app.records.values()]
+                .filter(candidate => candidate.type === def.reference && !candidate.isNew)
+                .map(candidate => candidate.fields[target.displayField]);
+        }
+        return def.choices || [];
+    }
+
+    legalActions(record) {
+        return WORK_ITEM_ACTIONS.filter(action =>
+            action.actionType !== "SUBMIT" &&
+            (action.actionType !== "_CHANGE_STATE" || action.actionSourceStateNames.includes(record.fields.State)));
+    }
+
+    listRecords(app, type) {
+        return [...app.records.values()]
+            .filter(record => record.type === type && !record.isNew)
+            .map(record => ({
+                ...this.recordView(app, record),
+                ...(type === "WorkItem" ? { actions: WORK_ITEM_ACTIONS } : {})
+            }));
+    }
+
+    // Apply {name, value} / {name, valueAsList} pairs to the pending edit
+    applyFields(record, fields) {
+        for (const field of fields) {
+            const def = SCHEMA[record.type].fields[field.name];
+            if (SYSTEM_FIELDS[field.name] || def?.readonly) {
+                continue;
+            }
+            if (!def) {
+                throw new MockError(400, `Field ${field.name} does not exist on ${record.type}`);
+            }
+            const list = field.valueAsList ?? toList(field.value);
+            record.pending.fields[field.name] = def.type === "REFERENCE_LIST" ? list : list.join('\n');
+        }
+    }
+
+    createRecord(app, type, fields) {
+        const dbid = String(this.nextDbid++);
+        const record = { dbid, type, fields: {}, isNew: true, pending: { action: "Submit", fields: {} }, history: [] };
+        app.records.set(dbid, record);
+        this.applyFields(record, fields);
+        return this.recordView(app, record);
+    }
+
+    startAction(app, record, actionName) {
+        const action = WORK_ITEM_ACTIONS.find(candidate => candidate.name === actionName);
+        if (record.type === "WorkItem" && action?.actionType === "_CHANGE_STATE") {
+            if (!action.actionSourceStateNames.includes(record.fields.State)) {
+                throw new MockError(400, `Action ${actionName} is not valid in state ${record.fields.State}`);
+            }
+        } else if (actionName !== "Modify") {
+            throw new MockError(400, `Unknown action ${actionName}`);
+        }
+        record.pending = { action: actionName, fields: {} };
+        return this.recordView(app, record);
+    }
+
+    editRecord(app, record, fields) {
+        // An Edit without a preceding action implies Modify
+        record.pending ??= { action: "Modify", fields: {} };
+        this.applyFields(record, fields);
+        return this.recordView(app, record);
+    }
+
+    commitRecord(app, record, fields) {
+        record.pending ??= { action: "Modify", fields: {} };
+        this.applyFields(record, fields);
+
+        const values = this.currentFields(record);
+        const schema = SCHEMA[record.type];
+        const missing = schema.mandatory.filter(name => toList(values[name]).length === 0);
+        if (missing.length > 0) {
+            throw new MockError(400, `Mandatory field(s) without value: ${missing.join(', ')}`);
+        }
+        for (const [name, value] of Object.entries(record.pending.fields)) {
+            const def = schema.fields[name];
+            if (!def.reference) {
+                continue;
+            }
+            const unknown = toList(value).filter(item => !this.resolveReference(app, def, item));
+            if (unknown.length > 0) {
+                throw new MockError(400, `Invalid value for ${name}: no ${def.reference} named ${unknown.join(', ')}`);
+            }
+        }
+
+        const action = WORK_ITEM_ACTIONS.find(candidate => candidate.name === record.pending.action);
+        const before = record.fields;
+        record.fields = values;
+        if (record.isNew) {
+            delete record.isNew;
+            if (record.type === "WorkItem") {
+                record.fields.id = `WI${String(Number(record.dbid) - FIRST_DBID + 1).padStart(8, '0')}`;
+                record.fields.State = "New";
+            }
+        } else if (action?.actionType === "_CHANGE_STATE") {
+            record.fields.State = action.actionDestStateName;
+        }
+        if (record.fields.Notes_Entry) {
+            const stamp = this.now().toISOString().slice(0, 19).replace('T', ' ');
+            const entry = `==== State: ${record.fields.State} by: ${this.currentUser} on ${stamp} ====\n\n${record.fields.Notes_Entry}\n`;
+            record.fields.Notes_Log = record.fields.Notes_Log ? `${record.fields.Notes_Log}\n${entry}` : entry;
+            delete record.fields.Notes_Entry;
+        }
+        this.addHistory(record, record.pending.action, before, record.fields);
+        record.pending = null;
+        return this.recordView(app, record);
+    }
+
+    // Append a history entry for an action that took the record from one set of values to another
+    addHistory(record, actionName, before, after) {
+        const names = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+            .filter(name => name !== "State" && toList(before[name]).join('\n') !== toList(after[name]).join('\n'));
+        record.history.push({
+            actionName,
+            userName: this.currentUser,
+            actionTimestamp: this.now().toISOString(),
+            oldState: before.State || "",
+            newState: after.State || "",
+            fieldChanges: names.map(fieldName => ({
+                fieldName,
+                oldValue: toList(before[fieldName]).join('\n'),
+                newValue: toList(after[fieldName]).join('\n')
+            }))
+        });
+    }
+}
@@ -0,0 +1,83 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { MockPlanServer } from "./mock-plan-server.js";
+import { createMockClient, connectTools, callStructured } from "./helpers.js";
+
+// A project with more work items than fit on one 300 row page
+const mock = new MockPlanServer();
+const titles = [];
+let client;
+
+before(async () => {
+    await mock.start();
+    mock.addRecord("Demo", "Project", { Name: "Archive" });
+    for (let index = 1; index <= 650; index++) {
+        const title = `Item ${String(index).padStart(3, '0')}`;
+        mock.addRecord("Demo", "WorkItem", { Title: title, WIType: "Task", Project: "Archive" });
+        titles.push(title);
+    }
+    client = await connectTools(createMockClient(mock));
+});
+
+after(async () => {
+    await client.close();
+    await mock.stop();
+});
+
+const args = { applicationName: "Demo", projectName: "Archive" };
+
+// GET requests for result pages since a given request index
+function pageRequests(since) {
+    return mock.requests.slice(since).filter(request => request.method === 'GET' && /\/query\/\d+$/.test(request.path))
+        .map(request => request.query.pageNumber);
+}
+
+test("reads every page of the result set by default", async () => {
+    const since = mock.requests.length;
+    const result = await callStructured(client, "get_work_items", args);
+
+    assert.deepEqual(result.workItems.map(item => item.title), titles);
+    assert.equal(result.total, 650);
+    assert.equal(result.nextCursor, undefined);
+    assert.deepEqual(pageRequests(since), ["1", "2", "3"]);
+});
+
+test("limit and cursor page through the result set without running the query again", async () => {
+    let since = mock.requests.length;
+    const first = await callStructured(client, "get_work_items", { ...args, limit: 250 });
+    assert.equal(first.workItems.length, 250);
+    // Only the first page is read, so the total is not known yet
+    assert.equal(first.total, undefined);
+    assert.deepEqual(pageRequests(since), ["1"]);
+    assert.ok(first.nextCursor);
+
+    since = mock.requests.length;
+    const second = await callStructured(client, "get_work_items", { ...args, limit: 250, cursor: first.nextCursor });
+    const third = await callStructured(client, "get_work_items", { ...args, limit: 250, cursor: second.nextCursor });
+
+    assert.equal(second.total, undefined);
+    assert.equal(third.nextCursor, undefined);
+    assert.equal(third.total, 650);
+    assert.deepEqual([...first.workItems, ...second.workItems, ...third.workItems].map(item => item.title), titles);
+    assert.ok(!mock.requests.slice(since).some(request => request.method === 'POST'));
+    // Rows 250-499 span pages 1 and 2, rows 500-649 pages 2 and 3
+    assert.deepEqual(pageRequests(since), ["1", "2", "2", "3"]);
+});
+
+test("rejects cursors it did not issue", async () => {
+    const result = await client.callTool({ name: "get_work_items", arguments: { ...args, cursor: "not-a-cursor" } });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /^Error retrieving work items: Invalid cursor/);
+});
+
+test("stream mode sends the rows as progress notifications", async () => {
+    const streamed = [];
+    const result = await client.callTool({ name: "get_work_items", arguments: { ...args, stream: true } }, undefined, {
+        onprogress: ({ message }) => streamed.push(...JSON.parse(message))
+    });
+
+    assert.deepEqual(result.structuredContent.workItems, []);
+    assert.equal(result.structuredContent.streamed, 650);
+    assert.equal(result.structuredContent.total, 650);
+    assert.deepEqual(streamed.map(item => item.title), titles);
+});
@@ -0,0 +1,193 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { PlanClient, PlanApiError, PlanSessionExpiredError } from "../src/lib/index.js";
+
+// Minimal stand-in for the Plan REST API, recording every request it receives
+const requests = [];
+let server;
+let serverURL;
+
+// Session handed out by the analytics endpoint; requests with any other cookie get a 401
+const session = { id: 0, maxAge: null };
+function expireSession() {
+    session.id++;
+}
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = "";
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            const url = new URL(req.url, 'http://localhost');
+            res.setHeader('Content-Type', 'application/json');
+
+            if (url.pathname === '/plan/ccmweb/rest/analytics/serverurl') {
+                session.id++;
+                const maxAge = session.maxAge !== null ? `; Max-Age=${session.maxAge}` : '';
+                res.setHeader('Set-Cookie', [`JSESSIONID=s${session.id}; Path=/; HttpOnly${maxAge}`, 'route=r1; Path=/']);
+                res.end(JSON.stringify({ url: serverURL }));
+            } else if (!req.headers.cookie?.includes(`JSESSIONID=s${session.id}`)) {
+                res.statusCode = 401;
+                res.end("Unauthorized");
+            } else if (url.pathname.endsWith('/databases')) {
+                res.end(JSON.stringify([{ dbId: "1", name: "App" }]));
+            } else if (url.pathname.endsWith('/query') && req.method === 'POST') {
+                res.end(JSON.stringify({ result_set_id: "rs1" }));
+            } else if (url.pathname.endsWith('/query/rs1')) {
+                res.end(JSON.stringify({ rows: [{ displayName: "Project A", values: ["42", "Project A"] }] }));
+            } else if (url.pathname.endsWith('/records/WorkItem/404')) {
+                res.statusCode = 404;
+                res.end("Record not found");
+            } else {
+                res.end(JSON.stringify({ dbId: "100", fields: [] }));
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    serverURL = `http://127.0.0.1:${server.address().port}/plan`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function createClient(options = {}) {
+    requests.length = 0;
+    session.maxAge = null;
+    return new PlanClient({ serverURL, teamspaceID: "ts1", token: "dG9rZW4=", ...options });
+}
+
+const cookieFetches = () => requests.filter(r => r.url.endsWith('/analytics/serverurl')).length;
+
+test("fetches the session cookie once and sends it with every request", async () => {
+    const client = createClient();
+    await client.getDatabases();
+    await client.getDatabases();
+
+    assert.equal(cookieFetches(), 1);
+    const apiRequest = requests.at(-1);
+    assert.equal(apiRequest.url, '/plan/ccmweb/rest/repos/ts1/databases');
+    assert.equal(apiRequest.headers.cookie, `JSESSIONID=s${session.id}; route=r1`);
+    assert.equal(apiRequest.headers.authorization, 'Basic dG9rZW4=');
+});
+
+test("query posts the queryDef and returns the first result page", async () => {
+    const client = createClient();
+    const page = await client.query("My App", { primaryEntityDefName: "Project" }, { pageSize: 10 }, { pageNumber: 1 });
+
+    assert.equal(page.resultSetId, "rs1");
+    assert.equal(page.rows[0].displayName, "Project A");
+    const post = requests.find(r => r.method === 'POST');
+    assert.equal(post.url, '/plan/ccmweb/rest/repos/ts1/databases/My%20App/query');
+    assert.deepEqual(JSON.parse(post.body), { queryDef: { primaryEntityDefName: "Project" }, resultSetOptions: { pageSize: 10 } });
+    assert.equal(requests.at(-1).url, '/plan/ccmweb/rest/repos/ts1/databases/My%20App/query/rs1?pageNumber=1');
+});
+
+test("record operations use the Edit, Commit and action endpoints", async () => {
+    const client = createClient();
+    await client.createRecord("App", "WorkItem");
+    await client.editRecord("App", "WorkItem", "100", [{ name: "Title", value: "T" }]);
+    await client.commitRecord("App", "WorkItem", "100", { dbId: "100", fields: [] });
+    await client.runAction("App", "WorkItem", "100", "Modify");
+    await client.deleteRecord("App", "WorkItem", "100");
+
+    const calls = requests.filter(r => !r.url.endsWith('/analytics/serverurl')).map(r => `${r.method} ${r.url.replace('/plan/ccmweb/rest/repos/ts1/databases/App', '')}`);
+    assert.deepEqual(calls, [
+        'POST /records/WorkItem?operation=Edit&useDbid=true',
+        'PATCH /records/WorkItem/100?operation=Edit&useDbid=true',
+        'PATCH /records/WorkItem/100?operation=Commit&useDbid=true',
+        'PATCH /records/WorkItem/100?actionName=Modify&operation=Edit&useDbid=true',
+        'DELETE /records/WorkItem/100?actionName=Delete&useDbid=true'
+    ]);
+});
+
+test("non-2xx responses raise a PlanApiError carrying the status", async () => {
+    const client = createClient();
+    await assert.rejects(client.getRecord("App", "WorkItem", "404"), error => {
+        assert.ok(error instanceof PlanApiError);
+        assert.equal(error.status, 404);
+        assert.match(error.message, /Record not found/);
+        return true;
+    });
+});
+
+test("renews the session and replays the request once after a 401", async () => {
+    const client = createClient();
+    await client.getDatabases();
+    expireSession();
+
+    const databases = await client.getDatabases();
+
+    assert.equal(databases[0].name, "App");
+    assert.equal(cookieFetches(), 2);
+    assert.deepEqual(requests.slice(-3).map(r => r.url.split('/').at(-1)), ['databases', 'serverurl', 'databases']);
+});
+
+test("renews early when the session cookie is about to expire", async () => {
+    const client = createClient({ renewBeforeExpiry: 60000 });
+    session.maxAge = 30;
+    await client.getDatabases();
+    assert.ok(client.sessionExpiresAt > Date.now());
+
+    await client.getDatabases();
+
+    assert.equal(cookieFetches(), 2);
+    assert.deepEqual(requests.map(r => r.url.split('/').at(-1)), ['serverurl', 'databases', 'serverurl', 'databases']);
+});
+
+test("withSession replays the whole Edit+Commit sequence on a fresh session", async () => {
+    const client = createClient();
+    let runs = 0;
+
+    await client.withSession(async () => {
+        runs++;
+        await client.editRecord("App", "WorkItem", "100", [{ name: "Title", value: "T" }]);
+        if (runs === 1) {
+            expireSession();
+        }
+        await client.commitRecord("App", "WorkItem", "100", { dbId: "100", fields: [] });
+    });
+
+    assert.equal(runs, 2);
+    const calls = requests.filter(r => r.method === 'PATCH').map(r => `${r.url.split('operation=')[1].split('&')[0]} ${r.headers.cookie.split(';')[0]}`);
+    const [firstCookie, secondCookie] = [calls[0].split(' ')[1], calls[2].split(' ')[1]];
+    assert.notEqual(firstCookie, secondCookie);
+    assert.deepEqual(calls, [
+        `Edit ${firstCookie}`,
+        `Commit ${firstCookie}`,
+        `Edit ${secondCookie}`,
+        `Commit ${secondCookie}`
+    ]);
+});
+
+test("a 403 permission denial is not taken for an expired session", async () => {
+    const client = createClient({
+        fetch: async (url, options) => url.endsWith('/databases')
+            ? new Response("You are not allowed to read databases", { status: 403 })
+            : fetch(url, options)
+    });
+
+    await assert.rejects(client.getDatabases(), error => {
+        assert.ok(!(error instanceof PlanSessionExpiredError));
+        assert.ok(error instanceof PlanApiError);
+        assert.equal(error.status, 403);
+        assert.match(error.message, /You are not allowed to read databases/);
+        return true;
+    });
+    assert.equal(cookieFetches(), 1);
+});
+
+test("a session that keeps expiring surfaces a PlanSessionExpiredError", async () => {
+    const client = createClient({
+        fetch: async (url, options) => {
+            const response = await fetch(url, options);
+            if (url.endsWith('/databases')) {
+                expireSession();
+            }
+            return response.status === 200 && url.endsWith('/databases') ? new Response("Session has expired", { status: 403 }) : response;
+        }
+    });
+
+    await assert.rejects(client.getDatabases(), PlanSessionExpiredError);
+    assert.equal(cookieFetches(), 2);
+});
@@ -0,0 +1,99 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { MockPlanServer } from "./mock-plan-server.js";
+import { createMockClient, connectTools, callStructured } from "./helpers.js";
+
+const mock = new MockPlanServer();
+let client;
+
+before(async () => {
+    await mock.start();
+    mock.seedDemo();
+    // Story points to compare against
+    const [epic, story, bug] = mock.findRecords("Demo", "WorkItem");
+    epic.fields.StoryPoints = "13";
+    story.fields.StoryPoints = "5";
+    bug.fields.StoryPoints = "2";
+    client = await connectTools(createMockClient(mock));
+});
+
+after(async () => {
+    await client.close();
+    await mock.stop();
+});
+
+// Titles of the work items matching a filter tree
+async function titles(filter) {
+    const { records } = await callStructured(client, "query_records", { application: "Demo", entity: "WorkItem", fields: ["Title"], filter });
+    return records.map(record => record.Title);
+}
+
+test("returns the requested field paths of every matching record", async () => {
+    const result = await callStructured(client, "query_records", {
+        application: "Demo", entity: "WorkItem", fields: ["id", "Title", "Owner.fullname"],
+        filter: { fieldFilters: [{ fieldPath: "WIType", compOp: "EQ", values: ["Story"] }] }
+    });
+    assert.deepEqual(result, { records: [{ id: "WI00000011", Title: "Login page", "Owner.fullname": "Alice Smith" }], total: 1 });
+});
+
+test("supports every comparison operator", async () => {
+    assert.deepEqual(await titles({ fieldFilters: [{ fieldPath: "Priority", compOp: "NEQ", values: ["High"] }] }), ["Login page", "Session timeout bug"]);
+    assert.deepEqual(await titles({ fieldFilters: [{ fieldPath: "Title", compOp: "LIKE", values: ["login"] }] }), ["Customer login", "Login page"]);
+    assert.deepEqual(await titles({ fieldFilters: [{ fieldPath: "Owner", compOp: "IN", values: ["alice", "bob"] }] }), ["Login page", "Session timeout bug"]);
+    assert.deepEqual(await titles({ fieldFilters: [{ fieldPath: "StoryPoints", compOp: "BETWEEN", values: ["2", "5"] }] }), ["Login page", "Session timeout bug"]);
+    assert.deepEqual(await titles({ fieldFilters: [{ fieldPath: "Component", compOp: "IS_NULL" }] }), ["Customer login"]);
+    assert.deepEqual(await titles({ fieldFilters: [{ fieldPath: "StoryPoints", compOp: "GT", values: ["5"] }] }), ["Customer login"]);
+    assert.deepEqual(await titles({ fieldFilters: [{ fieldPath: "StoryPoints", compOp: "LT", values: ["5"] }] }), ["Session timeout bug"]);
+});
+
+test("combines nested AND/OR nodes", async () => {
+    // Bugs, or stories owned by alice in Sprint 1
+    const filter = {
+        boolOp: "OR",
+        fieldFilters: [{ fieldPath: "WIType", compOp: "EQ", values: ["Bug"] }],
+        childFilterNodes: [{
+            boolOp: "AND",
+            fieldFilters: [
+                { fieldPath: "WIType", compOp: "EQ", values: ["Story"] },
+                { fieldPath: "Owner.fullname", compOp: "EQ", values: ["Alice Smith"] },
+                { fieldPath: "Sprint", compOp: "EQ", values: ["Sprint 1"] }
+            ]
+        }]
+    };
+    assert.deepEqual(await titles(filter), ["Login page", "Session timeout bug"]);
+});
+
+test("queries the other entities", async () => {
+    const { records } = await callStructured(client, "query_records", {
+        application: "Demo", entity: "Sprint", fields: ["Name"],
+        filter: { fieldFilters: [{ fieldPath: "StartDate", compOp: "GT", values: ["2026-01-10"] }] }
+    });
+    assert.deepEqual(records, [{ Name: "Sprint 2" }]);
+});
+
+test("validates fields and filters before sending the query", async () => {
+    const since = mock.requests.length;
+    const result = await client.callTool({
+        name: "query_records",
+        arguments: {
+            application: "Demo", entity: "WorkItem", fields: ["Title"],
+            filter: {
+                fieldFilters: [
+                    { fieldPath: "Severity", compOp: "EQ", values: ["1"] },
+                    { fieldPath: "Title", compOp: "GT", values: ["a"] },
+                    { fieldPath: "Owner.nickname", compOp: "EQ", values: ["x"] }
+                ],
+                childFilterNodes: [{ fieldFilters: [{ fieldPath: "StoryPoints", compOp: "BETWEEN", values: ["1"] }] }]
+            }
+        }
+    });
+
+    assert.equal(result.isError, true);
+    assert.equal(result.content[0].text, 'Error querying records: Invalid filter: WorkItem has no field "Severity"; ' +
+        "Title: GT needs a number or date field, Title is SHORT_STRING; users has no field \"nickname\"; " +
+        "StoryPoints: BETWEEN takes 2 value(s), got 1");
+    assert.ok(!mock.requests.slice(since).some(request => request.path.endsWith('/query')));
+
+    const unknownField = await client.callTool({ name: "query_records", arguments: { application: "Demo", entity: "Project", fields: ["Name", "Owner"] } });
+    assert.equal(unknownField.content[0].text, 'Error querying records: Invalid fields: Project has no field "Owner"');
+});
@@ -0,0 +1,67 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { MockPlanServer } from "./mock-plan-server.js";
+import { createMockClient, connectTools, callStructured } from "./helpers.js";
+
+const mock = new MockPlanServer();
+let client;
+let seeded;
+
+before(async () => {
+    await mock.start();
+    seeded = mock.seedDemo();
+    client = await connectTools(createMockClient(mock));
+});
+
+after(async () => {
+    await client.close();
+    await mock.stop();
+});
+
+test("lists the root folders and the content of a folder by path or dbid", async () => {
+    const root = await callStructured(client, "list_saved_queries", { application: "Demo" });
+    assert.deepEqual(root.items.map(item => `${item.type}:${item.path}`), ["folder:Public Queries", "folder:Personal Queries"]);
+
+    const publicQueries = await callStructured(client, "list_saved_queries", { application: "Demo", folder: "Public Queries" });
+    assert.equal(publicQueries.folder, "Public Queries");
+    assert.deepEqual(publicQueries.items.map(item => `${item.type}:${item.path}`), ["query:Public Queries/Open Bugs", "folder:Public Queries/Team"]);
+
+    const team = publicQueries.items.find(item => item.name === "Team");
+    const byDbid = await callStructured(client, "list_saved_queries", { application: "Demo", folder: team.dbid });
+    assert.deepEqual(byDbid.items, [{ dbid: seeded.queries.ownedBy.dbId, name: "Owned By", path: "Public Queries/Team/Owned By", type: "query" }]);
+});
+
+test("runs a saved query by path with the get_work_items column names", async () => {
+    const result = await callStructured(client, "run_saved_query", { application: "Demo", query: "Public Queries/Open Bugs" });
+    assert.deepEqual(result.query, { dbid: seeded.queries.openBugs.dbId, name: "Open Bugs", path: "Public Queries/Open Bugs", entity: "WorkItem" });
+    assert.deepEqual(result.records, [{ dbid: seeded.workItems[2].dbid, id: seeded.workItems[2].fields.id, title: "Session timeout bug", state: "Active", owner: "bob" }]);
+    assert.equal(result.total, 1);
+});
+
+test("fills runtime parameters and pages like get_work_items", async () => {
+    const args = { application: "Demo", query: seeded.queries.ownedBy.dbId, parameters: [{ fieldPath: "Owner", values: ["admin"] }], limit: 1 };
+    mock.addRecord("Demo", "WorkItem", { Title: "Audit log", WIType: "Story", Project: "Web Portal", Owner: "admin" });
+    const first = await callStructured(client, "run_saved_query", args);
+    assert.equal(first.total, 2);
+    assert.equal(first.records.length, 1);
+    assert.ok(first.nextCursor);
+
+    const second = await callStructured(client, "run_saved_query", { ...args, cursor: first.nextCursor });
+    assert.equal(second.nextCursor, undefined);
+    assert.deepEqual([...first.records, ...second.records].map(record => record.title).sort(), ["Audit log", "Customer login"]);
+});
+
+test("reports missing or unknown parameters and unknown paths", async () => {
+    const missing = await client.callTool({ name: "run_saved_query", arguments: { application: "Demo", query: "Public Queries/Team/Owned By" } });
+    assert.equal(missing.isError, true);
+    assert.equal(missing.content[0].text, "Error running saved query: Missing runtime parameter(s): Owner");
+
+    const unknown = await client.callTool({
+        name: "run_saved_query",
+        arguments: { application: "Demo", query: "Public Queries/Open Bugs", parameters: [{ fieldPath: "Priority", values: ["High"] }] }
+    });
+    assert.equal(unknown.content[0].text, "Error running saved query: No runtime parameter named Priority in this query");
+
+    const notFound = await client.callTool({ name: "list_saved_queries", arguments: { application: "Demo", folder: "Public Queries/Archive" } });
+    assert.equal(notFound.content[0].text, 'Error listing saved queries: No folder or query named "Archive" in "Public Queries"');
+});
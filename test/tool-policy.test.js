@@ -0,0 +1,147 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { PlanClient, ToolPolicy, createToolPolicy } from "../src/lib/index.js";
+import { registerTools } from "../src/lib/tools/index.js";
+
+// Connect an MCP client to a server exposing the tools permitted by the policy.
+// Plan calls go to a fake fetch that records them and answers with an empty record.
+async function connect(policy) {
+    const requests = [];
+    const planClient = new PlanClient({
+        serverURL: "https://plan.example.com/plan",
+        teamspaceID: "ts1",
+        token: "dG9rZW4=",
+        fetch: async (url, init) => {
+            requests.push({ method: init.method || 'GET', url });
+            return new Response(JSON.stringify({ dbId: "100" }), {
+                headers: { 'Content-Type': 'application/json', 'Set-Cookie': 'JSESSIONID=s1; Path=/' }
+            });
+        }
+    });
+    const server = new McpServer({ name: "test", version: "1.0.0" });
+    registerTools(server, planClient, policy);
+
+    const client = new Client({ name: "test-client", version: "1.0.0" });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+    const { tools } = await client.listTools();
+    return { client, requests, tools, names: tools.map(tool => tool.name) };
+}
+
+function recordingLogger() {
+    const entries = [];
+    const log = level => (message, data) => entries.push({ level, message, data });
+    return { entries, error: log("error"), warn: log("warn"), info: log("info"), debug: log("debug") };
+}
+
+test("full mode registers every tool without a confirmation step", async () => {
+    const { client, names, tools } = await connect(new ToolPolicy());
+
+    assert.ok(names.includes("delete_work_item"));
+    assert.ok(names.includes("create_or_update_release"));
+    const deleteTool = tools.find(tool => tool.name === "delete_work_item");
+    assert.equal(deleteTool.inputSchema.properties.confirm, undefined);
+    assert.equal(deleteTool.annotations.destructiveHint, true);
+    await client.close();
+});
+
+test("readonly mode registers only the read tools", async () => {
+    const { client, names, tools } = await connect(createToolPolicy({ PLAN_MODE: "READONLY" }));
+    const full = await connect(new ToolPolicy());
+
+    assert.ok(names.includes("get_work_items"));
+    assert.ok(!names.includes("delete_work_item"));
+    assert.deepEqual(names, full.tools.filter(tool => tool.annotations.readOnlyHint === true).map(tool => tool.name));
+    assert.ok(tools.every(tool => tool.annotations.readOnlyHint === true));
+    await client.close();
+    await full.client.close();
+});
+
+test("allow and deny lists filter tools, deny winning", async () => {
+    const logger = recordingLogger();
+    const policy = new ToolPolicy({
+        allow: "get_applications, get_work_items,delete_work_item",
+        deny: ["delete_work_item", "delete_workitem"],
+        logger
+    });
+    const { client, names } = await connect(policy);
+
+    assert.deepEqual(names.sort(), ["get_applications", "get_work_items"]);
+    assert.deepEqual(logger.entries.filter(entry => entry.level === "warn").map(entry => entry.data.tool), ["delete_workitem"]);
+    await client.close();
+});
+
+test("safe mode asks for confirmation before deleting", async () => {
+    const { client, requests, tools } = await connect(new ToolPolicy({ mode: "safe" }));
+    const args = { dbid: "33554505", application: "App" };
+    assert.ok(tools.find(tool => tool.name === "delete_work_item").inputSchema.properties.confirm);
+
+    const first = await client.callTool({ name: "delete_work_item", arguments: args });
+    const text = first.content[0].text;
+    assert.match(text, /^Confirmation required/);
+    assert.ok(!requests.some(request => request.method === 'DELETE'));
+    const token = /confirm: "([^"]+)"/.exec(text)[1];
+    assert.deepEqual(first.structuredContent, { confirmationRequired: true, confirmationToken: token, request: args });
+
+    // A token only confirms the call it was issued for
+    const other = await client.callTool({ name: "delete_work_item", arguments: { ...args, dbid: "1", confirm: token } });
+    assert.match(other.content[0].text, /invalid, has expired or was issued for different arguments/);
+
+    const retry = /confirm: "([^"]+)"/.exec((await client.callTool({ name: "delete_work_item", arguments: args })).content[0].text)[1];
+    const confirmed = await client.callTool({ name: "delete_work_item", arguments: { ...args, confirm: retry } });
+    assert.equal(confirmed.content[0].text, "Work item 33554505 deleted successfully");
+    assert.equal(requests.filter(request => request.method === 'DELETE').length, 1);
+
+    // Tokens are single use
+    const replayed = await client.callTool({ name: "delete_work_item", arguments: { ...args, confirm: retry } });
+    assert.match(replayed.content[0].text, /^Confirmation required/);
+    assert.equal(requests.filter(request => request.method === 'DELETE').length, 1);
+    await client.close();
+});
+
+test("a confirmation token only works in the session it was issued to", async () => {
+    const policy = new ToolPolicy({ mode: "safe" });
+    const alice = await connect(policy);
+    const bob = await connect(policy);
+    const args = { dbid: "33554505", application: "App" };
+
+    const token = (await alice.client.callTool({ name: "delete_work_item", arguments: args })).structuredContent.confirmationToken;
+    const stolen = await bob.client.callTool({ name: "delete_work_item", arguments: { ...args, confirm: token } });
+    assert.match(stolen.content[0].text, /invalid, has expired or was issued for different arguments/);
+    assert.ok(!bob.requests.some(request => request.method === 'DELETE'));
+
+    const confirmed = await alice.client.callTool({ name: "delete_work_item", arguments: { ...args, confirm: token } });
+    assert.equal(confirmed.content[0].text, "Work item 33554505 deleted successfully");
+    await Promise.all([alice.client.close(), bob.client.close()]);
+});
+
+test("forced dry runs need no confirmation in safe mode", async () => {
+    const { client, tools } = await connect(createToolPolicy({ PLAN_MODE: "safe", PLAN_DRY_RUN: "true" }));
+
+    assert.equal(tools.find(tool => tool.name === "delete_work_item").inputSchema.properties.confirm, undefined);
+    await client.close();
+});
+
+test("safe mode leaves non-destructive writes alone", async () => {
+    const { client, tools } = await connect(new ToolPolicy({ mode: "safe" }));
+
+    const updateTool = tools.find(tool => tool.name === "update_work_item");
+    assert.equal(updateTool.inputSchema.properties.confirm, undefined);
+    await client.close();
+});
+
+test("safe mode asks for confirmation before bulk changes", async () => {
+    const { client, tools } = await connect(new ToolPolicy({ mode: "safe" }));
+
+    for (const name of ["bulk_update_work_items", "bulk_change_state", "create_work_items_bulk", "import_work_items", "clone_work_item"]) {
+        assert.ok(tools.find(tool => tool.name === name).inputSchema.properties.confirm, name);
+    }
+    await client.close();
+});
+
+test("rejects unknown modes", () => {
+    assert.throws(() => createToolPolicy({ PLAN_MODE: "admin" }), /Invalid mode "admin"/);
+});
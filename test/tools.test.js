@@ -0,0 +1,311 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { MockPlanServer } from "./mock-plan-server.js";
+import { createMockClient, connectTools, callText, callStructured } from "./helpers.js";
+
+// Drives every tool through an MCP client against the mock Plan server
+const mock = new MockPlanServer();
+let demo;
+let client;
+
+before(async () => {
+    await mock.start();
+    demo = mock.seedDemo();
+    client = await connectTools(createMockClient(mock));
+});
+
+after(async () => {
+    await client.close();
+    await mock.stop();
+});
+
+// Parse the JSON that follows a "... retrieved: " prefix
+function parseAfter(text, prefix) {
+    assert.ok(text.startsWith(prefix), text);
+    return JSON.parse(text.slice(prefix.length));
+}
+
+test("lists every tool", async () => {
+    const { tools } = await client.listTools();
+    assert.deepEqual(tools.map(tool => tool.name).sort(), [
+        "add_comment",
+        "add_link",
+        "bulk_change_state",
+        "bulk_update_work_items",
+        "change_work_item_state",
+        "clone_work_item",
+        "create_or_update_release",
+        "create_or_update_sprint",
+        "create_work_item",
+        "create_work_items_bulk",
+        "delete_work_item",
+        "download_attachment",
+        "export_work_items",
+        "find_users",
+        "get_applications",
+        "get_available_components",
+        "get_available_projects",
+        "get_available_states",
+        "get_available_workitem_types",
+        "get_blockers",
+        "get_children",
+        "get_releases",
+        "get_sprints",
+        "get_work_item",
+        "get_work_item_history",
+        "get_work_item_tree",
+        "get_work_items",
+        "import_work_items",
+        "list_attachments",
+        "list_comments",
+        "list_links",
+        "list_saved_queries",
+        "query_records",
+        "remove_link",
+        "run_saved_query",
+        "set_parent",
+        "update_work_item",
+        "upload_attachment"
+    ]);
+});
+
+test("every tool declares an output schema", async () => {
+    const { tools } = await client.listTools();
+    for (const tool of tools) {
+        assert.equal(tool.outputSchema?.type, "object", tool.name);
+    }
+});
+
+test("get_applications", async () => {
+    const text = await callText(client, "get_applications");
+    assert.deepEqual(parseAfter(text, "Applications retrieved: "), [{ id: "1", applicationName: "Demo" }]);
+});
+
+test("get_available_projects", async () => {
+    const text = await callText(client, "get_available_projects", { application: "Demo" });
+    assert.equal(text, `Projects retrieved: ["Web Portal"] , ProjectIDs: ["${demo.project.dbid}"] `);
+
+    const { projects } = await callStructured(client, "get_available_projects", { application: "Demo" });
+    assert.deepEqual(projects, [{ dbid: demo.project.dbid, name: "Web Portal", description: "Customer facing portal" }]);
+});
+
+test("get_available_components", async () => {
+    const text = await callText(client, "get_available_components", { application: "Demo", projectId: demo.project.dbid });
+    assert.deepEqual(parseAfter(text, "Components retrieved: "), ["Frontend", "Backend"]);
+});
+
+test("get_available_workitem_types", async () => {
+    const text = await callText(client, "get_available_workitem_types", { application: "Demo", projectId: demo.project.dbid });
+    assert.deepEqual(parseAfter(text, "Available work item types: "), ["Epic", "Story", "Task", "Bug"]);
+});
+
+test("get_available_states", async () => {
+    const text = await callText(client, "get_available_states", { application: "Demo" });
+    assert.match(text, /^State Transition Matrix:/);
+    assert.match(text, /From "New":\n {2}- Action: "Activate" -> To: "Active"\n {2}- Action: "Resolve" -> To: "Resolved"/);
+    assert.match(text, /From "Closed":\n {2}- Action: "Reopen" -> To: "Active"/);
+});
+
+test("get_sprints and get_releases", async () => {
+    const sprints = parseAfter(await callText(client, "get_sprints", { application: "Demo" }), "Sprints retrieved: ");
+    assert.deepEqual(sprints.rows.map(row => row.displayName), ["Sprint 1", "Sprint 2"]);
+
+    const releases = parseAfter(await callText(client, "get_releases", { application: "Demo" }), "Releases retrieved: ");
+    assert.deepEqual(releases.rows.map(row => row.values), [["Release 1", "Major", demo.release.dbid, "Release", "Sprint 1\nSprint 2"]]);
+
+    const structured = await callStructured(client, "get_releases", { application: "Demo" });
+    assert.deepEqual(structured.releases, [{ dbid: demo.release.dbid, name: "Release 1", releaseType: "Major", sprints: ["Sprint 1", "Sprint 2"] }]);
+});
+
+test("create_or_update_sprint creates a sprint, adds it to the project and updates it", async () => {
+    const created = await callText(client, "create_or_update_sprint", {
+        application: "Demo", projectID: demo.project.dbid, name: "Sprint 3", startDate: "2026-02-02", endDate: "2026-02-13"
+    });
+    assert.match(created, new RegExp(`^Sprint created successfully and added to project ${demo.project.dbid}`));
+
+    const [sprint] = mock.findRecords("Demo", "Sprint", { Name: "Sprint 3" });
+    assert.equal(sprint.fields.StartDate, "2026-02-02 00:00:00");
+    assert.deepEqual(mock.getRecord("Demo", demo.project.dbid).fields.Sprints, ["Sprint 1", "Sprint 2", "Sprint 3"]);
+
+    const updated = await callText(client, "create_or_update_sprint", { application: "Demo", sprintDbid: sprint.dbid, endDate: "2026-02-20" });
+    assert.match(updated, /^Sprint updated successfully/);
+    assert.equal(mock.getRecord("Demo", sprint.dbid).fields.EndDate, "2026-02-20 00:00:00");
+});
+
+test("create_or_update_release creates a release with sprints and updates it", async () => {
+    const created = await callText(client, "create_or_update_release", {
+        application: "Demo",
+        projectID: demo.project.dbid,
+        fields: [
+            { name: "Name", value: "Release 2" },
+            { name: "ReleaseType", value: "Minor" },
+            { name: "Sprints", value: "Sprint 1, Sprint 2", type: "REFERENCE_LIST" }
+        ]
+    });
+    assert.match(created, /^Release created successfully/);
+
+    const [release] = mock.findRecords("Demo", "Release", { Name: "Release 2" });
+    assert.deepEqual(release.fields.Sprints, ["Sprint 1", "Sprint 2"]);
+    assert.ok(mock.getRecord("Demo", demo.project.dbid).fields.Releases.includes("Release 2"));
+
+    const updated = await callText(client, "create_or_update_release", {
+        application: "Demo", projectID: demo.project.dbid, releaseDbid: release.dbid,
+        fields: [{ name: "Description", value: "Spring release", type: "MULTILINE_STRING" }]
+    });
+    assert.match(updated, /^Release updated successfully/);
+    assert.equal(mock.getRecord("Demo", release.dbid).fields.Description, "Spring release");
+});
+
+test("create_work_item commits the new work item", async () => {
+    const text = await callText(client, "create_work_item", {
+        title: "Password reset", description: "Send a reset link", workItemType: "Task",
+        application: "Demo", projectName: "Web Portal", component: "Backend"
+    });
+    const dbid = /dbId: (\d+)/.exec(text)?.[1];
+    assert.match(text, new RegExp(`^Work item created successfully. dbId: ${dbid}. View it at: ${mock.serverURL}/#/Demo/WorkItem/${dbid}$`));
+
+    const record = mock.getRecord("Demo", dbid);
+    assert.ok(record, "work item was not committed");
+    assert.equal(record.fields.Title, "Password reset");
+    assert.equal(record.fields.Component, "Backend");
+    assert.equal(record.fields.State, "New");
+});
+
+test("create_work_item reports invalid references", async () => {
+    const text = await callText(client, "create_work_item", {
+        title: "x", description: "x", workItemType: "Task", application: "Demo", projectName: "No Such Project"
+    });
+    assert.match(text, /^Error creating work item: Commit operation failed with status 400: Invalid value for Project/);
+
+    const result = await client.callTool({ name: "create_work_item", arguments: {
+        title: "x", description: "x", workItemType: "Task", application: "Demo", projectName: "No Such Project"
+    } });
+    assert.equal(result.isError, true);
+    assert.equal(result.structuredContent, undefined);
+});
+
+test("get_work_items filters by type and owner", async () => {
+    const bugs = parseAfter(await callText(client, "get_work_items", { applicationName: "Demo", projectName: "Web Portal", workitemType: "Bug" }), "Work items retrieved: ");
+    assert.deepEqual(bugs.rows.map(row => row.values[3]), ["Session timeout bug"]);
+    assert.equal(bugs.resultSetId, undefined);
+
+    // The owner filter matches the work items of the authenticated user
+    const mine = parseAfter(await callText(client, "get_work_items", { applicationName: "Demo", projectName: "Web Portal", owner: "admin" }), "Work items retrieved: ");
+    assert.deepEqual(mine.rows.map(row => row.values[4]), ["Admin User"]);
+});
+
+test("get_work_items returns rows with named properties", async () => {
+    const [epic, story] = demo.workItems;
+    const { workItems } = await callStructured(client, "get_work_items", { applicationName: "Demo", projectName: "Web Portal", workitemType: "Story" });
+    assert.equal(workItems.length, 1);
+    assert.equal(workItems[0].dbid, story.dbid);
+    assert.equal(workItems[0].title, "Login page");
+    assert.equal(workItems[0].owner, "alice");
+    assert.equal(workItems[0].parentTitle, epic.fields.Title);
+    assert.equal(workItems[0].type, "Story");
+    assert.equal(workItems[0].sprint, "Sprint 1");
+});
+
+test("get_work_items resolves the owner by login name, full name or email", async () => {
+    const owned = async owner => (await callStructured(client, "get_work_items", { applicationName: "Demo", projectName: "Web Portal", owner })).workItems
+        .map(item => item.title);
+
+    // The authenticated user is admin, so alice's items prove the owner is honoured
+    assert.deepEqual(await owned("alice"), ["Login page"]);
+    assert.deepEqual(await owned("Bob Jones"), ["Session timeout bug"]);
+    assert.deepEqual(await owned("admin@example.com"), ["Customer login"]);
+    assert.deepEqual(await owned("[CURRENT_USER]"), ["Customer login"]);
+
+    const unknown = await client.callTool({ name: "get_work_items", arguments: { applicationName: "Demo", projectName: "Web Portal", owner: "john.doe" } });
+    assert.equal(unknown.isError, true);
+    assert.match(unknown.content[0].text, /^Error retrieving work items: No Plan user matches "john.doe"/);
+});
+
+test("get_work_item reads a work item by dbid or display id with its field metadata", async () => {
+    const bug = demo.workItems[2];
+    const byDbid = await callStructured(client, "get_work_item", { application: "Demo", workItem: bug.dbid });
+    const byId = await callStructured(client, "get_work_item", { application: "Demo", workItem: bug.fields.id });
+    assert.deepEqual(byId, byDbid);
+
+    assert.equal(byDbid.dbid, bug.dbid);
+    assert.equal(byDbid.id, bug.fields.id);
+    assert.equal(byDbid.state, "Active");
+    assert.deepEqual(byDbid.legalActions, ["Modify", "Resolve", "Delete"]);
+    assert.match(byDbid.viewURL, new RegExp(`/#/Demo/WorkItem/${bug.dbid}$`));
+
+    const field = name => byDbid.fields.find(entry => entry.name === name);
+    assert.deepEqual(field("Title"), { name: "Title", value: "Session timeout bug", valueAsList: ["Session timeout bug"], type: "SHORT_STRING", requiredness: "MANDATORY" });
+    assert.deepEqual(field("Priority").choices, ["High", "Medium", "Low"]);
+    assert.equal(field("Owner").choices, undefined);
+    assert.equal(field("State").requiredness, "READONLY");
+    assert.equal(field("Description").choices, undefined);
+
+    const all = await callStructured(client, "get_work_item", { application: "Demo", workItem: bug.dbid, includeChoices: "all" });
+    assert.deepEqual(all.fields.find(entry => entry.name === "Owner").choices, ["admin", "alice", "bob"]);
+    const none = await callStructured(client, "get_work_item", { application: "Demo", workItem: bug.dbid, includeChoices: "none" });
+    assert.ok(none.fields.every(entry => entry.choices === undefined));
+
+    const missing = await client.callTool({ name: "get_work_item", arguments: { application: "Demo", workItem: "WI99999999" } });
+    assert.equal(missing.isError, true);
+    assert.match(missing.content[0].text, /^Error retrieving work item: /);
+});
+
+test("find_users searches users and groups", async () => {
+    const everyone = await callStructured(client, "find_users", { application: "Demo" });
+    assert.deepEqual(everyone.users.map(user => user.login), ["admin", "alice", "bob"]);
+    assert.deepEqual(everyone.groups, [{ name: "Developers", members: ["alice", "bob"] }]);
+
+    const found = await callStructured(client, "find_users", { application: "Demo", search: "SMITH" });
+    assert.deepEqual(found, { users: [{ login: "alice", fullName: "Alice Smith", email: "alice@example.com" }], groups: [] });
+
+    const developers = await callStructured(client, "find_users", { application: "Demo", search: "dev" });
+    assert.deepEqual(developers.users, []);
+    assert.equal(developers.groups.length, 1);
+});
+
+test("update_work_item sets fields", async () => {
+    const [, story] = demo.workItems;
+    const text = await callText(client, "update_work_item", {
+        dbid: story.dbid, application: "Demo",
+        fields: [{ name: "Owner", value: "bob", type: "REFERENCE" }, { name: "Priority", value: "Low" }]
+    });
+    assert.equal(text, `Work item ${story.dbid} updated successfully.\n\nUpdated fields:\n- Owner: bob\n- Priority: Low`);
+    assert.equal(mock.getRecord("Demo", story.dbid).fields.Owner, "bob");
+    assert.equal(mock.getRecord("Demo", story.dbid).fields.Priority, "Low");
+});
+
+test("change_work_item_state runs the action and commits", async () => {
+    const [epic] = demo.workItems;
+    const text = await callText(client, "change_work_item_state", { dbid: epic.dbid, application: "Demo", targetState: "Resolve" });
+    assert.match(text, /state successfully changed to 'Resolve'/);
+    assert.equal(mock.getRecord("Demo", epic.dbid).fields.State, "Resolved");
+});
+
+test("change_work_item_state reports invalid transitions", async () => {
+    const [, , bug] = demo.workItems;
+    const text = await callText(client, "change_work_item_state", { dbid: bug.dbid, application: "Demo", targetState: "Close" });
+    assert.match(text, /^State transition error: .*Action Close is not valid in state Active/);
+    assert.equal(mock.getRecord("Demo", bug.dbid).fields.State, "Active");
+});
+
+test("delete_work_item removes the work item", async () => {
+    const [, , bug] = demo.workItems;
+    const text = await callText(client, "delete_work_item", { dbid: bug.dbid, application: "Demo" });
+    assert.equal(text, `Work item ${bug.dbid} deleted successfully`);
+    assert.equal(mock.getRecord("Demo", bug.dbid), undefined);
+
+    const missing = await callText(client, "delete_work_item", { dbid: bug.dbid, application: "Demo" });
+    assert.match(missing, /^Error deleting work item: Delete operation failed with status 404/);
+});
+
+test("replays the whole create sequence when the session expires mid-way", async () => {
+    // The Edit step is rejected as if the session had expired; the pending record is lost with it
+    mock.failNext({ method: 'PATCH', path: /records\/WorkItem\/\d+\?operation=Edit/, status: 401, body: "Session expired" });
+
+    const text = await callText(client, "create_work_item", {
+        title: "Survives expiry", description: "x", workItemType: "Task", application: "Demo", projectName: "Web Portal"
+    });
+    assert.equal(mock.failures.length, 0);
+    assert.match(text, /^Work item created successfully/);
+    assert.equal(mock.findRecords("Demo", "WorkItem", { Title: "Survives expiry" }).length, 1);
+});